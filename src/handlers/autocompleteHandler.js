@@ -1,14 +1,23 @@
 import { getPeople } from '../services/personDailySummary.js';
 import { fetchProjects } from '../services/planeApiDirect.js';
+import { searchWorkItems } from '../services/workItemService.js';
+import { getRegisteredProjects } from '../services/projectRegistry.js';
+import { resolveTimeZone } from '../services/scheduleService.js';
+import { getUserWatches } from '../services/watchService.js';
+import { getSubcommand, getDiscordUserId } from '../utils/interactionUtils.js';
+import { parseDateInput, formatDateLabel, getRecentWorkingDays } from '../utils/dateParser.js';
+import { shiftDateKey, getTodayKey } from '../utils/dateUtils.js';
 import logger from '../utils/logger.js';
 
 /**
  * Handle autocomplete interactions
  * @param {Object} interaction - Discord interaction object
+ * @param {Object} env - Environment variables
  * @returns {Object} Autocomplete response
  */
-export async function handleAutocomplete(interaction) {
-  const { name, options } = interaction.data;
+export async function handleAutocomplete(interaction, env) {
+  const { name } = interaction.data;
+  const { subcommand, options } = getSubcommand(interaction);
   const focusedOption = options?.find(o => o.focused);
 
   if (!focusedOption) {
@@ -28,6 +37,40 @@ export async function handleAutocomplete(interaction) {
       return await handleProjectAutocomplete(focusedOption.value);
     }
 
+    if ((name === 'person_daily_summary' || name === 'team_daily_summary') &&
+      ['date', 'start_date', 'end_date'].includes(focusedOption.name)) {
+      const projectFilter = options.find(o => o.name === 'team' || o.name === 'project')?.value;
+      return await handleDateAutocomplete(focusedOption.value, projectFilter, env);
+    }
+
+    if (name === 'issue_create' && focusedOption.name === 'project') {
+      return await handleProjectAutocomplete(focusedOption.value);
+    }
+
+    if (name === 'link_plane_account' && focusedOption.name === 'person') {
+      return await handlePersonAutocomplete(focusedOption.value);
+    }
+
+    if ((name === 'issue' || name === 'watch') && focusedOption.name === 'id') {
+      return await handleWorkItemAutocomplete(focusedOption.value);
+    }
+
+    if (name === 'unwatch' && focusedOption.name === 'id') {
+      return await handleWatchedItemAutocomplete(focusedOption.value, getDiscordUserId(interaction));
+    }
+
+    if (name === 'projects' && subcommand === 'add' && focusedOption.name === 'project') {
+      return await handleProjectAutocomplete(focusedOption.value, getUnregisteredProjects);
+    }
+
+    if (name === 'projects' && (subcommand === 'remove' || subcommand === 'notify') && focusedOption.name === 'project') {
+      return await handleProjectAutocomplete(focusedOption.value);
+    }
+
+    if (name === 'schedule' && focusedOption.name === 'project') {
+      return await handleProjectAutocomplete(focusedOption.value);
+    }
+
   } catch (error) {
     logger.error(`Error in autocomplete for ${name}.${focusedOption.name}:`, error);
     return {
@@ -41,7 +84,7 @@ export async function handleAutocomplete(interaction) {
 }
 
 /**
- * Handle person autocomplete for person_daily_summary command
+ * Handle person autocomplete for person_daily_summary and link_plane_account
  * @param {string} query - Search query
  * @returns {Object} Autocomplete response
  */
@@ -85,16 +128,17 @@ async function handlePersonAutocomplete(query) {
 }
 
 /**
- * Handle project autocomplete for both commands
+ * Handle project autocomplete for all project-scoped commands
  * @param {string} query - Search query
+ * @param {Function} loadProjects - Source of candidate projects (defaults to the registry)
  * @returns {Object} Autocomplete response
  */
-async function handleProjectAutocomplete(query) {
+async function handleProjectAutocomplete(query, loadProjects = getRegisteredProjects) {
   logger.debug(`Autocomplete for project: "${query}"`);
-  const allProjects = await fetchProjects();
-  logger.debug(`Fetched ${allProjects.length} projects for autocomplete`);
+  const projects = await loadProjects();
+  logger.debug(`Loaded ${projects.length} projects for autocomplete`);
 
-  if (!allProjects || allProjects.length === 0) {
+  if (!projects || projects.length === 0) {
     logger.warn("No projects available for autocomplete");
     return {
       type: 8,
@@ -102,12 +146,6 @@ async function handleProjectAutocomplete(query) {
     };
   }
 
-  // Filter to only show specific projects: Radar(RADAR), Forga(FORGE), SLM - Radar Agent(SLMRA), HSBC Smart Splunk(HSBCS)
-  const allowedProjectIdentifiers = ['RADAR', 'FORGE', 'SLMRA', 'HSBCS'];
-  const projects = allProjects.filter(project => allowedProjectIdentifiers.includes(project.identifier));
-
-  logger.debug(`Filtered to ${projects.length} allowed projects for autocomplete`);
-
   const focusedValue = query?.toLowerCase() || '';
 
   const filtered = projects
@@ -140,3 +178,114 @@ async function handleProjectAutocomplete(query) {
     data: { choices: filtered }
   };
 }
+
+/**
+ * Handle date autocomplete for the summary commands
+ * Suggests the last 7 working days, with whatever the user typed resolved on top
+ * @param {string} query - Typed date expression
+ * @param {string} projectFilter - Selected project, which decides the time zone
+ * @param {Object} env - Environment variables
+ * @returns {Object} Autocomplete response
+ */
+async function handleDateAutocomplete(query, projectFilter, env) {
+  const timeZone = await resolveTimeZone(projectFilter, env);
+  const workingDays = getRecentWorkingDays(timeZone, 7);
+  const today = getTodayKey(timeZone);
+
+  const relativeNames = {
+    [today]: 'Today',
+    [shiftDateKey(today, -1)]: 'Yesterday'
+  };
+  const suggestions = workingDays.map(dateKey => ({
+    name: relativeNames[dateKey] ? `${relativeNames[dateKey]} · ${formatDateLabel(dateKey)}` : formatDateLabel(dateKey),
+    value: dateKey
+  }));
+
+  const typed = query?.trim();
+  if (!typed) {
+    return { type: 8, data: { choices: suggestions } };
+  }
+
+  const choices = [];
+  try {
+    const { start, end } = parseDateInput(typed, timeZone);
+    choices.push(start === end
+      ? { name: `${typed} → ${formatDateLabel(start)}`.substring(0, 100), value: start }
+      : { name: `${typed} → ${formatDateLabel(start)} .. ${formatDateLabel(end)}`.substring(0, 100), value: `${start}..${end}` });
+  } catch (error) {
+    // Not a complete expression yet; fall back to filtering the suggestions
+  }
+
+  const lowerTyped = typed.toLowerCase();
+  const matching = suggestions.filter(s => s.name.toLowerCase().includes(lowerTyped) && s.value !== choices[0]?.value);
+
+  return { type: 8, data: { choices: [...choices, ...matching].slice(0, 25) } };
+}
+
+/**
+ * Handle work item autocomplete for the issue and watch commands
+ * Matches sequence IDs (RADAR-12, 12) and work item names
+ * @param {string} query - Search query
+ * @returns {Object} Autocomplete response
+ */
+async function handleWorkItemAutocomplete(query) {
+  logger.debug(`Autocomplete for work item: "${query}"`);
+  const projects = await getRegisteredProjects();
+
+  const matches = await searchWorkItems(projects, query, 25);
+  logger.debug(`Returning ${matches.length} matching work items`);
+
+  if (matches.length === 0) {
+    return {
+      type: 8,
+      data: { choices: [{ name: `No work items match "${query || ''}"`, value: "no_match" }] }
+    };
+  }
+
+  return {
+    type: 8,
+    data: {
+      choices: matches.map(item => ({
+        name: `${item.identifier}: ${item.name}`.substring(0, 100),
+        value: item.identifier
+      }))
+    }
+  };
+}
+
+/**
+ * Handle autocomplete for unwatch: the invoking user's watched work items
+ * @param {string} query - Search query
+ * @param {string} discordUserId - Discord user ID
+ * @returns {Object} Autocomplete response
+ */
+async function handleWatchedItemAutocomplete(query, discordUserId) {
+  const focusedValue = query?.toLowerCase() || '';
+  const watches = await getUserWatches(discordUserId);
+
+  const choices = watches
+    .filter(w => !focusedValue ||
+      w.identifier.toLowerCase().includes(focusedValue) ||
+      w.name.toLowerCase().includes(focusedValue))
+    .slice(0, 25)
+    .map(w => ({ name: `${w.identifier}: ${w.name}`.substring(0, 100), value: w.identifier }));
+
+  if (choices.length === 0) {
+    return {
+      type: 8,
+      data: { choices: [{ name: 'No watched work items match', value: 'no_match' }] }
+    };
+  }
+
+  return { type: 8, data: { choices } };
+}
+
+/**
+ * Workspace projects that are not in the registry yet
+ * @returns {Promise<Array>} Plane projects
+ */
+async function getUnregisteredProjects() {
+  const [allProjects, registered] = await Promise.all([fetchProjects(), getRegisteredProjects()]);
+  const registeredIds = new Set(registered.map(p => p.id));
+  return allProjects.filter(p => !registeredIds.has(p.id));
+}
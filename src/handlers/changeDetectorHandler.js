@@ -0,0 +1,88 @@
+import { initPlaneService, preloadAllUsers } from '../services/planeApiDirect.js';
+import { initStorage } from '../services/storageService.js';
+import { initCache } from '../services/cacheService.js';
+import { initProjectRegistry, getRegisteredProjects } from '../services/projectRegistry.js';
+import { detectProjectChanges } from '../services/changeDetectorService.js';
+import { getNotificationChannelId } from '../services/planeNotificationService.js';
+import { sendMessageToChannel } from '../services/discordService.js';
+import logger from '../utils/logger.js';
+
+// Discord rejects message content longer than 2000 characters
+const MAX_MESSAGE_LENGTH = 2000;
+
+/**
+ * Handle the change detection cron: post what changed in each registered
+ * project since the previous run. Enabled with CHANGE_POLLING = "true", for
+ * workspaces that cannot use the Plane webhook.
+ * @param {Object} event - Scheduled event
+ * @param {Object} env - Environment variables
+ * @param {Object} ctx - Context object
+ */
+export async function handleChangeDetection(event, env, ctx) {
+  if (env.CHANGE_POLLING !== 'true') return;
+
+  if (!env.DISCORD_TOKEN) {
+    logger.error('DISCORD_TOKEN is not configured');
+    return;
+  }
+
+  initPlaneService({
+    PLANE_API_KEY: env.PLANE_API_KEY,
+    PLANE_BASE_URL: env.PLANE_BASE_URL || 'https://plane.superalign.ai/api/v1',
+    WORKSPACE_SLUG: env.WORKSPACE_SLUG,
+    PLANE_PAGE_SIZE: env.PLANE_PAGE_SIZE,
+    PLANE_MAX_WORK_ITEMS: env.PLANE_MAX_WORK_ITEMS,
+    PLANE_MAX_ACTIVITIES: env.PLANE_MAX_ACTIVITIES,
+    PLANE_REQUESTS_PER_MINUTE: env.PLANE_REQUESTS_PER_MINUTE,
+  });
+  initStorage(env);
+  initCache(env, { ctx });
+  initProjectRegistry(env);
+
+  const now = new Date(event?.scheduledTime || Date.now());
+
+  try {
+    const projects = await getRegisteredProjects();
+    await preloadAllUsers();
+
+    // Projects run one at a time; apiRequestWithRetry backs off on Plane's 429s
+    for (const project of projects) {
+      const channelId = getNotificationChannelId(project, env);
+      if (!channelId) continue;
+
+      try {
+        const changes = await detectProjectChanges(project, env.WORKSPACE_SLUG, now);
+        if (changes.length === 0) continue;
+
+        for (const content of chunkLines(`🔔 **${project.name}**`, changes)) {
+          // Plane text (comments, names) must not ping @everyone, roles or users
+          await sendMessageToChannel(channelId, env.DISCORD_TOKEN, { content, allowed_mentions: { parse: [] } });
+        }
+        logger.info(`Posted ${changes.length} detected changes for ${project.identifier}`);
+      } catch (projectError) {
+        logger.error(`Error detecting changes for ${project.identifier}: ${projectError.message}`);
+      }
+    }
+  } catch (error) {
+    logger.error(`Error in change detection: ${error.message}`, error);
+  }
+}
+
+/**
+ * Split notification lines into messages that fit Discord's length limit
+ */
+function chunkLines(heading, lines) {
+  const messages = [];
+  let current = heading;
+
+  for (const line of lines) {
+    if (current.length + line.length + 1 > MAX_MESSAGE_LENGTH) {
+      messages.push(current);
+      current = line;
+    } else {
+      current += `\n${line}`;
+    }
+  }
+  messages.push(current);
+  return messages;
+}
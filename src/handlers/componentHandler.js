@@ -0,0 +1,135 @@
+import {
+  buildTeamSummaryPayload,
+  buildTeamRawDataPayload
+} from './teamSummaryHandler.js';
+import {
+  buildPersonSummaryPayload,
+  buildPersonRawDataPayload
+} from './personSummaryHandler.js';
+import {
+  sendFollowUp,
+  editOriginalResponse,
+  createDeferredResponse,
+  createDeferredUpdateResponse
+} from '../services/discordService.js';
+import { resolveSummaryLanguage } from '../services/channelLanguageService.js';
+import { getPeople } from '../services/personDailySummary.js';
+import { parseCustomId } from '../utils/customId.js';
+import { TEAM_SUMMARY_NAMESPACE, PERSON_SUMMARY_NAMESPACE } from '../utils/componentUtils.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Component handlers keyed by custom ID namespace, then action.
+ * Each handler returns the immediate response and a background task to run
+ * after it (the deferred work).
+ */
+const componentRoutes = {
+  [TEAM_SUMMARY_NAMESPACE]: {
+    // Previous day / Next day carry their target date, so both map to a re-render
+    day: rerenderTeamSummary,
+    // Regenerate skips the summary cache
+    regen: (interaction, env, args) => rerenderTeamSummary(interaction, env, args, { force: true }),
+    raw: (interaction, env, [dateKey, projectIdentifier]) => ({
+      response: createDeferredResponse(true),
+      task: async () => {
+        const payload = await buildTeamRawDataPayload(projectIdentifier, dateKey, env);
+        await sendFollowUp(interaction.application_id, interaction.token, payload);
+      }
+    }),
+    member: (interaction, env, [dateKey, projectIdentifier]) => {
+      const personId = interaction.data.values?.[0];
+      return {
+        response: createDeferredResponse(),
+        task: async () => {
+          const personName = await getPersonName(personId);
+          const language = await resolveSummaryLanguage(null, interaction.channel_id, env);
+          const payload = await buildPersonSummaryPayload(personName, dateKey, projectIdentifier, env, { language });
+          await sendFollowUp(interaction.application_id, interaction.token, payload);
+        }
+      };
+    }
+  },
+  [PERSON_SUMMARY_NAMESPACE]: {
+    day: rerenderPersonSummary,
+    regen: (interaction, env, args) => rerenderPersonSummary(interaction, env, args, { force: true }),
+    raw: (interaction, env, [dateKey, projectFilter, personId]) => ({
+      response: createDeferredResponse(true),
+      task: async () => {
+        const payload = await buildPersonRawDataPayload(await getPersonName(personId), dateKey, projectFilter || null, env);
+        await sendFollowUp(interaction.application_id, interaction.token, payload);
+      }
+    })
+  }
+};
+
+/**
+ * Handle message component interactions (buttons and select menus)
+ * @param {Object} interaction - Discord interaction
+ * @param {Object} env - Environment variables
+ * @param {Object} ctx - Context object
+ * @returns {Response} HTTP response
+ */
+export function handleMessageComponent(interaction, env, ctx) {
+  const { namespace, action, args } = parseCustomId(interaction.data?.custom_id);
+  const route = componentRoutes[namespace]?.[action];
+
+  if (!route) {
+    logger.warn(`Unknown component: ${interaction.data?.custom_id}`);
+    return new Response('Unknown component', { status: 400 });
+  }
+
+  logger.info(`Handling component ${namespace}.${action} (${args.join(', ')})`);
+  const { response, task } = route(interaction, env, args);
+
+  ctx.waitUntil(task().catch(async (error) => {
+    logger.error(`Error handling component ${namespace}.${action}: ${error.message}`, error);
+    await sendFollowUp(interaction.application_id, interaction.token, {
+      content: `❌ **Error**\n\n${error.message}`,
+      flags: 64
+    });
+  }));
+
+  return Response.json(response);
+}
+
+/**
+ * Replace the team summary message in place for another (or the same) day,
+ * in the channel's default language
+ */
+function rerenderTeamSummary(interaction, env, [dateKey, projectIdentifier], { force = false } = {}) {
+  return {
+    response: createDeferredUpdateResponse(),
+    task: async () => {
+      const language = await resolveSummaryLanguage(null, interaction.channel_id, env);
+      const payload = await buildTeamSummaryPayload(projectIdentifier, dateKey, env, { force, language });
+      await editOriginalResponse(interaction.application_id, interaction.token, payload);
+    }
+  };
+}
+
+/**
+ * Replace the person summary message in place for another (or the same) day,
+ * in the channel's default language
+ */
+function rerenderPersonSummary(interaction, env, [dateKey, projectFilter, personId], { force = false } = {}) {
+  return {
+    response: createDeferredUpdateResponse(),
+    task: async () => {
+      const personName = await getPersonName(personId);
+      const language = await resolveSummaryLanguage(null, interaction.channel_id, env);
+      const payload = await buildPersonSummaryPayload(personName, dateKey, projectFilter || null, env, { force, language });
+      await editOriginalResponse(interaction.application_id, interaction.token, payload);
+    }
+  };
+}
+
+/**
+ * Resolve the Plane user ID carried by a component to the person's name
+ */
+async function getPersonName(personId) {
+  const person = (await getPeople()).find(p => p.id === personId);
+  if (!person) {
+    throw new Error('This person is no longer a workspace member.');
+  }
+  return person.name;
+}
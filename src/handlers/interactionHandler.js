@@ -1,8 +1,24 @@
 import { InteractionType, InteractionResponseType } from 'discord-interactions';
 import { initPlaneService } from '../services/planeApiDirect.js';
+import { initStorage } from '../services/storageService.js';
+import { initCache } from '../services/cacheService.js';
+import { initProjectRegistry } from '../services/projectRegistry.js';
 import { handlePersonDailySummary } from './personSummaryHandler.js';
 import { handleTeamDailySummary } from './teamSummaryHandler.js';
 import { handleAutocomplete } from './autocompleteHandler.js';
+import { handleIssueLookup } from './issueHandler.js';
+import { handleLinkPlaneAccount, handleMyTasks } from './myTasksHandler.js';
+import { handleProjectsCommand } from './projectsHandler.js';
+import { handleScheduleCommand } from './scheduleHandler.js';
+import { handleLanguageCommand } from './languageHandler.js';
+import { handleWatchCommand, handleUnwatchCommand } from './watchHandler.js';
+import {
+  handleIssueCreateCommand,
+  handleIssueCreateSubmit,
+  ISSUE_CREATE_NAMESPACE
+} from './issueCreateHandler.js';
+import { handleMessageComponent } from './componentHandler.js';
+import { parseCustomId } from '../utils/customId.js';
 import { createDeferredResponse } from '../services/discordService.js';
 import logger from '../utils/logger.js';
 
@@ -39,6 +55,17 @@ export async function handleInteraction(request, env, ctx) {
     PLANE_API_KEY: env.PLANE_API_KEY,
     PLANE_BASE_URL: env.PLANE_BASE_URL || 'https://plane.superalign.ai/api/v1',
     WORKSPACE_SLUG: env.WORKSPACE_SLUG,
+    PLANE_PAGE_SIZE: env.PLANE_PAGE_SIZE,
+    PLANE_MAX_WORK_ITEMS: env.PLANE_MAX_WORK_ITEMS,
+    PLANE_MAX_ACTIVITIES: env.PLANE_MAX_ACTIVITIES,
+    PLANE_REQUESTS_PER_MINUTE: env.PLANE_REQUESTS_PER_MINUTE,
+  });
+  initStorage(env);
+  initProjectRegistry(env);
+  // Autocomplete must answer within 3 seconds, so it may use stale data while refreshing
+  initCache(env, {
+    ctx,
+    staleWhileRevalidate: interaction.type === InteractionType.APPLICATION_COMMAND_AUTOCOMPLETE
   });
 
   // Handle PING
@@ -56,6 +83,16 @@ export async function handleInteraction(request, env, ctx) {
     return await handleApplicationCommandAutocomplete(interaction, env);
   }
 
+  // Handle Message Components (buttons, select menus)
+  if (interaction.type === InteractionType.MESSAGE_COMPONENT) {
+    return handleMessageComponent(interaction, env, ctx);
+  }
+
+  // Handle Modal Submissions
+  if (interaction.type === InteractionType.MODAL_SUBMIT) {
+    return handleModalSubmit(interaction, env, ctx);
+  }
+
   return new Response('Not found', { status: 404 });
 }
 
@@ -79,9 +116,69 @@ async function handleApplicationCommand(interaction, env, ctx) {
     return Response.json(createDeferredResponse());
   }
 
+  if (name === 'issue') {
+    ctx.waitUntil(handleIssueLookup(interaction, env));
+    return Response.json(createDeferredResponse());
+  }
+
+  if (name === 'link_plane_account') {
+    ctx.waitUntil(handleLinkPlaneAccount(interaction, env));
+    return Response.json(createDeferredResponse(true));
+  }
+
+  if (name === 'my_tasks') {
+    ctx.waitUntil(handleMyTasks(interaction, env));
+    return Response.json(createDeferredResponse());
+  }
+
+  if (name === 'projects') {
+    return Response.json(handleProjectsCommand(interaction, env, ctx));
+  }
+
+  if (name === 'schedule') {
+    return Response.json(handleScheduleCommand(interaction, env, ctx));
+  }
+
+  if (name === 'language') {
+    return Response.json(handleLanguageCommand(interaction, env, ctx));
+  }
+
+  if (name === 'watch') {
+    ctx.waitUntil(handleWatchCommand(interaction, env));
+    return Response.json(createDeferredResponse(true));
+  }
+
+  if (name === 'unwatch') {
+    ctx.waitUntil(handleUnwatchCommand(interaction, env));
+    return Response.json(createDeferredResponse(true));
+  }
+
+  if (name === 'issue_create') {
+    // Modals must be the initial response, so this one is not deferred
+    return Response.json(handleIssueCreateCommand(interaction));
+  }
+
   return new Response('Unknown command', { status: 400 });
 }
 
+/**
+ * Handle modal submissions
+ * @param {Object} interaction - Discord interaction
+ * @param {Object} env - Environment variables
+ * @param {Object} ctx - Context object
+ * @returns {Response} HTTP response
+ */
+function handleModalSubmit(interaction, env, ctx) {
+  const { namespace } = parseCustomId(interaction.data?.custom_id);
+
+  if (namespace === ISSUE_CREATE_NAMESPACE) {
+    ctx.waitUntil(handleIssueCreateSubmit(interaction, env));
+    return Response.json(createDeferredResponse());
+  }
+
+  return new Response('Unknown modal', { status: 400 });
+}
+
 /**
  * Handle application command autocomplete
  * @param {Object} interaction - Discord interaction
@@ -89,6 +186,6 @@ async function handleApplicationCommand(interaction, env, ctx) {
  * @returns {Response} HTTP response
  */
 async function handleApplicationCommandAutocomplete(interaction, env) {
-  const response = await handleAutocomplete(interaction);
+  const response = await handleAutocomplete(interaction, env);
   return Response.json(response);
 }
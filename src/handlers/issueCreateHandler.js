@@ -0,0 +1,173 @@
+import { InteractionResponseType } from 'discord-interactions';
+import { fetchProjects, createWorkItem, getPlaneAppUrl } from '../services/planeApiDirect.js';
+import { sendFollowUp, createErrorResponse } from '../services/discordService.js';
+import { createWorkItemCreatedEmbed } from '../utils/embedUtils.js';
+import { getIssueUrl } from '../utils/utils.js';
+import { buildCustomId, parseCustomId } from '../utils/customId.js';
+import logger from '../utils/logger.js';
+
+export const ISSUE_CREATE_NAMESPACE = 'issue_create';
+
+const VALID_PRIORITIES = ['urgent', 'high', 'medium', 'low', 'none'];
+
+/**
+ * Handle the issue_create command by opening the work item modal
+ * @param {Object} interaction - Discord interaction object
+ * @returns {Object} Discord modal response payload
+ */
+export function handleIssueCreateCommand(interaction) {
+  const commandOptions = interaction.data?.options || [];
+  const projectFilter = commandOptions.find(o => o.name === 'project')?.value;
+
+  if (!projectFilter || typeof projectFilter !== 'string' || projectFilter.trim() === '') {
+    logger.warn('Project parameter is required for issue_create command');
+    return createErrorResponse(
+      'Error',
+      'Please specify a project. Use the autocomplete dropdown to select from available projects.'
+    );
+  }
+
+  return {
+    type: InteractionResponseType.MODAL,
+    data: {
+      custom_id: buildCustomId(ISSUE_CREATE_NAMESPACE, 'submit', projectFilter),
+      title: `New work item in ${projectFilter}`.substring(0, 45),
+      components: [
+        {
+          type: 1, // ACTION_ROW
+          components: [{
+            type: 4, // TEXT_INPUT
+            custom_id: 'title',
+            label: 'Title',
+            style: 1, // SHORT
+            min_length: 1,
+            max_length: 255,
+            required: true
+          }]
+        },
+        {
+          type: 1,
+          components: [{
+            type: 4,
+            custom_id: 'description',
+            label: 'Description',
+            style: 2, // PARAGRAPH
+            max_length: 4000,
+            required: false
+          }]
+        },
+        {
+          type: 1,
+          components: [{
+            type: 4,
+            custom_id: 'priority',
+            label: 'Priority',
+            style: 1,
+            placeholder: VALID_PRIORITIES.join(', '),
+            max_length: 10,
+            required: false
+          }]
+        }
+      ]
+    }
+  };
+}
+
+/**
+ * Handle the submitted issue_create modal and create the work item in Plane
+ * @param {Object} interaction - Discord modal submit interaction
+ * @param {Object} env - Environment variables
+ */
+export async function handleIssueCreateSubmit(interaction, env) {
+  const { application_id, token } = interaction;
+  const interactionData = interaction.data || {};
+
+  const [projectFilter] = parseCustomId(interactionData.custom_id).args;
+  const values = getModalValues(interactionData.components);
+
+  const title = values.title?.trim();
+  const description = values.description?.trim() || '';
+  const priority = (values.priority?.trim() || 'none').toLowerCase();
+  const discordUser = interaction.member?.user || interaction.user;
+
+  if (!VALID_PRIORITIES.includes(priority)) {
+    await sendFollowUp(application_id, token, {
+      content: `❌ **Invalid priority**: \`${values.priority}\`\n\nUse one of: ${VALID_PRIORITIES.join(', ')}.`
+    });
+    return;
+  }
+
+  try {
+    const projects = await fetchProjects();
+    const selectedProject = projects.find(
+      (p) =>
+        p.name?.toLowerCase() === projectFilter.toLowerCase() ||
+        p.identifier?.toLowerCase() === projectFilter.toLowerCase() ||
+        p.id === projectFilter
+    );
+
+    if (!selectedProject) {
+      await sendFollowUp(application_id, token, {
+        content: `❌ **Project not found**: \`${projectFilter}\`\n\nPlease use the autocomplete dropdown to select a valid project.`
+      });
+      return;
+    }
+
+    logger.info(`Creating work item "${title}" in project ${selectedProject.identifier}`);
+
+    const workItem = await createWorkItem(selectedProject.id, {
+      name: title,
+      description_html: toDescriptionHtml(description),
+      priority
+    });
+
+    const url = getIssueUrl(env.WORKSPACE_SLUG, selectedProject.id, workItem.id, getPlaneAppUrl());
+    const embedPayload = createWorkItemCreatedEmbed(
+      workItem,
+      selectedProject,
+      url,
+      discordUser?.global_name || discordUser?.username
+    );
+
+    await sendFollowUp(application_id, token, embedPayload);
+    logger.info(`Work item ${selectedProject.identifier}-${workItem.sequence_id} created successfully`);
+
+  } catch (error) {
+    logger.error(`Error creating work item: ${error.message}`, error);
+    await sendFollowUp(application_id, token, {
+      content: `❌ **Error creating work item**\n\n${error.response?.data?.error || error.message}`
+    });
+  }
+}
+
+/**
+ * Flatten modal action rows into a map of custom_id -> value
+ * @param {Array} rows - Modal submit action rows
+ * @returns {Object} Submitted values keyed by input custom_id
+ */
+function getModalValues(rows = []) {
+  const values = {};
+  for (const row of rows) {
+    for (const component of row.components || []) {
+      values[component.custom_id] = component.value;
+    }
+  }
+  return values;
+}
+
+/**
+ * Convert plain modal text into the HTML description Plane expects
+ * @param {string} text - Plain text description
+ * @returns {string} HTML description
+ */
+function toDescriptionHtml(text) {
+  if (!text) return '<p></p>';
+  const escaped = text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+  return escaped
+    .split(/\n{2,}/)
+    .map(paragraph => `<p>${paragraph.replace(/\n/g, '<br>')}</p>`)
+    .join('');
+}
@@ -0,0 +1,46 @@
+import { getPlaneAppUrl } from '../services/planeApiDirect.js';
+import { getWorkItemDetails, parseWorkItemIdentifier } from '../services/workItemService.js';
+import { sendFollowUp } from '../services/discordService.js';
+import { createWorkItemEmbed } from '../utils/embedUtils.js';
+import { getIssueUrl } from '../utils/utils.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Handle the issue command
+ * @param {Object} interaction - Discord interaction object
+ * @param {Object} env - Environment variables
+ */
+export async function handleIssueLookup(interaction, env) {
+  const { application_id, token } = interaction;
+  const commandOptions = interaction.data?.options || [];
+  const identifier = commandOptions.find(o => o.name === 'id')?.value?.trim().toUpperCase();
+
+  if (!parseWorkItemIdentifier(identifier)) {
+    await sendFollowUp(application_id, token, {
+      content: `❌ **Invalid work item ID**: \`${identifier || ''}\`\n\nUse the PROJECT-NUMBER format (e.g., RADAR-123).`
+    });
+    return;
+  }
+
+  try {
+    logger.info(`Looking up work item ${identifier}`);
+    const details = await getWorkItemDetails(identifier);
+
+    if (!details) {
+      await sendFollowUp(application_id, token, {
+        content: `❌ **Work item not found**: \`${identifier}\``
+      });
+      return;
+    }
+
+    const url = getIssueUrl(env.WORKSPACE_SLUG, details.project.id, details.workItem.id, getPlaneAppUrl());
+    await sendFollowUp(application_id, token, createWorkItemEmbed(details, url));
+    logger.info(`Work item ${identifier} sent successfully`);
+
+  } catch (error) {
+    logger.error(`Error looking up work item ${identifier}: ${error.message}`, error);
+    await sendFollowUp(application_id, token, {
+      content: `❌ **Error looking up work item**\n\n${error.message}`
+    });
+  }
+}
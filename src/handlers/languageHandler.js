@@ -0,0 +1,70 @@
+import {
+  setChannelLanguage,
+  clearChannelLanguage,
+  getChannelLanguages
+} from '../services/channelLanguageService.js';
+import { getSummaryLanguage } from '../services/summaryLanguages.js';
+import { sendFollowUp, createErrorResponse, createDeferredResponse } from '../services/discordService.js';
+import { getSubcommand, isAdmin } from '../utils/interactionUtils.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Handle the language command (set | clear | list)
+ * Returns the immediate response; the work runs in ctx.waitUntil
+ * @param {Object} interaction - Discord interaction object
+ * @param {Object} env - Environment variables
+ * @param {Object} ctx - Context object
+ * @returns {Object} Discord response payload
+ */
+export function handleLanguageCommand(interaction, env, ctx) {
+  const { subcommand, options } = getSubcommand(interaction);
+
+  if (subcommand !== 'list' && !isAdmin(interaction)) {
+    return createErrorResponse('Permission denied', 'Only server admins can change summary languages.');
+  }
+
+  ctx.waitUntil(runLanguageSubcommand(interaction, subcommand, options, env));
+  return createDeferredResponse(true);
+}
+
+async function runLanguageSubcommand(interaction, subcommand, options, env) {
+  const { application_id, token } = interaction;
+  const channelId = options.find(o => o.name === 'channel')?.value || interaction.channel_id;
+
+  try {
+    if (subcommand === 'set') {
+      const code = options.find(o => o.name === 'language')?.value;
+      await setChannelLanguage(channelId, code);
+      const language = getSummaryLanguage(code);
+      logger.info(`Summary language of ${channelId} set by ${interaction.member?.user?.username}`);
+
+      await sendFollowUp(application_id, token, {
+        content: `✅ Summaries in <#${channelId}> are now written in **${language.name}**`
+      });
+      return;
+    }
+
+    if (subcommand === 'clear') {
+      await clearChannelLanguage(channelId);
+      logger.info(`Summary language of ${channelId} cleared by ${interaction.member?.user?.username}`);
+    }
+
+    const channels = await getChannelLanguages();
+    const list = channels.length > 0
+      ? channels.map(({ channelId: id, language }) => `• <#${id}>: ${getSummaryLanguage(language).name}`).join('\n')
+      : 'No channel defaults set.';
+    const fallback = getSummaryLanguage(env.DEFAULT_SUMMARY_LANGUAGE).name;
+
+    const heading = subcommand === 'clear'
+      ? `🗑️ Cleared the summary language of <#${channelId}>`
+      : '🌐 **Summary languages**';
+
+    await sendFollowUp(application_id, token, { content: `${heading}\n\n${list}\n\nOther channels: ${fallback}` });
+
+  } catch (error) {
+    logger.error(`Error running language ${subcommand}: ${error.message}`, error);
+    await sendFollowUp(application_id, token, {
+      content: `❌ **Error updating summary language**\n\n${error.message}`
+    });
+  }
+}
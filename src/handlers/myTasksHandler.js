@@ -0,0 +1,87 @@
+import { fetchProjects, getPlaneAppUrl, resetTruncationWarnings, getTruncationWarning } from '../services/planeApiDirect.js';
+import { getPeople } from '../services/personDailySummary.js';
+import { linkPlaneAccount, getLinkedPlaneAccount } from '../services/accountLinkService.js';
+import { getOpenWorkItemsForMember } from '../services/workItemService.js';
+import { sendFollowUp } from '../services/discordService.js';
+import { createMyTasksEmbed, addFooterWarning } from '../utils/embedUtils.js';
+import { getIssueUrl } from '../utils/utils.js';
+import { getDiscordUserId } from '../utils/interactionUtils.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Handle the link_plane_account command
+ * @param {Object} interaction - Discord interaction object
+ * @param {Object} env - Environment variables
+ */
+export async function handleLinkPlaneAccount(interaction, env) {
+  const { application_id, token } = interaction;
+  const commandOptions = interaction.data?.options || [];
+  const personName = commandOptions.find(o => o.name === 'person')?.value;
+  const discordUserId = getDiscordUserId(interaction);
+
+  try {
+    const people = await getPeople();
+    const person = people.find(p => p.name === personName) ||
+      people.find(p => p.name.toLowerCase() === personName?.toLowerCase());
+
+    if (!person) {
+      await sendFollowUp(application_id, token, {
+        content: `❌ **Plane member not found**: \`${personName || ''}\`\n\nPlease use the autocomplete dropdown to select your Plane account.`
+      });
+      return;
+    }
+
+    await linkPlaneAccount(discordUserId, person);
+    await sendFollowUp(application_id, token, {
+      content: `✅ Linked your Discord account to Plane member **${person.name}**. Use \`/my_tasks\` to see your open work.`
+    });
+
+  } catch (error) {
+    logger.error(`Error linking Plane account: ${error.message}`, error);
+    await sendFollowUp(application_id, token, {
+      content: `❌ **Error linking account**\n\n${error.message}`
+    });
+  }
+}
+
+/**
+ * Handle the my_tasks command
+ * @param {Object} interaction - Discord interaction object
+ * @param {Object} env - Environment variables
+ */
+export async function handleMyTasks(interaction, env) {
+  const { application_id, token } = interaction;
+  const discordUserId = getDiscordUserId(interaction);
+
+  try {
+    const link = await getLinkedPlaneAccount(discordUserId);
+    if (!link) {
+      await sendFollowUp(application_id, token, {
+        content: '❌ **No Plane account linked**\n\nRun `/link_plane_account` first to connect your Discord user to your Plane account.'
+      });
+      return;
+    }
+
+    logger.info(`Fetching open work items for ${link.planeName}`);
+    resetTruncationWarnings();
+    const projects = await fetchProjects();
+    const tasks = await getOpenWorkItemsForMember(link.planeUserId, projects);
+
+    const appUrl = getPlaneAppUrl();
+    const embedPayload = createMyTasksEmbed(
+      link.planeName,
+      tasks,
+      (item) => getIssueUrl(env.WORKSPACE_SLUG, item.project.id, item.id, appUrl)
+    );
+    addFooterWarning(embedPayload, getTruncationWarning());
+
+    await sendFollowUp(application_id, token, embedPayload);
+    logger.info(`Open work items sent for ${link.planeName}`);
+
+  } catch (error) {
+    logger.error(`Error fetching open work items: ${error.message}`, error);
+    await sendFollowUp(application_id, token, {
+      content: `❌ **Error fetching your tasks**\n\n${error.message}`
+    });
+  }
+}
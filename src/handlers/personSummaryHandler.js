@@ -1,6 +1,20 @@
-import { getPersonDailySummary, generatePersonDailySummaryText } from '../services/personDailySummary.js';
+import { getPersonDailySummary, writePersonSummary, getPeople } from '../services/personDailySummary.js';
+import { getPlaneAppUrl, fetchProjects } from '../services/planeApiDirect.js';
+import { resolveTimeZone } from '../services/scheduleService.js';
+import { getSummaryStyle } from '../services/summaryStyles.js';
+import { getSummaryLanguage } from '../services/summaryLanguages.js';
+import { resolveSummaryLanguage } from '../services/channelLanguageService.js';
+import { resolveSummaryRange } from '../services/summaryRangeService.js';
 import { sendFollowUp, createErrorResponse } from '../services/discordService.js';
-import { parseSummaryToEmbed } from '../utils/embedUtils.js';
+import {
+  createPersonSummaryEmbed,
+  createRawDataEmbed,
+  createNetOutcomeEmbed,
+  addFooterWarning
+} from '../utils/embedUtils.js';
+import { createPersonSummaryComponents } from '../utils/componentUtils.js';
+import { getTodayKey, parseRangeKey, formatRangeLabel } from '../utils/dateUtils.js';
+import { getWorkItemBrowseUrl } from '../utils/utils.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -18,8 +32,11 @@ export async function handlePersonDailySummary(interaction, env) {
   const commandOptions = interactionData.options || [];
 
   const personName = commandOptions.find(o => o.name === 'person')?.value;
-  const date = commandOptions.find(o => o.name === 'date')?.value || new Date().toISOString().split('T')[0];
   const projectFilter = commandOptions.find(o => o.name === 'team')?.value;
+  const format = commandOptions.find(o => o.name === 'format')?.value || 'ai';
+  const force = commandOptions.find(o => o.name === 'force')?.value === true;
+  const style = commandOptions.find(o => o.name === 'style')?.value || null;
+  const requestedLanguage = commandOptions.find(o => o.name === 'language')?.value || null;
 
   // Validate required parameters
   if (!personName || typeof personName !== 'string' || personName.trim() === '') {
@@ -31,30 +48,22 @@ export async function handlePersonDailySummary(interaction, env) {
   }
 
   try {
-    // Validate date format if provided
-    if (commandOptions.find(o => o.name === 'date')?.value) {
-      const dateObj = new Date(date);
-      if (isNaN(dateObj.getTime())) {
-        logger.warn(`Invalid date provided: ${date}`);
-        return createErrorResponse(
-          'Invalid date format',
-          'Please use YYYY-MM-DD format (e.g., 2025-01-07).'
-        );
-      }
+    // Resolve the day or range (defaults to today in the project's time zone)
+    let date;
+    try {
+      const timeZone = await resolveTimeZone(projectFilter, env);
+      date = await resolveSummaryRange(commandOptions, { timeZone, projectFilter });
+    } catch (error) {
+      logger.warn(`Invalid date options: ${error.message}`);
+      await sendFollowUp(app_id, interaction_token, {
+        content: `❌ **Invalid date**\n\n${error.message}`
+      });
+      return;
     }
 
-    logger.info(`Processing summary for ${personName} on ${date}`);
-
-    const summary = await getPersonDailySummary({
-      personName,
-      date,
-      projectFilter,
-      workspaceSlug: env.WORKSPACE_SLUG
-    });
-
-    const text = await generatePersonDailySummaryText(summary, env);
-    const embedPayload = parseSummaryToEmbed(personName, date, text, env.WORKSPACE_SLUG);
-
+    // Without a language option, the channel's default applies
+    const language = await resolveSummaryLanguage(requestedLanguage, interaction.channel_id, env);
+    const embedPayload = await buildPersonSummaryPayload(personName, date, projectFilter, env, { format, force, style, language });
     await sendFollowUp(app_id, interaction_token, embedPayload);
     logger.info('Summary sent successfully');
 
@@ -65,3 +74,100 @@ export async function handlePersonDailySummary(interaction, env) {
     });
   }
 }
+
+/**
+ * Build the full person summary message (embed and interactive components)
+ * @param {string} personName - Person to summarize
+ * @param {string|null} requestedDate - Day or range (see toRangeKey), or null for today
+ * @param {string} projectFilter - Optional project name or identifier
+ * @param {Object} env - Environment variables
+ * @param {Object} options - { format: "ai" | "plain", force, style, language } where force
+ * skips a cached summary, style names a summary style (see summaryStyles) and
+ * language a summary language (see summaryLanguages)
+ * @returns {Promise<Object>} Discord message payload
+ */
+export async function buildPersonSummaryPayload(personName, requestedDate, projectFilter, env, { format = 'ai', force = false, style = null, language = null } = {}) {
+  // Days are taken in the project's time zone, or the workspace's without a project
+  const timeZone = await resolveTimeZone(projectFilter, env);
+  const date = requestedDate || getTodayKey(timeZone);
+  logger.info(`Processing summary for ${personName} on ${date} (${timeZone})`);
+
+  const { start, end } = parseRangeKey(date);
+  const summary = await getPersonDailySummary({
+    personName,
+    date: start,
+    endDate: end,
+    timeZone,
+    projectFilter,
+    workspaceSlug: env.WORKSPACE_SLUG
+  });
+
+  const summaryLanguage = getSummaryLanguage(language);
+  const { summary: structured, warning } = await writePersonSummary(summary, env, { format, force, style, language: summaryLanguage.code });
+  const getUrl = id => getWorkItemBrowseUrl(env.WORKSPACE_SLUG, id, getPlaneAppUrl());
+  const embedPayload = createPersonSummaryEmbed(
+    personName, date, structured, env.WORKSPACE_SLUG, getUrl, getSummaryStyle(style), summaryLanguage
+  );
+
+  // Over several days, add each item's net state change instead of repeating it per day
+  const outcomeEmbed = start !== end ? createNetOutcomeEmbed(summary.outcomes, summaryLanguage) : null;
+  if (outcomeEmbed) {
+    embedPayload.embeds.push(outcomeEmbed);
+  }
+  addFooterWarning(embedPayload, summary.truncationWarning);
+  addFooterWarning(embedPayload, warning);
+
+  // Buttons carry the Plane user ID, which is short and unique where names are not
+  const person = (await getPeople()).find(p => p.name === personName);
+  if (!person) {
+    logger.warn(`${personName} is not a workspace member, sending the summary without buttons`);
+  }
+
+  return {
+    ...embedPayload,
+    components: person
+      ? createPersonSummaryComponents(person.id, await resolveProjectIdentifier(projectFilter), date, timeZone)
+      : []
+  };
+}
+
+/**
+ * Turn a typed project filter (name or identifier) into the project's
+ * identifier, which is short enough for custom IDs and still matches as a filter
+ * @param {string|null} projectFilter - Project name or identifier
+ * @returns {Promise<string|null>} Identifier, or the filter as typed if no project matches
+ */
+async function resolveProjectIdentifier(projectFilter) {
+  if (!projectFilter) return null;
+
+  const filter = projectFilter.toLowerCase();
+  const project = (await fetchProjects()).find(p =>
+    p.name.toLowerCase() === filter || p.identifier.toLowerCase() === filter
+  );
+  return project?.identifier || projectFilter;
+}
+
+/**
+ * Build an ephemeral message with the raw data behind a person summary
+ * @param {string} personName - Person to summarize
+ * @param {string} date - Day or range (see toRangeKey)
+ * @param {string} projectFilter - Optional project name or identifier
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} Discord message payload
+ */
+export async function buildPersonRawDataPayload(personName, date, projectFilter, env) {
+  const { start, end } = parseRangeKey(date);
+  const summary = await getPersonDailySummary({
+    personName,
+    date: start,
+    endDate: end,
+    timeZone: await resolveTimeZone(projectFilter, env),
+    projectFilter,
+    workspaceSlug: env.WORKSPACE_SLUG
+  });
+
+  return createRawDataEmbed(
+    `📄 Raw data: ${personName} (${formatRangeLabel(date)})`,
+    JSON.stringify({ projects: summary.projects, outcomes: summary.outcomes }, null, 2)
+  );
+}
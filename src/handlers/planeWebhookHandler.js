@@ -0,0 +1,150 @@
+import { initPlaneService, clearProjectCache, clearWorkItemCache } from '../services/planeApiDirect.js';
+import { initStorage, getJSON, putJSON } from '../services/storageService.js';
+import { initCache } from '../services/cacheService.js';
+import { initProjectRegistry, getRegisteredProjects } from '../services/projectRegistry.js';
+import { buildWebhookNotification, getNotificationChannelId } from '../services/planeNotificationService.js';
+import { sendMessageToChannel } from '../services/discordService.js';
+import logger from '../utils/logger.js';
+
+const DELIVERY_KEY_PREFIX = 'plane-delivery:';
+const DELIVERY_TTL_SECONDS = 24 * 60 * 60;
+
+/**
+ * Handle Plane webhook deliveries
+ * Verifies the X-Plane-Signature HMAC, acknowledges immediately and posts the
+ * notification in the background
+ * @param {Request} request - HTTP request
+ * @param {Object} env - Environment variables
+ * @param {Object} ctx - Context object
+ * @returns {Response} HTTP response
+ */
+export async function handlePlaneWebhook(request, env, ctx) {
+  if (!env.PLANE_WEBHOOK_SECRET) {
+    logger.error('PLANE_WEBHOOK_SECRET is not configured');
+    return new Response('Webhook secret not configured.', { status: 500 });
+  }
+
+  const body = await request.text();
+  const signature = request.headers.get('x-plane-signature');
+
+  if (!signature || !(await verifyPlaneSignature(body, signature, env.PLANE_WEBHOOK_SECRET))) {
+    logger.warn('Invalid Plane webhook signature');
+    return new Response('Bad request signature.', { status: 401 });
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(body);
+  } catch {
+    return new Response('Invalid JSON.', { status: 400 });
+  }
+
+  initPlaneService({
+    PLANE_API_KEY: env.PLANE_API_KEY,
+    PLANE_BASE_URL: env.PLANE_BASE_URL || 'https://plane.superalign.ai/api/v1',
+    WORKSPACE_SLUG: env.WORKSPACE_SLUG,
+    PLANE_PAGE_SIZE: env.PLANE_PAGE_SIZE,
+    PLANE_MAX_WORK_ITEMS: env.PLANE_MAX_WORK_ITEMS,
+    PLANE_MAX_ACTIVITIES: env.PLANE_MAX_ACTIVITIES,
+    PLANE_REQUESTS_PER_MINUTE: env.PLANE_REQUESTS_PER_MINUTE,
+  });
+  initStorage(env);
+  initCache(env, { ctx });
+  initProjectRegistry(env);
+
+  const deliveryId = request.headers.get('x-plane-delivery');
+  ctx.waitUntil(processDelivery(payload, deliveryId, env).catch(error => {
+    logger.error(`Error processing Plane webhook ${payload.event}.${payload.action}: ${error.message}`, error);
+  }));
+
+  return new Response('OK');
+}
+
+/**
+ * Post the notification for one delivery, skipping deliveries Plane retried
+ * A delivery is recorded only once its notification is posted, so a retry of
+ * one that failed part way is processed again.
+ */
+async function processDelivery(payload, deliveryId, env) {
+  const deliveryKey = deliveryId ? `${DELIVERY_KEY_PREFIX}${deliveryId}` : null;
+  if (deliveryKey && await getJSON(deliveryKey)) {
+    logger.debug(`Skipping already processed Plane delivery ${deliveryId}`);
+    return;
+  }
+
+  const projectId = payload.data?.project || payload.data?.project_id;
+  const projects = await getRegisteredProjects();
+  const project = projects.find(p => p.id === projectId);
+
+  if (!project) {
+    logger.debug(`Ignoring Plane webhook for unregistered project ${projectId}`);
+    return;
+  }
+
+  await invalidateForEvent(payload, project);
+
+  const channelId = getNotificationChannelId(project, env);
+  if (!channelId) {
+    logger.debug(`No notification channel for ${project.identifier}, skipping webhook`);
+    return;
+  }
+
+  const message = await buildWebhookNotification(payload, project, env.WORKSPACE_SLUG);
+  if (!message) return;
+
+  // Plane text (comments, names) must not ping @everyone, roles or users
+  const sent = await sendMessageToChannel(channelId, env.DISCORD_TOKEN, { ...message, allowed_mentions: { parse: [] } });
+  if (!sent) {
+    throw new Error(`Discord rejected the notification for ${project.identifier}`);
+  }
+
+  if (deliveryKey) {
+    await putJSON(deliveryKey, true, { expirationTtl: DELIVERY_TTL_SECONDS });
+  }
+  logger.info(`Posted Plane ${payload.event}.${payload.action} notification for ${project.identifier}`);
+}
+
+/**
+ * Drop cached Plane data the event made stale, so summaries and autocomplete see the change
+ */
+async function invalidateForEvent(payload, project) {
+  const { event, data = {} } = payload;
+
+  if (event === 'issue' || event === 'work_item') {
+    await clearWorkItemCache(project.id, data.id);
+  } else if (event === 'issue_comment' || event === 'work_item_comment') {
+    await clearWorkItemCache(project.id, data.issue || data.work_item);
+  } else if (event === 'cycle') {
+    await clearProjectCache(project.id);
+  }
+}
+
+/**
+ * Verify Plane's webhook signature: hex HMAC-SHA256 of the raw body
+ * @param {string} body - Raw request body
+ * @param {string} signature - X-Plane-Signature header
+ * @param {string} secret - Webhook secret key
+ * @returns {Promise<boolean>} True if the signature matches
+ */
+async function verifyPlaneSignature(body, signature, secret) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const digest = await crypto.subtle.sign('HMAC', key, encoder.encode(body));
+  const expected = [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+
+  // Constant-time comparison
+  const received = signature.trim().toLowerCase();
+  if (received.length !== expected.length) return false;
+
+  let mismatch = 0;
+  for (let i = 0; i < expected.length; i++) {
+    mismatch |= expected.charCodeAt(i) ^ received.charCodeAt(i);
+  }
+  return mismatch === 0;
+}
@@ -0,0 +1,71 @@
+import {
+  getRegisteredProjects,
+  addRegisteredProject,
+  removeRegisteredProject,
+  updateRegisteredProject
+} from '../services/projectRegistry.js';
+import { sendFollowUp, createErrorResponse, createDeferredResponse } from '../services/discordService.js';
+import { getSubcommand, isAdmin } from '../utils/interactionUtils.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Handle the projects command (add | remove | notify | list)
+ * Returns the immediate response; the work runs in ctx.waitUntil
+ * @param {Object} interaction - Discord interaction object
+ * @param {Object} env - Environment variables
+ * @param {Object} ctx - Context object
+ * @returns {Object} Discord response payload
+ */
+export function handleProjectsCommand(interaction, env, ctx) {
+  const { subcommand, options } = getSubcommand(interaction);
+
+  if (subcommand !== 'list' && !isAdmin(interaction)) {
+    return createErrorResponse('Permission denied', 'Only server admins can change the project registry.');
+  }
+
+  ctx.waitUntil(runProjectsSubcommand(interaction, subcommand, options));
+  return createDeferredResponse(true);
+}
+
+async function runProjectsSubcommand(interaction, subcommand, options) {
+  const { application_id, token } = interaction;
+  const identifier = options.find(o => o.name === 'project')?.value;
+
+  try {
+    if (subcommand === 'add') {
+      const position = options.find(o => o.name === 'position')?.value || null;
+      await addRegisteredProject(identifier, position);
+      logger.info(`Project ${identifier} added to registry by ${interaction.member?.user?.username}`);
+    } else if (subcommand === 'remove') {
+      await removeRegisteredProject(identifier);
+      logger.info(`Project ${identifier} removed from registry by ${interaction.member?.user?.username}`);
+    } else if (subcommand === 'notify') {
+      const channelId = options.find(o => o.name === 'channel')?.value || null;
+      await updateRegisteredProject(identifier, { notificationChannelId: channelId });
+      logger.info(`Notification channel for ${identifier} set to ${channelId} by ${interaction.member?.user?.username}`);
+    }
+
+    const projects = await getRegisteredProjects();
+    const list = projects.length > 0
+      ? projects.map((p, i) => {
+        const notifications = p.registry?.notificationChannelId ? ` • 🔔 <#${p.registry.notificationChannelId}>` : '';
+        return `${i + 1}. **${p.identifier}**: ${p.name}${notifications}`;
+      }).join('\n')
+      : 'No projects registered.';
+
+    const heading = {
+      add: `✅ Registered **${identifier?.toUpperCase()}**`,
+      remove: `🗑️ Removed **${identifier?.toUpperCase()}**`,
+      notify: `🔔 Updated notifications for **${identifier?.toUpperCase()}**`,
+      list: '📁 **Registered projects**'
+    }[subcommand];
+
+    await sendFollowUp(application_id, token, { content: `${heading}\n\n${list}` });
+
+  } catch (error) {
+    logger.error(`Error running projects ${subcommand}: ${error.message}`, error);
+    await sendFollowUp(application_id, token, {
+      content: `❌ **Error updating projects**\n\n${error.message}`
+    });
+  }
+}
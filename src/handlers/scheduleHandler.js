@@ -0,0 +1,80 @@
+import { getRegisteredProjects } from '../services/projectRegistry.js';
+import {
+  setProjectSchedule,
+  clearProjectSchedule,
+  getEffectiveSchedule,
+  describeSchedule
+} from '../services/scheduleService.js';
+import { sendFollowUp, createErrorResponse, createDeferredResponse } from '../services/discordService.js';
+import { getSubcommand, isAdmin } from '../utils/interactionUtils.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Handle the schedule command (set | clear | list)
+ * Returns the immediate response; the work runs in ctx.waitUntil
+ * @param {Object} interaction - Discord interaction object
+ * @param {Object} env - Environment variables
+ * @param {Object} ctx - Context object
+ * @returns {Object} Discord response payload
+ */
+export function handleScheduleCommand(interaction, env, ctx) {
+  const { subcommand, options } = getSubcommand(interaction);
+
+  if (subcommand !== 'list' && !isAdmin(interaction)) {
+    return createErrorResponse('Permission denied', 'Only server admins can change summary schedules.');
+  }
+
+  ctx.waitUntil(runScheduleSubcommand(interaction, subcommand, options, env));
+  return createDeferredResponse(true);
+}
+
+async function runScheduleSubcommand(interaction, subcommand, options, env) {
+  const { application_id, token } = interaction;
+  const getOption = (name) => options.find(o => o.name === name)?.value;
+  const identifier = getOption('project')?.toUpperCase();
+
+  try {
+    if (subcommand === 'set') {
+      const schedule = await setProjectSchedule(identifier, {
+        channels: [getOption('channel'), getOption('additional_channel')],
+        time: getOption('time'),
+        timeZone: getOption('timezone'),
+        days: getOption('days'),
+        style: getOption('style'),
+      });
+      logger.info(`Schedule for ${identifier} set by ${interaction.member?.user?.username}`);
+
+      await sendFollowUp(application_id, token, {
+        content: `✅ **${identifier}** summaries scheduled\n\n${describeSchedule(schedule)}`
+      });
+      return;
+    }
+
+    if (subcommand === 'clear') {
+      await clearProjectSchedule(identifier);
+      logger.info(`Schedule for ${identifier} cleared by ${interaction.member?.user?.username}`);
+    }
+
+    const projects = await getRegisteredProjects();
+    const list = projects.length > 0
+      ? projects.map(p => {
+        const schedule = getEffectiveSchedule(p, env);
+        const description = schedule ? describeSchedule(schedule) : 'not scheduled';
+        const suffix = p.registry?.schedule ? '' : ' _(default)_';
+        return `• **${p.identifier}**: ${description}${suffix}`;
+      }).join('\n')
+      : 'No projects registered.';
+
+    const heading = subcommand === 'clear'
+      ? `🗑️ Cleared the schedule for **${identifier}**`
+      : '🗓️ **Summary schedules**';
+
+    await sendFollowUp(application_id, token, { content: `${heading}\n\n${list}` });
+
+  } catch (error) {
+    logger.error(`Error running schedule ${subcommand}: ${error.message}`, error);
+    await sendFollowUp(application_id, token, {
+      content: `❌ **Error updating schedule**\n\n${error.message}`
+    });
+  }
+}
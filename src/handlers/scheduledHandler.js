@@ -1,31 +1,49 @@
-import { fetchProjects, initPlaneService, clearActivityCaches, startProjectSession } from '../services/planeApiDirect.js';
+import {
+  initPlaneService,
+  clearActivityCaches,
+  startProjectSession,
+  waitForRateLimitBudget,
+  getPlaneAppUrl
+} from '../services/planeApiDirect.js';
 import {
   processTeamActivities,
-  formatTeamDataForAI,
-  generateTeamSummary
+  writeTeamSummary
 } from '../services/teamSummaryService.js';
 import { sendMessageToChannel } from '../services/discordService.js';
-import { createTeamSummaryEmbed } from '../utils/embedUtils.js';
-import { generateText } from 'ai';
-import { createGoogleGenerativeAI } from '@ai-sdk/google';
+import { getSummaryStyle } from '../services/summaryStyles.js';
+import { getSummaryLanguage } from '../services/summaryLanguages.js';
+import { resolveSummaryLanguage } from '../services/channelLanguageService.js';
+import { initStorage } from '../services/storageService.js';
+import { initCache } from '../services/cacheService.js';
+import { initProjectRegistry, getRegisteredProjects } from '../services/projectRegistry.js';
+import {
+  getEffectiveSchedule,
+  isScheduleDue,
+  getLastScheduledRun,
+  markScheduledRun
+} from '../services/scheduleService.js';
+import { createTeamSummaryEmbed, addFooterWarning } from '../utils/embedUtils.js';
+import { createTeamSummaryComponents } from '../utils/componentUtils.js';
+import { getDayWindow, formatRangeLabel } from '../utils/dateUtils.js';
+import { getWorkItemBrowseUrl } from '../utils/utils.js';
+import { getActiveMembers } from './teamSummaryHandler.js';
 import logger from '../utils/logger.js';
 
+// Plane requests a project usually needs before its first activity fetches;
+// the rate limiter throttles anything beyond that
+const PROJECT_REQUEST_BUDGET = 20;
+
 /**
  * Handle scheduled team summary job
+ * Runs on every cron tick and posts only the projects whose schedule is due
  * @param {Object} event - Scheduled event
  * @param {Object} env - Environment variables
  * @param {Object} ctx - Context object
  */
 export async function handleScheduled(event, env, ctx) {
 
-  const channelId = env.DAILY_SUMMARY_CHANNEL_ID;
   const discordToken = env.DISCORD_TOKEN;
 
-  if (!channelId) {
-    logger.error('DAILY_SUMMARY_CHANNEL_ID is not configured');
-    return;
-  }
-
   if (!discordToken) {
     logger.error('DISCORD_TOKEN is not configured');
     return;
@@ -36,64 +54,77 @@ export async function handleScheduled(event, env, ctx) {
     PLANE_API_KEY: env.PLANE_API_KEY,
     PLANE_BASE_URL: env.PLANE_BASE_URL || 'https://plane.superalign.ai/api/v1',
     WORKSPACE_SLUG: env.WORKSPACE_SLUG,
+    PLANE_PAGE_SIZE: env.PLANE_PAGE_SIZE,
+    PLANE_MAX_WORK_ITEMS: env.PLANE_MAX_WORK_ITEMS,
+    PLANE_MAX_ACTIVITIES: env.PLANE_MAX_ACTIVITIES,
+    PLANE_REQUESTS_PER_MINUTE: env.PLANE_REQUESTS_PER_MINUTE,
   });
+  initStorage(env);
+  initCache(env, { ctx });
+  initProjectRegistry(env);
+
+  const now = new Date(event?.scheduledTime || Date.now());
+  let dueProjects = [];
 
   try {
-    // Parse date like the manual team_daily_summary command does
-    let targetDate = new Date();
+    dueProjects = await getDueProjects(now, env);
+  } catch (error) {
+    logger.error(`Error resolving due project schedules: ${error.message}`, error);
+    return;
+  }
 
-    const startOfDay = new Date(targetDate);
-    startOfDay.setHours(0, 0, 0, 0);
-    const endOfDay = new Date(targetDate);
-    endOfDay.setHours(23, 59, 59, 999);
+  if (dueProjects.length === 0) {
+    logger.debug(`No project schedules due at ${now.toISOString()}`);
+    return;
+  }
 
-    // Get date string for display
-    const dateKey = targetDate.toISOString().split('T')[0];
+  logger.info(`Scheduled summaries due for: ${dueProjects.map(d => d.project.identifier).join(', ')}`);
 
-    // Get all projects
-    const allProjects = await fetchProjects();
+  // Claim the runs before any work: a run can outlast the next cron tick, which
+  // would otherwise find the projects not yet processed still due and post them
+  // again. A failed project is not retried within its window.
+  for (const { project, dateKey } of dueProjects) {
+    await markScheduledRun(project.identifier, dateKey);
+  }
 
-    if (!allProjects || allProjects.length === 0) {
-      logger.warn('No projects found for scheduled team summary');
-      await sendMessageToChannel(channelId, discordToken, {
-        content: `⚠️ No projects found for daily team summary on ${dateKey}`
-      });
-      return;
+  // Each destination channel gets one header/footer around its projects
+  const channelDates = new Map();
+  for (const { schedule, dateKey } of dueProjects) {
+    for (const channelId of schedule.channels) {
+      if (!channelDates.has(channelId)) channelDates.set(channelId, dateKey);
     }
+  }
+  const summariesSentByChannel = new Map([...channelDates.keys()].map(id => [id, 0]));
+  const channelLanguages = new Map();
 
-    // Filter to only process specific projects: Radar(RADAR), Forga(FORGE), SLM - Radar Agent(SLMRA), HSBC Smart Splunk(HSBCS)
-    const allowedProjectIdentifiers = ['RADAR', 'FORGE', 'SLMRA', 'HSBCS'];
-    const projects = allProjects.filter(project => allowedProjectIdentifiers.includes(project.identifier));
-
-    logger.info(`Filtered to ${projects.length} out of ${allProjects.length} total projects for scheduled processing`);
+  try {
+    // Each channel gets its summaries in its default language
+    for (const channelId of channelDates.keys()) {
+      channelLanguages.set(channelId, getSummaryLanguage(await resolveSummaryLanguage(null, channelId, env)));
+    }
 
-    if (projects.length === 0) {
-      logger.warn('No allowed projects found for scheduled team summary');
+    // Send a header message to each destination channel
+    for (const [channelId, dateKey] of channelDates) {
       await sendMessageToChannel(channelId, discordToken, {
-        content: `⚠️ No allowed projects found for daily team summary on ${dateKey}`
+        content: `${channelLanguages.get(channelId).text.scheduledHeader(dateKey)}\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━`
       });
-      return;
     }
 
-    // Send a header message
-    await sendMessageToChannel(channelId, discordToken, {
-      content: `📅 **Daily Team Summary - ${dateKey}**\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━`
-    });
-
-    let summariesSent = 0;
     let noActivityCount = 0;
 
-    // Initialize AI model once
-    const google = createGoogleGenerativeAI({ apiKey: env.GOOGLE_GENERATIVE_AI_API_KEY });
-
     // Process each project SEQUENTIALLY to avoid data mixing
-    for (const project of projects) {
+    for (const { project, schedule, dateKey } of dueProjects) {
       try {
         const projectId = project.id;
         const projectName = project.name;
         const projectIdentifier = project.identifier;
 
-        logger.info(`Processing scheduled team summary for project: ${projectName}`);
+        // Summarize the local day the schedule fired on, in the schedule's time zone
+        const { start: startOfDay, end: endOfDay } = getDayWindow(dateKey, schedule.timeZone);
+
+        logger.info(`Processing scheduled team summary for project: ${projectName} (${dateKey}, ${schedule.timeZone})`);
+
+        await waitForRateLimitBudget(PROJECT_REQUEST_BUDGET);
 
         // Start a new caching session for this project
         // This ensures fresh data is fetched once, then cached for all subsequent requests within this project
@@ -103,7 +134,7 @@ export async function handleScheduled(event, env, ctx) {
         clearActivityCaches();
 
         // Process team activities using the shared service (same as manual command)
-        const { teamMemberData, cycleInfo } = await processTeamActivities(
+        const teamData = await processTeamActivities(
           projectId,
           projectName,
           projectIdentifier,
@@ -112,6 +143,8 @@ export async function handleScheduled(event, env, ctx) {
           dateKey
         );
 
+        const { teamMemberData, truncationWarning } = teamData;
+
         // Skip if no activity
         if (teamMemberData.length === 0) {
           noActivityCount++;
@@ -119,91 +152,52 @@ export async function handleScheduled(event, env, ctx) {
           continue;
         }
 
-        // Format data for AI (same as team_daily_summary)
-        const formattedTeamData = formatTeamDataForAI(teamMemberData);
-
-        // Use AI to format summary
-        const systemPrompt = `You are a team work summary formatter. Your ONLY job is to convert structured team work data into readable text using a SPECIFIC format.
-
-STRICT RULES:
-1. ONLY describe activities that are explicitly provided in the data
-2. DO NOT infer intent, mood, or additional context
-3. DO NOT add encouragement, opinions, or commentary
-4. Use clear, professional language
-5. Follow the EXACT output format below
-6. Include comments showing progress updates on tasks (e.g., "Updated via comment: task description")
-7. Include relationship information ONLY when it appears in brackets after task names (e.g., relates_to: SLMRA-35)
-8. If a member has no completed tasks, no in-progress tasks, no comments, and no todo items, do not include them.
-9. DO NOT add relationship brackets if no relationship information is provided
-
-OUTPUT FORMAT:
-
-**PROJECT_NAME**
-CYCLE_NAME -> X% completed
-
-**TEAM_MEMBER_A**
-
-**Tasks/SubTasks Done:**
-• TASK-ID: Task Name
-• TASK-ID: Task Name [relates_to: TASK-ID]
-
-**Tasks/SubTasks in Progress:**
-• TASK-ID: Task Name (State)
-• TASK-ID: Task Name (State) [relates_to: TASK-ID]
-
-**Tasks/SubTasks Todo:**
-• TASK-ID: Task Name (State)
-• TASK-ID: Task Name (State) [relates_to: TASK-ID]
-
-**Comments/Updates:**
-• TASK-ID: Brief comment summary
-• TASK-ID: Brief comment summary [relates_to: TASK-ID]
-
-**TEAM_MEMBER_B**
-
-[Continue for all team members...]
-
----`;
-        const userPrompt = `Format this team daily summary for ${dateKey} using the exact format specified. Include comments as they show progress on tasks even when there are no formal state changes.
-PROJECT: ${projectName}
-CYCLE INFO: ${cycleInfo}
-
-TEAM MEMBERS DATA:
-${formattedTeamData}`;
-        const result = await generateText({
-          model: google(env.GEMINI_MODEL || "gemini-2.5-flash"),
-          system: systemPrompt,
-          prompt: userPrompt,
-          temperature: env.GEMINI_TEMPERATURE || 0.3,
-        });
-
-        const summary = result.text;
-
-        if (summariesSent > 0) {
-          await sendMessageToChannel(channelId, discordToken, {
-            content: `━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n📊 **${projectName}** Summary\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━`
-          });
+        // Write the summary once per language among the project's channels
+        const channelsByLanguage = new Map();
+        for (const channelId of schedule.channels) {
+          const { code } = channelLanguages.get(channelId);
+          channelsByLanguage.set(code, [...(channelsByLanguage.get(code) || []), channelId]);
         }
 
-        // Create and send embeds
-        const embedPayload = createTeamSummaryEmbed(projectName, dateKey, summary, teamMemberData.length);
-
-        // Send to Discord
-        const sent = await sendMessageToChannel(channelId, discordToken, embedPayload);
-
-        if (sent) {
-          summariesSent++;
-          logger.info(`Successfully sent scheduled team summary for ${projectName}`);
+        for (const channelIds of channelsByLanguage.values()) {
+          const language = channelLanguages.get(channelIds[0]);
+          // Same summary as team_daily_summary, so one already written for this data
+          // is reused from the cache; falls back to the plain renderer if AI fails
+          const { summary, warning } = await writeTeamSummary(
+            teamData, formatRangeLabel(dateKey), env, { style: schedule.style, language: language.code }
+          );
+
+          // Create and send embeds, with the same buttons as the manual command
+          const getUrl = id => getWorkItemBrowseUrl(env.WORKSPACE_SLUG, id, getPlaneAppUrl());
+          const summaryEmbeds = createTeamSummaryEmbed(
+            projectName, dateKey, summary, teamMemberData.length, getUrl, getSummaryStyle(schedule.style), language
+          );
+          addFooterWarning(summaryEmbeds, truncationWarning);
+          addFooterWarning(summaryEmbeds, warning);
+          const embedPayload = {
+            ...summaryEmbeds,
+            components: createTeamSummaryComponents(projectIdentifier, dateKey, getActiveMembers(teamMemberData), schedule.timeZone)
+          };
+
+          // Send to every channel this project posts to in this language
+          for (const channelId of channelIds) {
+            if (summariesSentByChannel.get(channelId) > 0) {
+              await sendMessageToChannel(channelId, discordToken, {
+                content: `━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n${language.text.scheduledProjectHeader(projectName)}\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━`
+              });
+            }
+
+            const sent = await sendMessageToChannel(channelId, discordToken, embedPayload);
+
+            if (sent) {
+              summariesSentByChannel.set(channelId, summariesSentByChannel.get(channelId) + 1);
+              logger.info(`Successfully sent scheduled team summary for ${projectName} to ${channelId} (${language.code})`);
+            }
+          }
         }
 
-        // Wait 30 seconds between projects to stay under Plane's 60 req/min rate limit
-        // This ensures we never exceed the rate limit even with multiple API calls per project
-        logger.info(`Waiting 25 seconds before processing next project...`);
-        await new Promise(resolve => setTimeout(resolve, 25000));
-
       } catch (projectError) {
         logger.error(`Error generating scheduled team summary for project ${project.name}: ${projectError.message}`);
-        await new Promise(resolve => setTimeout(resolve, 30000));
       }
     }
 
@@ -211,16 +205,47 @@ ${formattedTeamData}`;
     clearActivityCaches();
 
     // Send footer with stats
-    await sendMessageToChannel(channelId, discordToken, {
-      content: `━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n✅ Sent **${summariesSent}** team summaries`
-    });
+    for (const [channelId, summariesSent] of summariesSentByChannel) {
+      await sendMessageToChannel(channelId, discordToken, {
+        content: `━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n${channelLanguages.get(channelId).text.scheduledFooter(summariesSent)}`
+      });
+    }
 
-    logger.info(`Scheduled team summary complete: ${summariesSent} summaries sent, ${noActivityCount} with no activity`);
+    logger.info(`Scheduled team summary complete: ${dueProjects.length - noActivityCount} projects with activity, ${noActivityCount} with no activity`);
 
   } catch (error) {
     logger.error(`Error in scheduled team summary: ${error.message}`, error);
-    await sendMessageToChannel(channelId, discordToken, {
-      content: `❌ **Error generating scheduled daily team summaries**\n\n${error.message}`
-    });
+    for (const channelId of channelDates.keys()) {
+      await sendMessageToChannel(channelId, discordToken, {
+        content: `❌ **Error generating scheduled daily team summaries**\n\n${error.message}`
+      });
+    }
+  }
+}
+
+/**
+ * Find registered projects whose schedule is due at the given instant
+ * @param {Date} now - Cron tick time
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Array>} Entries of { project, schedule, dateKey }, in registry order
+ */
+async function getDueProjects(now, env) {
+  const projects = await getRegisteredProjects();
+  const due = [];
+
+  for (const project of projects) {
+    const schedule = getEffectiveSchedule(project, env);
+    if (!schedule) {
+      logger.debug(`Project ${project.identifier} has no schedule and DAILY_SUMMARY_CHANNEL_ID is not set, skipping`);
+      continue;
+    }
+
+    const lastRun = await getLastScheduledRun(project.identifier);
+    const { due: isDue, dateKey } = isScheduleDue(schedule, now, lastRun);
+    if (isDue) {
+      due.push({ project, schedule, dateKey });
+    }
   }
+
+  return due;
 }
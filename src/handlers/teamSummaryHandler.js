@@ -1,11 +1,24 @@
-import { fetchProjects } from '../services/planeApiDirect.js';
+import { fetchProjects, getPlaneAppUrl } from '../services/planeApiDirect.js';
 import {
   processTeamActivities,
   formatTeamDataForAI,
-  generateTeamSummary
+  writeTeamSummary
 } from '../services/teamSummaryService.js';
+import { resolveTimeZone } from '../services/scheduleService.js';
+import { getSummaryStyle } from '../services/summaryStyles.js';
+import { getSummaryLanguage } from '../services/summaryLanguages.js';
+import { resolveSummaryLanguage } from '../services/channelLanguageService.js';
+import { resolveSummaryRange } from '../services/summaryRangeService.js';
 import { sendFollowUp, createErrorResponse } from '../services/discordService.js';
-import { createTeamSummaryEmbed } from '../utils/embedUtils.js';
+import {
+  createTeamSummaryEmbed,
+  createRawDataEmbed,
+  createNetOutcomeEmbed,
+  addFooterWarning
+} from '../utils/embedUtils.js';
+import { createTeamSummaryComponents } from '../utils/componentUtils.js';
+import { getRangeWindow, getTodayKey, parseRangeKey, formatRangeLabel } from '../utils/dateUtils.js';
+import { getWorkItemBrowseUrl } from '../utils/utils.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -22,7 +35,10 @@ export async function handleTeamDailySummary(interaction, env) {
   const commandOptions = interactionData.options || [];
 
   const projectFilter = commandOptions.find(o => o.name === 'project')?.value;
-  const dateInput = commandOptions.find(o => o.name === 'date')?.value;
+  const format = commandOptions.find(o => o.name === 'format')?.value || 'ai';
+  const force = commandOptions.find(o => o.name === 'force')?.value === true;
+  const style = commandOptions.find(o => o.name === 'style')?.value || null;
+  const requestedLanguage = commandOptions.find(o => o.name === 'language')?.value || null;
 
   // Validate required project parameter
   if (!projectFilter || typeof projectFilter !== 'string' || projectFilter.trim() === '') {
@@ -34,78 +50,21 @@ export async function handleTeamDailySummary(interaction, env) {
   }
 
   try {
-    // Parse date
-    let targetDate = new Date();
-    if (dateInput) {
-      targetDate = new Date(dateInput);
-      if (isNaN(targetDate.getTime())) {
-        await sendFollowUp(app_id, interaction_token, {
-          content: "❌ **Invalid date format**\n\nPlease use YYYY-MM-DD format."
-        });
-        return;
-      }
-    }
-
-    const startOfDay = new Date(targetDate);
-    startOfDay.setHours(0, 0, 0, 0);
-    const endOfDay = new Date(targetDate);
-    endOfDay.setHours(23, 59, 59, 999);
-    const dateKey = targetDate.toISOString().split("T")[0];
-
-    logger.info(`Processing team summary for project ${projectFilter} on ${dateKey}`);
-
-    // Get project info (project is now required)
-    const projects = await fetchProjects();
-    const selectedProject = projects.find(
-      (p) =>
-        p.name?.toLowerCase() === projectFilter.toLowerCase() ||
-        p.identifier?.toLowerCase() === projectFilter.toLowerCase() ||
-        p.id === projectFilter
-    );
-
-    if (!selectedProject) {
+    // Resolve the day or range (defaults to today in the project's time zone)
+    let dateKey;
+    try {
+      const timeZone = await resolveTimeZone(projectFilter, env);
+      dateKey = await resolveSummaryRange(commandOptions, { timeZone, projectFilter });
+    } catch (error) {
       await sendFollowUp(app_id, interaction_token, {
-        content: `❌ **Project not found**: \`${projectFilter}\`\n\nPlease use the autocomplete dropdown to select a valid project.`
+        content: `❌ **Invalid date**\n\n${error.message}`
       });
       return;
     }
 
-    const projectId = selectedProject.id;
-    const projectName = selectedProject.name;
-
-    // Process team activities using the OPTIMIZED service
-    // The service now handles session management and cache clearing internally
-    const { teamMemberData, cycleInfo } = await processTeamActivities(
-      projectId,
-      projectName,
-      projectFilter,
-      startOfDay,
-      endOfDay,
-      dateKey
-    );
-
-    if (teamMemberData.length === 0) {
-      await sendFollowUp(app_id, interaction_token, {
-        embeds: [{
-          color: 0x99aab5,
-          title: `📊 Team Daily Summary for ${projectName} (${dateKey})`,
-          description: "No team activity found for this period.",
-          footer: { text: "0 team members with activity" }
-        }]
-      });
-      return;
-    }
-
-    // Format and send summary using AI
-    logger.info(`Formatted team data length: ${formatTeamDataForAI(teamMemberData).length} chars`);
-    const formattedTeamData = formatTeamDataForAI(teamMemberData);
-    logger.info('Starting AI summary generation...');
-    const summary = await generateTeamSummary(formattedTeamData, projectName, dateKey, cycleInfo, env);
-    logger.info(`AI summary generated, length: ${summary.length} chars`);
-
-    // Create and send embeds
-    logger.info('Sending embed to Discord...');
-    const embedPayload = createTeamSummaryEmbed(projectName, dateKey, summary, teamMemberData.length);
+    // Without a language option, the channel's default applies
+    const language = await resolveSummaryLanguage(requestedLanguage, interaction.channel_id, env);
+    const embedPayload = await buildTeamSummaryPayload(projectFilter, dateKey, env, { format, force, style, language });
     await sendFollowUp(app_id, interaction_token, embedPayload);
     logger.info('Team summary sent successfully');
 
@@ -116,3 +75,140 @@ export async function handleTeamDailySummary(interaction, env) {
     });
   }
 }
+
+/**
+ * Build the full team summary message (embeds and interactive components)
+ * @param {string} projectFilter - Project name, identifier or ID
+ * @param {string|null} requestedDateKey - Day or range to summarize (see toRangeKey), or null for today
+ * @param {Object} env - Environment variables
+ * @param {Object} options - { format: "ai" | "plain", force, style, language } where force
+ * skips a cached summary, style names a summary style (see summaryStyles) and
+ * language a summary language (see summaryLanguages)
+ * @returns {Promise<Object>} Discord message payload
+ */
+export async function buildTeamSummaryPayload(projectFilter, requestedDateKey, env, { format = 'ai', force = false, style = null, language = null } = {}) {
+  const data = await loadTeamSummaryData(projectFilter, requestedDateKey, env);
+  if (!data) {
+    return createProjectNotFoundPayload(projectFilter);
+  }
+
+  const { project, dateKey, timeZone, teamMemberData, cycleInfo, cycles, outcomes, truncationWarning } = data;
+  const projectName = project.name;
+  const projectIdentifier = project.identifier || project.id;
+  const { start, end } = parseRangeKey(dateKey);
+  const summaryLanguage = getSummaryLanguage(language);
+  const { text } = summaryLanguage;
+
+  if (teamMemberData.length === 0) {
+    return addFooterWarning({
+      embeds: [{
+        color: 0x99aab5,
+        title: text.teamTitle(start === end, projectName, formatRangeLabel(dateKey)),
+        description: text.teamEmptyPeriod,
+        footer: { text: text.teamEmptyFooter }
+      }],
+      components: createTeamSummaryComponents(projectIdentifier, dateKey, [], timeZone)
+    }, truncationWarning);
+  }
+
+  // Write the summary with AI, or the plain renderer when requested or when AI fails
+  logger.info(`Starting ${format} summary generation...`);
+  const { summary, warning } = await writeTeamSummary(
+    { teamMemberData, projectName, cycleInfo, cycles, outcomes }, formatRangeLabel(dateKey), env, { format, force, style, language: summaryLanguage.code }
+  );
+  logger.info(`Summary generated for ${summary.projects.length} projects`);
+
+  const getUrl = id => getWorkItemBrowseUrl(env.WORKSPACE_SLUG, id, getPlaneAppUrl());
+  const embedPayload = createTeamSummaryEmbed(
+    projectName, dateKey, summary, teamMemberData.length, getUrl, getSummaryStyle(style), summaryLanguage
+  );
+
+  // Over several days, add each item's net state change instead of repeating it per day
+  const outcomeEmbed = start !== end ? createNetOutcomeEmbed(outcomes, summaryLanguage) : null;
+  if (outcomeEmbed && embedPayload.embeds.length < 10) {
+    embedPayload.embeds.push(outcomeEmbed);
+  }
+  addFooterWarning(embedPayload, truncationWarning);
+  addFooterWarning(embedPayload, warning);
+
+  return {
+    ...embedPayload,
+    components: createTeamSummaryComponents(projectIdentifier, dateKey, getActiveMembers(teamMemberData), timeZone)
+  };
+}
+
+/**
+ * Build an ephemeral message with the raw data behind a team summary
+ * @param {string} projectFilter - Project name, identifier or ID
+ * @param {string|null} requestedDateKey - Day or range to summarize (see toRangeKey), or null for today
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} Discord message payload
+ */
+export async function buildTeamRawDataPayload(projectFilter, requestedDateKey, env) {
+  const data = await loadTeamSummaryData(projectFilter, requestedDateKey, env);
+  if (!data) {
+    return { ...createProjectNotFoundPayload(projectFilter), flags: 64 };
+  }
+
+  const { project, dateKey, teamMemberData, cycleInfo, outcomes } = data;
+  const outcomeText = outcomes.map(o => `  • ${o.id}: ${o.from} -> ${o.to}`).join('\n') || '  None';
+  const rawText = `CYCLE INFO: ${cycleInfo}\n\nNET OUTCOMES:\n${outcomeText}\n\n${formatTeamDataForAI(teamMemberData)}`;
+  return createRawDataEmbed(`📄 Raw data: ${project.name} (${formatRangeLabel(dateKey)})`, rawText);
+}
+
+/**
+ * Resolve the project and collect its team activity for a day or range
+ * Days are taken in the project's time zone
+ * @returns {Promise<Object|null>} Summary data, or null if the project was not found
+ */
+async function loadTeamSummaryData(projectFilter, requestedDateKey, env) {
+  // Get project info (project is now required)
+  const projects = await fetchProjects();
+  const selectedProject = projects.find(
+    (p) =>
+      p.name?.toLowerCase() === projectFilter.toLowerCase() ||
+      p.identifier?.toLowerCase() === projectFilter.toLowerCase() ||
+      p.id === projectFilter
+  );
+
+  if (!selectedProject) {
+    return null;
+  }
+
+  const timeZone = await resolveTimeZone(selectedProject.identifier, env);
+  const dateKey = requestedDateKey || getTodayKey(timeZone);
+  const { start: windowStart, end: windowEnd } = getRangeWindow(dateKey, timeZone);
+
+  logger.info(`Processing team summary for project ${projectFilter} on ${dateKey} (${timeZone})`);
+
+  // Process team activities using the OPTIMIZED service
+  // The service now handles session management and cache clearing internally
+  // Cycle progress is reported for the last day of a range
+  const { teamMemberData, cycleInfo, cycles, outcomes, truncationWarning } = await processTeamActivities(
+    selectedProject.id,
+    selectedProject.name,
+    projectFilter,
+    windowStart,
+    windowEnd,
+    parseRangeKey(dateKey).end
+  );
+
+  return { project: selectedProject, dateKey, timeZone, teamMemberData, cycleInfo, cycles, outcomes, truncationWarning };
+}
+
+/**
+ * Members who have anything to report, for the drill-down menu
+ * @param {Array} teamMemberData - Team member data
+ * @returns {Array} Members as { id, name }
+ */
+export function getActiveMembers(teamMemberData) {
+  return teamMemberData
+    .filter(m => m.completed.length + m.inProgress.length + (m.todo?.length || 0) + m.comments.length > 0)
+    .map(m => ({ id: m.id, name: m.name }));
+}
+
+function createProjectNotFoundPayload(projectFilter) {
+  return {
+    content: `❌ **Project not found**: \`${projectFilter}\`\n\nPlease use the autocomplete dropdown to select a valid project.`
+  };
+}
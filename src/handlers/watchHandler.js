@@ -0,0 +1,101 @@
+import { fetchWorkItem, getPlaneAppUrl } from '../services/planeApiDirect.js';
+import { resolveWorkItem, parseWorkItemIdentifier } from '../services/workItemService.js';
+import { watchWorkItem, unwatchWorkItem, getUserWatches } from '../services/watchService.js';
+import { sendFollowUp } from '../services/discordService.js';
+import { getDiscordUserId, getSubcommand } from '../utils/interactionUtils.js';
+import { getIssueUrl } from '../utils/utils.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Handle the watch command (add | list)
+ * @param {Object} interaction - Discord interaction object
+ * @param {Object} env - Environment variables
+ */
+export async function handleWatchCommand(interaction, env) {
+  const { application_id, token } = interaction;
+  const { subcommand, options } = getSubcommand(interaction);
+  const discordUserId = getDiscordUserId(interaction);
+
+  try {
+    if (subcommand === 'list') {
+      await sendFollowUp(application_id, token, { content: await formatWatchList(discordUserId, env) });
+      return;
+    }
+
+    const identifier = options.find(o => o.name === 'id')?.value?.trim().toUpperCase();
+    if (!parseWorkItemIdentifier(identifier)) {
+      await sendFollowUp(application_id, token, {
+        content: `❌ **Invalid work item ID**: \`${identifier || ''}\`\n\nUse the PROJECT-NUMBER format (e.g., RADAR-123).`
+      });
+      return;
+    }
+
+    const resolved = await resolveWorkItem(identifier);
+    if (!resolved) {
+      await sendFollowUp(application_id, token, {
+        content: `❌ **Work item not found**: \`${identifier}\``
+      });
+      return;
+    }
+
+    const added = await watchWorkItem(discordUserId, interaction.channel_id, resolved);
+    await sendFollowUp(application_id, token, {
+      content: added
+        ? `👀 Watching **${resolved.identifier}** ${resolved.workItem.name}\n\nYou'll get a DM when its state, assignees or comments change.`
+        : `👀 You're already watching **${resolved.identifier}**.`
+    });
+
+  } catch (error) {
+    logger.error(`Error in watch ${subcommand}: ${error.message}`, error);
+    await sendFollowUp(application_id, token, {
+      content: `❌ **Error updating watches**\n\n${error.message}`
+    });
+  }
+}
+
+/**
+ * Handle the unwatch command
+ * @param {Object} interaction - Discord interaction object
+ * @param {Object} env - Environment variables
+ */
+export async function handleUnwatchCommand(interaction, env) {
+  const { application_id, token } = interaction;
+  const identifier = interaction.data?.options?.find(o => o.name === 'id')?.value?.trim().toUpperCase() || '';
+
+  try {
+    const removed = await unwatchWorkItem(getDiscordUserId(interaction), identifier);
+    await sendFollowUp(application_id, token, {
+      content: removed
+        ? `🔕 Stopped watching **${identifier}**.`
+        : `❌ **Not watching** \`${identifier}\`\n\nUse \`/watch list\` to see your watched work items.`
+    });
+  } catch (error) {
+    logger.error(`Error in unwatch ${identifier}: ${error.message}`, error);
+    await sendFollowUp(application_id, token, {
+      content: `❌ **Error updating watches**\n\n${error.message}`
+    });
+  }
+}
+
+/**
+ * List a user's watched items with their current state
+ */
+async function formatWatchList(discordUserId, env) {
+  const watches = await getUserWatches(discordUserId);
+  if (watches.length === 0) {
+    return '👀 You are not watching any work items. Use `/watch add` to start.';
+  }
+
+  const lines = await Promise.all(watches.map(async (watch) => {
+    const url = getIssueUrl(env.WORKSPACE_SLUG, watch.projectId, watch.workItemId, getPlaneAppUrl());
+    try {
+      const workItem = await fetchWorkItem(watch.projectId, watch.workItemId, 'state');
+      return `• [${watch.identifier}](${url}) ${workItem.name} — **${workItem.state?.name || 'Unknown'}**`;
+    } catch (error) {
+      logger.warn(`Could not load watched item ${watch.identifier}: ${error.message}`);
+      return `• [${watch.identifier}](${url}) ${watch.name} — _unavailable_`;
+    }
+  }));
+
+  return `👀 **Watched work items**\n\n${lines.join('\n')}`;
+}
@@ -0,0 +1,76 @@
+import { initPlaneService, preloadAllUsers, getPlaneAppUrl } from '../services/planeApiDirect.js';
+import { initStorage } from '../services/storageService.js';
+import { initCache } from '../services/cacheService.js';
+import { getWatches, getWatchUpdates, markWatchesChecked } from '../services/watchService.js';
+import { sendDirectMessage, sendMessageToChannel } from '../services/discordService.js';
+import { getIssueUrl } from '../utils/utils.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Handle the watch notifier cron: tell each watcher what changed on their
+ * watched work items since the previous run. Watchers get a DM, or a mention
+ * in the channel they used /watch in if DMs fail.
+ * @param {Object} event - Scheduled event
+ * @param {Object} env - Environment variables
+ * @param {Object} ctx - Context object
+ */
+export async function handleWatchNotifications(event, env, ctx) {
+  if (!env.DISCORD_TOKEN) {
+    logger.error('DISCORD_TOKEN is not configured');
+    return;
+  }
+
+  initPlaneService({
+    PLANE_API_KEY: env.PLANE_API_KEY,
+    PLANE_BASE_URL: env.PLANE_BASE_URL || 'https://plane.superalign.ai/api/v1',
+    WORKSPACE_SLUG: env.WORKSPACE_SLUG,
+    PLANE_PAGE_SIZE: env.PLANE_PAGE_SIZE,
+    PLANE_MAX_WORK_ITEMS: env.PLANE_MAX_WORK_ITEMS,
+    PLANE_MAX_ACTIVITIES: env.PLANE_MAX_ACTIVITIES,
+    PLANE_REQUESTS_PER_MINUTE: env.PLANE_REQUESTS_PER_MINUTE,
+  });
+  initStorage(env);
+  initCache(env, { ctx });
+
+  try {
+    const entries = await getWatches();
+    if (entries.length === 0) return;
+
+    await preloadAllUsers();
+    const runStartedAt = new Date().toISOString();
+    const checkedAtById = {};
+
+    for (const entry of entries) {
+      try {
+        const updates = await getWatchUpdates(entry, runStartedAt);
+        checkedAtById[entry.workItemId] = runStartedAt;
+        if (updates.length === 0) continue;
+
+        const url = getIssueUrl(env.WORKSPACE_SLUG, entry.projectId, entry.workItemId, getPlaneAppUrl());
+        const content = `👀 [${entry.identifier}](${url}) ${entry.name}\n${updates.join('\n')}`.substring(0, 2000);
+
+        for (const [userId, { channelId }] of Object.entries(entry.watchers)) {
+          await notifyWatcher(userId, channelId, content, env.DISCORD_TOKEN);
+        }
+        logger.info(`Notified ${Object.keys(entry.watchers).length} watchers of ${updates.length} updates on ${entry.identifier}`);
+      } catch (entryError) {
+        logger.error(`Error checking watched item ${entry.identifier}: ${entryError.message}`);
+      }
+    }
+
+    await markWatchesChecked(checkedAtById);
+  } catch (error) {
+    logger.error(`Error in watch notifier: ${error.message}`, error);
+  }
+}
+
+async function notifyWatcher(userId, channelId, content, discordToken) {
+  if (await sendDirectMessage(userId, discordToken, { content })) return;
+
+  if (channelId) {
+    await sendMessageToChannel(channelId, discordToken, {
+      content: `<@${userId}> ${content}`.substring(0, 2000),
+      allowed_mentions: { users: [userId] }
+    });
+  }
+}
@@ -0,0 +1,81 @@
+import { initPlaneService, clearActivityCaches, waitForRateLimitBudget } from '../services/planeApiDirect.js';
+import { initStorage } from '../services/storageService.js';
+import { initCache } from '../services/cacheService.js';
+import { initProjectRegistry, getRegisteredProjects } from '../services/projectRegistry.js';
+import { getWorkspaceTimeZone } from '../services/scheduleService.js';
+import {
+  buildProjectDigest,
+  summarizeDigest,
+  generateDigestNarrative
+} from '../services/weeklyDigestService.js';
+import { sendMessageToChannel } from '../services/discordService.js';
+import { createWeeklyDigestEmbed } from '../utils/embedUtils.js';
+import { getTodayKey, getStartOfWeek, toRangeKey } from '../utils/dateUtils.js';
+import logger from '../utils/logger.js';
+
+// Plane requests a project usually needs before its first activity fetches;
+// the rate limiter throttles anything beyond that
+const PROJECT_REQUEST_BUDGET = 20;
+
+/**
+ * Handle the weekly digest cron: one message rolling up every registered project
+ * for Monday through today (in the workspace time zone)
+ * @param {Object} event - Scheduled event
+ * @param {Object} env - Environment variables
+ * @param {Object} ctx - Context object
+ */
+export async function handleWeeklyDigest(event, env, ctx) {
+  const channelId = env.WEEKLY_DIGEST_CHANNEL_ID || env.DAILY_SUMMARY_CHANNEL_ID;
+  const discordToken = env.DISCORD_TOKEN;
+
+  if (!channelId || !discordToken) {
+    logger.error('WEEKLY_DIGEST_CHANNEL_ID (or DAILY_SUMMARY_CHANNEL_ID) and DISCORD_TOKEN must be configured');
+    return;
+  }
+
+  initPlaneService({
+    PLANE_API_KEY: env.PLANE_API_KEY,
+    PLANE_BASE_URL: env.PLANE_BASE_URL || 'https://plane.superalign.ai/api/v1',
+    WORKSPACE_SLUG: env.WORKSPACE_SLUG,
+    PLANE_PAGE_SIZE: env.PLANE_PAGE_SIZE,
+    PLANE_MAX_WORK_ITEMS: env.PLANE_MAX_WORK_ITEMS,
+    PLANE_MAX_ACTIVITIES: env.PLANE_MAX_ACTIVITIES,
+    PLANE_REQUESTS_PER_MINUTE: env.PLANE_REQUESTS_PER_MINUTE,
+  });
+  initStorage(env);
+  initCache(env, { ctx });
+  initProjectRegistry(env);
+
+  const timeZone = getWorkspaceTimeZone(env);
+  const today = getTodayKey(timeZone, new Date(event?.scheduledTime || Date.now()));
+  const rangeKey = toRangeKey(getStartOfWeek(today), today);
+
+  try {
+    const projects = await getRegisteredProjects();
+    logger.info(`Building weekly digest for ${rangeKey} across ${projects.length} projects`);
+
+    const projectDigests = [];
+    for (const project of projects) {
+      try {
+        await waitForRateLimitBudget(PROJECT_REQUEST_BUDGET);
+        projectDigests.push(await buildProjectDigest(project, rangeKey, timeZone));
+      } catch (projectError) {
+        logger.error(`Error building weekly digest for ${project.identifier}: ${projectError.message}`);
+      }
+    }
+
+    clearActivityCaches();
+
+    const totals = summarizeDigest(projectDigests);
+    const narrative = await generateDigestNarrative(projectDigests, totals, rangeKey, env);
+
+    await sendMessageToChannel(channelId, discordToken, createWeeklyDigestEmbed(rangeKey, projectDigests, totals, narrative));
+    logger.info(`Weekly digest sent: ${totals.completed} completed, ${totals.started} started, ${totals.newlyBlocked} newly blocked`);
+
+  } catch (error) {
+    logger.error(`Error in weekly digest: ${error.message}`, error);
+    await sendMessageToChannel(channelId, discordToken, {
+      content: `❌ **Error generating the weekly digest**\n\n${error.message}`
+    });
+  }
+}
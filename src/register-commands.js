@@ -2,10 +2,13 @@ import { REST } from '@discordjs/rest';
 import { Routes } from 'discord.js';
 import { SlashCommandBuilder } from '@discordjs/builders';
 import { config } from 'dotenv';
+import { getSummaryLanguageChoices } from './services/summaryLanguages.js';
 
 // Load environment variables
 config();
 
+const languageChoices = getSummaryLanguageChoices();
+
 const commands = [
   new SlashCommandBuilder()
     .setName('person_daily_summary')
@@ -27,7 +30,69 @@ const commands = [
     .addStringOption(option =>
       option
         .setName('date')
-        .setDescription('Date to summarize (YYYY-MM-DD)')
+        .setDescription('Date to summarize: today, yesterday, last friday, -2d, YYYY-MM-DD or a..b')
+        .setRequired(false)
+        .setAutocomplete(true)
+    )
+    .addStringOption(option =>
+      option
+        .setName('range')
+        .setDescription('Summarize a longer period (around `date`, default today)')
+        .setRequired(false)
+        .addChoices(
+          { name: 'Day', value: 'day' },
+          { name: 'Week (Mon–Sun)', value: 'week' },
+          { name: 'Sprint (current cycle)', value: 'sprint' },
+          { name: 'Custom (start_date..end_date)', value: 'custom' }
+        )
+    )
+    .addStringOption(option =>
+      option
+        .setName('start_date')
+        .setDescription('First day of a custom range')
+        .setRequired(false)
+        .setAutocomplete(true)
+    )
+    .addStringOption(option =>
+      option
+        .setName('end_date')
+        .setDescription('Last day of a custom range (default today)')
+        .setRequired(false)
+        .setAutocomplete(true)
+    )
+    .addStringOption(option =>
+      option
+        .setName('format')
+        .setDescription('How the summary is written (default AI)')
+        .setRequired(false)
+        .addChoices(
+          { name: 'AI', value: 'ai' },
+          { name: 'Plain (no AI)', value: 'plain' }
+        )
+    )
+    .addStringOption(option =>
+      option
+        .setName('style')
+        .setDescription('Summary layout (default Detailed)')
+        .setRequired(false)
+        .addChoices(
+          { name: 'Detailed', value: 'detailed' },
+          { name: 'Brief (one line per member)', value: 'brief' },
+          { name: 'Standup (yesterday / today / blockers)', value: 'standup' },
+          { name: 'Changes only', value: 'changes-only' }
+        )
+    )
+    .addStringOption(option =>
+      option
+        .setName('language')
+        .setDescription('Language of the summary (default: the channel\'s language)')
+        .setRequired(false)
+        .addChoices(...languageChoices)
+    )
+    .addBooleanOption(option =>
+      option
+        .setName('force')
+        .setDescription('Write a new summary even if one was cached for the same data')
         .setRequired(false)
     ),
 
@@ -45,8 +110,313 @@ const commands = [
     .addStringOption(option =>
       option
         .setName('date')
-        .setDescription('Date to summarize (YYYY-MM-DD)')
+        .setDescription('Date to summarize: today, yesterday, last friday, -2d, YYYY-MM-DD or a..b')
+        .setRequired(false)
+        .setAutocomplete(true)
+    )
+    .addStringOption(option =>
+      option
+        .setName('range')
+        .setDescription('Summarize a longer period (around `date`, default today)')
+        .setRequired(false)
+        .addChoices(
+          { name: 'Day', value: 'day' },
+          { name: 'Week (Mon–Sun)', value: 'week' },
+          { name: 'Sprint (current cycle)', value: 'sprint' },
+          { name: 'Custom (start_date..end_date)', value: 'custom' }
+        )
+    )
+    .addStringOption(option =>
+      option
+        .setName('start_date')
+        .setDescription('First day of a custom range')
+        .setRequired(false)
+        .setAutocomplete(true)
+    )
+    .addStringOption(option =>
+      option
+        .setName('end_date')
+        .setDescription('Last day of a custom range (default today)')
+        .setRequired(false)
+        .setAutocomplete(true)
+    )
+    .addStringOption(option =>
+      option
+        .setName('format')
+        .setDescription('How the summary is written (default AI)')
         .setRequired(false)
+        .addChoices(
+          { name: 'AI', value: 'ai' },
+          { name: 'Plain (no AI)', value: 'plain' }
+        )
+    )
+    .addStringOption(option =>
+      option
+        .setName('style')
+        .setDescription('Summary layout (default Detailed)')
+        .setRequired(false)
+        .addChoices(
+          { name: 'Detailed', value: 'detailed' },
+          { name: 'Brief (one line per member)', value: 'brief' },
+          { name: 'Standup (yesterday / today / blockers)', value: 'standup' },
+          { name: 'Changes only', value: 'changes-only' }
+        )
+    )
+    .addStringOption(option =>
+      option
+        .setName('language')
+        .setDescription('Language of the summary (default: the channel\'s language)')
+        .setRequired(false)
+        .addChoices(...languageChoices)
+    )
+    .addBooleanOption(option =>
+      option
+        .setName('force')
+        .setDescription('Write a new summary even if one was cached for the same data')
+        .setRequired(false)
+    ),
+
+  new SlashCommandBuilder()
+    .setName('link_plane_account')
+    .setDescription('Link your Discord account to your Plane account')
+    .addStringOption(option =>
+      option
+        .setName('person')
+        .setDescription('Your Plane account')
+        .setRequired(true)
+        .setAutocomplete(true)
+    ),
+
+  new SlashCommandBuilder()
+    .setName('my_tasks')
+    .setDescription('List your open Plane work items (requires /link_plane_account)'),
+
+  new SlashCommandBuilder()
+    .setName('issue')
+    .setDescription('Show details for a work item')
+    .addStringOption(option =>
+      option
+        .setName('id')
+        .setDescription('Work item ID (e.g. RADAR-123) or name')
+        .setRequired(true)
+        .setAutocomplete(true)
+    ),
+
+  new SlashCommandBuilder()
+    .setName('watch')
+    .setDescription('Get a DM when a work item changes')
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('add')
+        .setDescription('Watch a work item for state, assignee and comment changes')
+        .addStringOption(option =>
+          option
+            .setName('id')
+            .setDescription('Work item ID (e.g. RADAR-123) or name')
+            .setRequired(true)
+            .setAutocomplete(true)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('list')
+        .setDescription('Show your watched work items and their current state')
+    ),
+
+  new SlashCommandBuilder()
+    .setName('unwatch')
+    .setDescription('Stop watching a work item')
+    .addStringOption(option =>
+      option
+        .setName('id')
+        .setDescription('Watched work item ID')
+        .setRequired(true)
+        .setAutocomplete(true)
+    ),
+
+  new SlashCommandBuilder()
+    .setName('projects')
+    .setDescription('Manage which projects the bot summarizes')
+    // Not restricted by default: list is for everyone, the handler checks admins
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('add')
+        .setDescription('Register a project (or move it to a new position)')
+        .addStringOption(option =>
+          option
+            .setName('project')
+            .setDescription('Project to register')
+            .setRequired(true)
+            .setAutocomplete(true)
+        )
+        .addIntegerOption(option =>
+          option
+            .setName('position')
+            .setDescription('Position in the summary order (1 = first)')
+            .setRequired(false)
+            .setMinValue(1)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('remove')
+        .setDescription('Unregister a project')
+        .addStringOption(option =>
+          option
+            .setName('project')
+            .setDescription('Project to unregister')
+            .setRequired(true)
+            .setAutocomplete(true)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('list')
+        .setDescription('List registered projects in summary order')
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('notify')
+        .setDescription('Set the channel for real-time Plane notifications (omit channel to reset)')
+        .addStringOption(option =>
+          option
+            .setName('project')
+            .setDescription('Registered project')
+            .setRequired(true)
+            .setAutocomplete(true)
+        )
+        .addChannelOption(option =>
+          option
+            .setName('channel')
+            .setDescription('Channel for notifications (default: the project summary channel)')
+            .setRequired(false)
+        )
+    ),
+
+  new SlashCommandBuilder()
+    .setName('schedule')
+    .setDescription('Configure when and where project summaries are posted')
+    // Not restricted by default: list is for everyone, the handler checks admins
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('set')
+        .setDescription('Set the summary channel and posting time for a project')
+        .addStringOption(option =>
+          option
+            .setName('project')
+            .setDescription('Registered project to schedule')
+            .setRequired(true)
+            .setAutocomplete(true)
+        )
+        .addChannelOption(option =>
+          option
+            .setName('channel')
+            .setDescription('Channel to post the summary in')
+            .setRequired(true)
+        )
+        .addStringOption(option =>
+          option
+            .setName('time')
+            .setDescription('Posting time, 24-hour HH:MM (e.g. 18:30)')
+            .setRequired(true)
+        )
+        .addStringOption(option =>
+          option
+            .setName('timezone')
+            .setDescription('IANA time zone (e.g. Asia/Kolkata, Europe/London)')
+            .setRequired(true)
+        )
+        .addStringOption(option =>
+          option
+            .setName('days')
+            .setDescription('Days to post on (e.g. mon-fri, weekdays, daily, mon,wed,fri). Default: mon-fri')
+            .setRequired(false)
+        )
+        .addChannelOption(option =>
+          option
+            .setName('additional_channel')
+            .setDescription('Also post the summary in this channel')
+            .setRequired(false)
+        )
+        .addStringOption(option =>
+          option
+            .setName('style')
+            .setDescription('Summary layout (default Detailed)')
+            .setRequired(false)
+            .addChoices(
+              { name: 'Detailed', value: 'detailed' },
+              { name: 'Brief (one line per member)', value: 'brief' },
+              { name: 'Standup (yesterday / today / blockers)', value: 'standup' },
+              { name: 'Changes only', value: 'changes-only' }
+            )
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('clear')
+        .setDescription('Remove a project schedule (falls back to the default)')
+        .addStringOption(option =>
+          option
+            .setName('project')
+            .setDescription('Registered project')
+            .setRequired(true)
+            .setAutocomplete(true)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('list')
+        .setDescription('Show the summary schedule of every registered project')
+    ),
+
+  new SlashCommandBuilder()
+    .setName('language')
+    .setDescription('Set the language summaries are written in, per channel')
+    // Not restricted by default: list is for everyone, the handler checks admins
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('set')
+        .setDescription('Set the default summary language of a channel')
+        .addStringOption(option =>
+          option
+            .setName('language')
+            .setDescription('Language to write summaries in')
+            .setRequired(true)
+            .addChoices(...languageChoices)
+        )
+        .addChannelOption(option =>
+          option
+            .setName('channel')
+            .setDescription('Channel to set (default: this channel)')
+            .setRequired(false)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('clear')
+        .setDescription('Remove a channel\'s default summary language')
+        .addChannelOption(option =>
+          option
+            .setName('channel')
+            .setDescription('Channel to clear (default: this channel)')
+            .setRequired(false)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('list')
+        .setDescription('Show the channels with their own summary language')
+    ),
+
+  new SlashCommandBuilder()
+    .setName('issue_create')
+    .setDescription('Create a new work item in Plane')
+    .addStringOption(option =>
+      option
+        .setName('project')
+        .setDescription('Project to create the work item in')
+        .setRequired(true)
+        .setAutocomplete(true)
     )
 ];
 
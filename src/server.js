@@ -1,11 +1,18 @@
 import { Router } from 'itty-router';
 import { handleInteraction } from './handlers/interactionHandler.js';
 import { handleScheduled } from './handlers/scheduledHandler.js';
+import { handleWeeklyDigest } from './handlers/weeklyDigestHandler.js';
+import { handlePlaneWebhook } from './handlers/planeWebhookHandler.js';
+import { handleChangeDetection } from './handlers/changeDetectorHandler.js';
+import { handleWatchNotifications } from './handlers/watchNotifierHandler.js';
 
 // https://plane-discord-bot.abhinav-103.workers.dev
 
 const router = Router();
 
+// Must match the weekly entry in wrangler.toml [triggers] crons
+const WEEKLY_DIGEST_CRON = '30 11 * * FRI';
+
 /**
  * PING Handshake / Health check
  */
@@ -17,9 +24,21 @@ router.get('/', () => new Response('Plane Discord Bot is running!'));
 router.post('/', handleInteraction);
 
 /**
- * Scheduled handler for cron trigger
+ * Plane Webhook Endpoint
+ */
+router.post('/plane/webhook', handlePlaneWebhook);
+
+/**
+ * Scheduled handler for cron triggers
  */
 async function scheduledHandler(event, env, ctx) {
+  if (event.cron === WEEKLY_DIGEST_CRON) {
+    await handleWeeklyDigest(event, env, ctx);
+    return;
+  }
+  // Notifications are quick, so they run before the summaries and their rate limit pauses
+  await handleChangeDetection(event, env, ctx);
+  await handleWatchNotifications(event, env, ctx);
   await handleScheduled(event, env, ctx);
 }
 
@@ -0,0 +1,31 @@
+import { getJSON, putJSON } from './storageService.js';
+import logger from '../utils/logger.js';
+
+const KEY_PREFIX = 'account-link:';
+
+/**
+ * Link a Discord user to a Plane workspace member
+ * @param {string} discordUserId - Discord user ID
+ * @param {Object} person - Plane member { id, name }
+ * @returns {Promise<Object>} Stored link
+ */
+export async function linkPlaneAccount(discordUserId, person) {
+  const link = {
+    planeUserId: person.id,
+    planeName: person.name,
+    linkedAt: new Date().toISOString()
+  };
+
+  await putJSON(`${KEY_PREFIX}${discordUserId}`, link);
+  logger.info(`Linked Discord user ${discordUserId} to Plane member ${person.name}`);
+  return link;
+}
+
+/**
+ * Get the Plane member linked to a Discord user
+ * @param {string} discordUserId - Discord user ID
+ * @returns {Promise<Object|null>} { planeUserId, planeName, linkedAt } or null if not linked
+ */
+export async function getLinkedPlaneAccount(discordUserId) {
+  return getJSON(`${KEY_PREFIX}${discordUserId}`);
+}
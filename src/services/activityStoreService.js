@@ -0,0 +1,299 @@
+import { fetchWorkspaceActivitiesPage } from './planeApiDirect.js';
+import { getJSON, putJSON } from './storageService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Activity store: workspace activities synced incrementally from Plane
+ *
+ * Summaries used to fetch the activities, comments and sub-items of every
+ * work item they looked at. Instead, each sync pulls the workspace activities
+ * endpoint from a stored cursor (the newest created_at seen so far) and files
+ * the new activities in KV, per project and keyed by work item and actor:
+ *
+ *   activity-store:<projectId> -> { [workItemId]: { [actorId]: [activity] } }
+ *   activity-sync-state        -> { cursor, coveredFrom, syncedAt, caughtUp }
+ *
+ * coveredFrom is the oldest time the store is complete from. A summary of an
+ * earlier window first backfills the gap; windows older than the retention
+ * period fall back to per-item requests.
+ *
+ * Syncs in other isolates may write a project's store at the same time, and
+ * the last write wins. Each sync re-reads the stores it wrote and only moves
+ * the cursor and coveredFrom over activities it found there, so an activity
+ * lost to a concurrent write is fetched again by the next sync.
+ */
+
+const SYNC_STATE_KEY = 'activity-sync-state';
+const STORE_KEY_PREFIX = 'activity-store:';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RETENTION_DAYS = 35; // The longest summary period (31 days) plus slack
+const MIN_SYNC_INTERVAL_MS = 60 * 1000; // Summaries within a minute share one sync
+const MAX_SYNC_ROUNDS = 10; // Each round reads up to MAX_PAGES pages
+const MAX_STORE_ATTEMPTS = 3; // Writes of one project's store per sync
+const UNAVAILABLE_RETRY_MS = 60 * 60 * 1000;
+
+let lastSyncAt = 0;
+let pendingSync = null;
+let unavailableUntil = 0;
+
+/**
+ * Sync the store and open it for reading a summary window
+ * @param {Date} startDate - Start of the summary window
+ * @returns {Promise<Object|null>} Store reader, or null when the caller should
+ * fetch activities per work item (window too old, or the sync failed)
+ */
+export async function openActivityStore(startDate) {
+  const now = Date.now();
+  if (now < unavailableUntil) return null;
+
+  if (startDate.getTime() < now - RETENTION_DAYS * DAY_MS) {
+    logger.info(`Window starts before the activity store retention (${RETENTION_DAYS} days), fetching per work item`);
+    return null;
+  }
+
+  try {
+    const state = await syncActivities(startDate);
+    if (!state.caughtUp) {
+      logger.warn('Activity store is still catching up, fetching per work item');
+      return null;
+    }
+    return createStoreReader();
+  } catch (error) {
+    const status = error.response?.status;
+    if (status === 403 || status === 404) {
+      unavailableUntil = now + UNAVAILABLE_RETRY_MS;
+    }
+    logger.warn(`Activity sync failed${status ? ` (${status})` : ''}, fetching per work item: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Bring the store up to date, backfilling it back to startDate if needed
+ * @param {Date} startDate - Oldest time the store must cover
+ * @returns {Promise<Object>} Sync state
+ */
+async function syncActivities(startDate) {
+  if (pendingSync) await pendingSync.catch(() => {});
+
+  const state = await getJSON(SYNC_STATE_KEY);
+  const covered = state && new Date(state.coveredFrom) <= startDate;
+  if (covered && state.caughtUp && Date.now() - lastSyncAt < MIN_SYNC_INTERVAL_MS) {
+    return state;
+  }
+
+  pendingSync = runSync(state, startDate);
+  try {
+    return await pendingSync;
+  } finally {
+    pendingSync = null;
+  }
+}
+
+async function runSync(state, startDate) {
+  const syncStartedAt = Date.now();
+  const retentionStart = new Date(syncStartedAt - RETENTION_DAYS * DAY_MS);
+  const wantedFrom = new Date(Math.max(startDate.getTime(), retentionStart.getTime()));
+
+  let coveredFrom = state ? new Date(state.coveredFrom) : wantedFrom;
+  let cursor = state?.cursor || wantedFrom.toISOString();
+
+  // Backfill the gap before the covered period
+  let backfill = { activities: [] };
+  if (state && wantedFrom < coveredFrom) {
+    backfill = await fetchActivitiesSince(wantedFrom.toISOString(), coveredFrom.toISOString());
+    if (!backfill.complete) {
+      throw new Error(`Too many activities to backfill from ${wantedFrom.toISOString()}`);
+    }
+  }
+
+  // Everything since the cursor; an incomplete read is picked up by the next sync
+  const recent = await fetchActivitiesSince(cursor);
+
+  const fetched = [...backfill.activities, ...recent.activities];
+  const { added, unconfirmed } = await storeActivities(fetched, retentionStart);
+
+  if (!backfill.activities.some(a => unconfirmed.has(a.id))) {
+    coveredFrom = new Date(Math.min(coveredFrom.getTime(), wantedFrom.getTime()));
+  }
+
+  // Stop the cursor at the oldest unconfirmed activity so the next sync reads it again
+  const missed = recent.activities.filter(a => unconfirmed.has(a.id));
+  const stored = missed.length > 0
+    ? recent.activities.filter(a => timeOf(a) < Math.min(...missed.map(timeOf)))
+    : recent.activities;
+  for (const activity of stored) {
+    if (timeOf(activity) > new Date(cursor).getTime()) cursor = activity.created_at;
+  }
+
+  const nextState = {
+    cursor,
+    coveredFrom: new Date(Math.max(coveredFrom.getTime(), retentionStart.getTime())).toISOString(),
+    syncedAt: new Date(syncStartedAt).toISOString(),
+    caughtUp: recent.complete && missed.length === 0,
+  };
+  await putJSON(SYNC_STATE_KEY, nextState);
+  lastSyncAt = syncStartedAt;
+
+  if (unconfirmed.size > 0) {
+    logger.warn(`Activity sync: ${unconfirmed.size} activities not confirmed stored, they will be fetched again`);
+  }
+  logger.info(`🔁 Activity sync: ${added} new of ${fetched.length} fetched, cursor ${cursor}`);
+  return nextState;
+}
+
+/**
+ * Fetch workspace activities created at or after `since` (and before `until`),
+ * oldest first, continuing from the newest one whenever a read is cut short
+ * @returns {Promise<Object>} { activities, complete }
+ */
+async function fetchActivitiesSince(since, until = null) {
+  const activities = [];
+  const untilMs = until ? new Date(until).getTime() : Infinity;
+  let from = since;
+
+  for (let round = 0; round < MAX_SYNC_ROUNDS; round++) {
+    const { items, truncated } = await fetchWorkspaceActivitiesPage({
+      created_at__gte: from,
+      ...(until ? { created_at__lt: until } : {}),
+      order_by: 'created_at',
+    }, { reportTruncation: false });
+
+    const fromMs = new Date(from).getTime();
+    const inRange = items.filter(a => timeOf(a) >= fromMs && timeOf(a) < untilMs);
+    activities.push(...inRange);
+    if (!truncated) return { activities, complete: true };
+
+    const newest = inRange.reduce((latest, a) => (timeOf(a) > timeOf(latest) ? a : latest), null);
+    if (!newest || timeOf(newest) === fromMs) break; // No progress, e.g. the endpoint ignores the filters
+    from = newest.created_at;
+  }
+
+  logger.warn(`Activity read cut short at ${from}`);
+  return { activities, complete: false };
+}
+
+/**
+ * File activities into the per-project stores, dropping ones past retention
+ * Each store is read back after writing it and written again while a
+ * concurrent write has dropped some of the activities.
+ * @returns {Promise<Object>} { added, unconfirmed } - count of activities that
+ * were not stored yet, and IDs of the ones still missing after the last attempt
+ */
+async function storeActivities(activities, retentionStart) {
+  const byProject = new Map();
+  for (const activity of activities) {
+    const projectId = activity.project;
+    const workItemId = activity.issue || activity.work_item;
+    if (!projectId || !workItemId) continue; // Not about a work item
+
+    if (!byProject.has(projectId)) byProject.set(projectId, []);
+    byProject.get(projectId).push(toStoredActivity(activity, workItemId));
+  }
+
+  const retainedFrom = retentionStart.getTime();
+  const unconfirmed = new Set();
+  let added = 0;
+
+  for (const [projectId, projectActivities] of byProject) {
+    const key = `${STORE_KEY_PREFIX}${projectId}`;
+    let pending = projectActivities.filter(a => timeOf(a) >= retainedFrom);
+    let store = (await getJSON(key)) || {};
+
+    for (let attempt = 0; attempt < MAX_STORE_ATTEMPTS; attempt++) {
+      const missing = pending.filter(a => !hasActivity(store, a));
+      if (missing.length === 0) break;
+
+      for (const activity of missing) {
+        const byActor = (store[activity.workItemId] ||= {});
+        (byActor[activity.actor || 'unknown'] ||= []).push(activity);
+      }
+      if (attempt === 0) added += missing.length;
+      pending = missing;
+
+      pruneStore(store, retainedFrom);
+      await putJSON(key, store, { expirationTtl: RETENTION_DAYS * DAY_MS / 1000 });
+      store = (await getJSON(key)) || {};
+    }
+
+    for (const activity of pending) {
+      if (!hasActivity(store, activity)) unconfirmed.add(activity.id);
+    }
+  }
+
+  return { added, unconfirmed };
+}
+
+function hasActivity(store, activity) {
+  const list = store[activity.workItemId]?.[activity.actor || 'unknown'];
+  return !!list?.some(a => a.id === activity.id);
+}
+
+function toStoredActivity(activity, workItemId) {
+  return {
+    id: activity.id,
+    workItemId,
+    actor: activity.actor || activity.actor_detail?.id || null,
+    verb: activity.verb,
+    field: activity.field,
+    old_value: activity.old_value,
+    new_value: activity.new_value,
+    created_at: activity.created_at,
+  };
+}
+
+function pruneStore(store, retainedFrom) {
+  for (const [workItemId, byActor] of Object.entries(store)) {
+    for (const [actor, list] of Object.entries(byActor)) {
+      const kept = list.filter(a => timeOf(a) >= retainedFrom);
+      if (kept.length > 0) byActor[actor] = kept;
+      else delete byActor[actor];
+    }
+    if (Object.keys(byActor).length === 0) delete store[workItemId];
+  }
+}
+
+function timeOf(activity) {
+  return new Date(activity.created_at).getTime();
+}
+
+/**
+ * Reader over the stored activities; each project's store is read once
+ */
+function createStoreReader() {
+  const projects = new Map();
+
+  const loadProject = (projectId) => {
+    if (!projects.has(projectId)) {
+      projects.set(projectId, getJSON(`${STORE_KEY_PREFIX}${projectId}`).then(store => store || {}));
+    }
+    return projects.get(projectId);
+  };
+
+  return {
+    /**
+     * Get a work item's activities and comments, shaped like the per-item
+     * Plane endpoints return them
+     * @param {string} projectId - Project ID
+     * @param {string} workItemId - Work item ID
+     * @returns {Promise<Object>} { activities, comments }
+     */
+    async getWorkItemActivities(projectId, workItemId) {
+      const byActor = (await loadProject(projectId))[workItemId] || {};
+      const records = Object.values(byActor).flat();
+
+      return {
+        activities: records.filter(a => a.field !== 'comment'),
+        comments: records
+          .filter(a => a.field === 'comment' && a.verb === 'created')
+          .map(a => ({
+            id: a.id,
+            actor: a.actor,
+            created_at: a.created_at,
+            comment_stripped: String(a.new_value || '').replace(/<[^>]*>/g, ''),
+          })),
+      };
+    },
+  };
+}
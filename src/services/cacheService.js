@@ -0,0 +1,288 @@
+import logger from '../utils/logger.js';
+
+/**
+ * Cache layer for Plane API responses
+ *
+ * Entries are kept in an in-isolate memory backend and, behind it, a shared
+ * backend that outlives the isolate: Workers KV (default, BOT_STATE) or the
+ * Cache API (CACHE_BACKEND = "cache-api"). The Cache API has no write quota
+ * but does nothing on *.workers.dev, so it is opt-in for Workers served from
+ * a custom domain. With KV, the per-work-item types (activities, comments,
+ * sub-items) stay in memory: a summary reads hundreds of them, which would use
+ * up the free plan's 1000 KV writes a day.
+ *
+ * A backend is any object with:
+ *   get(key)                    -> Promise<{ value, storedAt } | null>
+ *   set(key, entry, ttlSeconds) -> Promise<void>
+ *   delete(key)                 -> Promise<void>
+ */
+
+// Freshness per resource type, in seconds
+export const CACHE_TTLS = {
+  projects: 5 * 60,
+  users: 30 * 60,
+  projectMembers: 10 * 60,
+  workspace: 60 * 60,
+  workItems: 5 * 60,
+  activities: 5 * 60,
+  comments: 5 * 60,
+  subitems: 5 * 60,
+  cycles: 5 * 60,
+};
+
+// How long past its TTL an entry may still be served while it is refreshed
+const STALE_WINDOW_SECONDS = 24 * 60 * 60;
+
+// KV rejects expirations shorter than a minute
+const KV_MIN_TTL_SECONDS = 60;
+
+// Types kept out of a KV backend, see above
+const KV_MEMORY_ONLY_TYPES = ['activities', 'comments', 'subitems'];
+
+const CACHE_API_ORIGIN = 'https://plane-cache.internal/';
+
+// Bump when the shape of cached values changes, so old entries are ignored
+const CACHE_KEY_VERSION = 2;
+
+const memoryBackend = createMemoryCacheBackend();
+let sharedBackend = null;
+let memoryOnlyTypes = new Set();
+let staleWhileRevalidate = false;
+let backgroundContext = null;
+
+// Request deduplication: key -> Promise, so concurrent callers share one fetch
+const pendingLoads = new Map();
+
+// Invalidation count per key; a load started before an invalidation doesn't store its result
+const generations = new Map();
+
+/**
+ * In-isolate backend; entries disappear with the isolate
+ * @returns {Object} Cache backend
+ */
+export function createMemoryCacheBackend() {
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      const item = entries.get(key);
+      if (!item) return null;
+      if (Date.now() > item.expiresAt) {
+        entries.delete(key);
+        return null;
+      }
+      return item.entry;
+    },
+    async set(key, entry, ttlSeconds) {
+      entries.set(key, { entry, expiresAt: Date.now() + ttlSeconds * 1000 });
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    clear(prefix = '') {
+      for (const key of entries.keys()) {
+        if (key.startsWith(prefix)) entries.delete(key);
+      }
+    },
+  };
+}
+
+/**
+ * Workers KV backend
+ * @param {Object} kvNamespace - KV binding
+ * @returns {Object} Cache backend
+ */
+export function createKVCacheBackend(kvNamespace) {
+  return {
+    get: (key) => kvNamespace.get(`cache:${key}`, 'json'),
+    set: (key, entry, ttlSeconds) => kvNamespace.put(`cache:${key}`, JSON.stringify(entry), {
+      expirationTtl: Math.max(ttlSeconds, KV_MIN_TTL_SECONDS),
+    }),
+    delete: (key) => kvNamespace.delete(`cache:${key}`),
+  };
+}
+
+/**
+ * Cache API backend (per data center, no write quota; custom domains only,
+ * on *.workers.dev every read misses)
+ * @param {Object} cache - Cache instance, e.g. caches.default
+ * @returns {Object} Cache backend
+ */
+export function createCacheApiBackend(cache) {
+  const toRequest = (key) => new Request(`${CACHE_API_ORIGIN}${encodeURIComponent(key)}`);
+
+  return {
+    async get(key) {
+      const response = await cache.match(toRequest(key));
+      return response ? response.json() : null;
+    },
+    async set(key, entry, ttlSeconds) {
+      await cache.put(toRequest(key), new Response(JSON.stringify(entry), {
+        headers: {
+          'Content-Type': 'application/json',
+          'Cache-Control': `max-age=${ttlSeconds}`,
+        },
+      }));
+    },
+    async delete(key) {
+      await cache.delete(toRequest(key));
+    },
+  };
+}
+
+/**
+ * Initialize the cache for the current request or cron run
+ * @param {Object} env - Environment variables and bindings
+ * @param {Object} options - { ctx, staleWhileRevalidate }; ctx keeps background refreshes alive
+ */
+export function initCache(env, options = {}) {
+  staleWhileRevalidate = !!options.staleWhileRevalidate;
+  backgroundContext = options.ctx || null;
+
+  const backend = (env?.CACHE_BACKEND || 'kv').toLowerCase();
+  memoryOnlyTypes = new Set();
+  if (backend === 'cache-api' && globalThis.caches?.default) {
+    sharedBackend = createCacheApiBackend(globalThis.caches.default);
+  } else if (backend === 'kv' && env?.BOT_STATE) {
+    sharedBackend = createKVCacheBackend(env.BOT_STATE);
+    memoryOnlyTypes = new Set(KV_MEMORY_ONLY_TYPES);
+  } else {
+    if (backend !== 'memory' && env?.CACHE_BACKEND) {
+      logger.warn(`CACHE_BACKEND "${env.CACHE_BACKEND}" is unavailable here, caching in memory only`);
+    }
+    sharedBackend = null;
+  }
+}
+
+/**
+ * Get a cached value, loading and storing it when missing or expired
+ * With stale-while-revalidate enabled (autocomplete), an expired entry is
+ * returned at once and refreshed in the background.
+ * @param {string} type - Resource type (key of CACHE_TTLS)
+ * @param {string} id - Resource ID within the type
+ * @param {Function} loader - Async function fetching the fresh value
+ * @param {Object} options - { forceRefresh }
+ * @returns {Promise<any>} Cached or fresh value
+ */
+export async function cached(type, id, loader, { forceRefresh = false } = {}) {
+  const key = toCacheKey(type, id);
+  const ttlSeconds = CACHE_TTLS[type];
+
+  if (!forceRefresh) {
+    const entry = await readEntry(key, type, ttlSeconds);
+    if (entry) {
+      const ageSeconds = (Date.now() - entry.storedAt) / 1000;
+      if (ageSeconds < ttlSeconds) {
+        logger.debug(`✓ Cache hit for ${key}`);
+        return entry.value;
+      }
+      if (staleWhileRevalidate) {
+        logger.debug(`↻ Serving stale ${key} (${Math.round(ageSeconds)}s old) while refreshing`);
+        const refresh = load(key, type, ttlSeconds, loader).catch(error => {
+          logger.warn(`Background refresh of ${key} failed: ${error.message}`);
+        });
+        backgroundContext?.waitUntil(refresh);
+        return entry.value;
+      }
+    }
+  }
+
+  return load(key, type, ttlSeconds, loader);
+}
+
+/**
+ * Drop a cached value everywhere, e.g. after a write or a webhook event
+ * @param {string} type - Resource type (key of CACHE_TTLS)
+ * @param {string} id - Resource ID within the type
+ */
+export async function invalidateCache(type, id) {
+  const key = toCacheKey(type, id);
+  pendingLoads.delete(key);
+  generations.set(key, (generations.get(key) || 0) + 1);
+  await memoryBackend.delete(key);
+  const shared = getSharedBackend(type);
+  if (shared) {
+    try {
+      await shared.delete(key);
+    } catch (error) {
+      logger.warn(`Failed to invalidate ${key}: ${error.message}`);
+    }
+  }
+  logger.debug(`🗑️ Invalidated cache for ${key}`);
+}
+
+/**
+ * Free in-isolate entries of the given types; shared entries expire by TTL
+ * @param {Array<string>} types - Resource types
+ */
+export function clearMemoryCache(types) {
+  for (const type of types) {
+    const prefix = toCacheKey(type, '');
+    memoryBackend.clear(prefix);
+    for (const key of pendingLoads.keys()) {
+      if (key.startsWith(prefix)) pendingLoads.delete(key);
+    }
+  }
+}
+
+function toCacheKey(type, id) {
+  return `v${CACHE_KEY_VERSION}:${type}:${id}`;
+}
+
+function getSharedBackend(type) {
+  return memoryOnlyTypes.has(type) ? null : sharedBackend;
+}
+
+async function readEntry(key, type, ttlSeconds) {
+  const local = await memoryBackend.get(key);
+  const backend = getSharedBackend(type);
+  if (local || !backend) return local;
+
+  try {
+    const shared = await backend.get(key);
+    if (shared) {
+      await memoryBackend.set(key, shared, ttlSeconds + STALE_WINDOW_SECONDS);
+    }
+    return shared;
+  } catch (error) {
+    logger.warn(`Cache read failed for ${key}: ${error.message}`);
+    return null;
+  }
+}
+
+function load(key, type, ttlSeconds, loader) {
+  if (pendingLoads.has(key)) {
+    logger.debug(`⏳ Waiting for in-flight request for ${key}`);
+    return pendingLoads.get(key);
+  }
+
+  const generation = generations.get(key) || 0;
+  const request = (async () => {
+    try {
+      logger.debug(`📡 Fetching fresh ${key}`);
+      const value = await loader();
+      if ((generations.get(key) || 0) !== generation) {
+        logger.debug(`Not caching ${key}: invalidated while it was loading`);
+        return value;
+      }
+
+      const entry = { value, storedAt: Date.now() };
+      await memoryBackend.set(key, entry, ttlSeconds + STALE_WINDOW_SECONDS);
+      const backend = getSharedBackend(type);
+      if (backend) {
+        try {
+          await backend.set(key, entry, ttlSeconds + STALE_WINDOW_SECONDS);
+        } catch (error) {
+          logger.warn(`Cache write failed for ${key}: ${error.message}`);
+        }
+      }
+      return value;
+    } finally {
+      // After an invalidation the key may already belong to a newer load
+      if ((generations.get(key) || 0) === generation) pendingLoads.delete(key);
+    }
+  })();
+
+  pendingLoads.set(key, request);
+  return request;
+}
@@ -0,0 +1,110 @@
+import { fetchWorkItemsUpdatedSince, startProjectSession, fetchUserName } from './planeApiDirect.js';
+import { getJSON, putJSON } from './storageService.js';
+import { formatWorkItemLink } from './planeNotificationService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Poll-based change detection for workspaces that cannot send Plane webhooks
+ *
+ * Each run lists the work items of a project updated since the previous run,
+ * compares them with the snapshot that run stored in KV and reports state
+ * transitions, reassignments, priority escalations and new items. The listing
+ * is ordered by updated_at and stops at the first item the previous run had
+ * already seen, so a quiet project costs a single page however large it is.
+ */
+
+const SNAPSHOT_KEY_PREFIX = 'change-snapshot:';
+const SNAPSHOT_TTL_SECONDS = 7 * 24 * 60 * 60;
+const PRIORITY_RANK = { none: 0, low: 1, medium: 2, high: 3, urgent: 4 };
+
+/**
+ * Detect what changed in a project since the previous run
+ * The first run for a project only stores a baseline and reports nothing.
+ * @param {Object} project - Plane project
+ * @param {string} workspaceSlug - Workspace slug, for links
+ * @param {Date} now - Time of this run
+ * @returns {Promise<Array<string>>} One notification line per change
+ */
+export async function detectProjectChanges(project, workspaceSlug, now = new Date()) {
+  startProjectSession(project.id);
+
+  const key = `${SNAPSHOT_KEY_PREFIX}${project.identifier}`;
+  const previous = await getJSON(key);
+  const workItems = await fetchWorkItemsUpdatedSince(project.id, previous?.updatedThrough || null);
+  const items = { ...previous?.items };
+  const changes = [];
+  let updatedThrough = previous?.updatedThrough || null;
+
+  for (const workItem of workItems) {
+    const snapshot = toSnapshotItem(workItem);
+    const before = previous?.items[workItem.id];
+    items[workItem.id] = snapshot;
+    if (!updatedThrough || new Date(snapshot.updatedAt) > new Date(updatedThrough)) {
+      updatedThrough = snapshot.updatedAt;
+    }
+
+    if (!previous || before?.updatedAt === snapshot.updatedAt) continue;
+
+    const link = formatWorkItemLink(workItem, project, workspaceSlug);
+
+    if (!before) {
+      // Items created before the last run were beyond the baseline listing, not created
+      if (new Date(workItem.created_at) > new Date(previous.takenAt)) {
+        changes.push(`🆕 New work item ${link}${await formatAssignees(snapshot.assignees)}`);
+      }
+      continue;
+    }
+
+    changes.push(...await describeChanges(before, snapshot, link));
+  }
+
+  await putJSON(key, { takenAt: now.toISOString(), updatedThrough, items }, { expirationTtl: SNAPSHOT_TTL_SECONDS });
+
+  if (!previous) {
+    logger.info(`Stored baseline snapshot of ${workItems.length} work items for ${project.identifier}`);
+  }
+  return changes;
+}
+
+async function describeChanges(before, after, link) {
+  const changes = [];
+
+  if (before.stateId !== after.stateId) {
+    changes.push(`🔄 ${link}: **${before.state}** → **${after.state}**`);
+  }
+
+  const added = after.assignees.filter(id => !before.assignees.includes(id));
+  const removed = before.assignees.filter(id => !after.assignees.includes(id));
+  if (added.length > 0 || removed.length > 0) {
+    const parts = [];
+    if (added.length > 0) parts.push(`assigned to **${(await resolveNames(added)).join(', ')}**`);
+    if (removed.length > 0) parts.push(`unassigned from **${(await resolveNames(removed)).join(', ')}**`);
+    changes.push(`👤 ${link} ${parts.join(', ')}`);
+  }
+
+  if ((PRIORITY_RANK[after.priority] ?? 0) > (PRIORITY_RANK[before.priority] ?? 0)) {
+    const emoji = after.priority === 'urgent' ? '🚨' : '⬆️';
+    changes.push(`${emoji} ${link} escalated to **${after.priority}** (was ${before.priority})`);
+  }
+
+  return changes;
+}
+
+function toSnapshotItem(workItem) {
+  const state = workItem.state_detail || (typeof workItem.state === 'object' ? workItem.state : null);
+  return {
+    updatedAt: workItem.updated_at,
+    stateId: state?.id || workItem.state,
+    state: state?.name || 'Unknown',
+    assignees: (workItem.assignees || []).map(a => (typeof a === 'object' ? a.id : a)),
+    priority: workItem.priority || 'none'
+  };
+}
+
+async function resolveNames(userIds) {
+  return Promise.all(userIds.map(id => fetchUserName(id)));
+}
+
+async function formatAssignees(userIds) {
+  return userIds.length > 0 ? ` (assigned to **${(await resolveNames(userIds)).join(', ')}**)` : '';
+}
@@ -0,0 +1,63 @@
+import { getJSON, putJSON, deleteKey, listKeys } from './storageService.js';
+import { DEFAULT_SUMMARY_LANGUAGE, isSummaryLanguage } from './summaryLanguages.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Per-channel default summary languages
+ *
+ *   channel-language:<channelId> -> language code (see summaryLanguages)
+ *
+ * A summary is written in the language asked for, else the default of the
+ * channel it is posted in, else DEFAULT_SUMMARY_LANGUAGE.
+ */
+
+const KEY_PREFIX = 'channel-language:';
+
+/**
+ * Set a channel's default summary language
+ * @param {string} channelId - Discord channel ID
+ * @param {string} language - Language code
+ * @throws {Error} If the language is unknown
+ */
+export async function setChannelLanguage(channelId, language) {
+  if (!isSummaryLanguage(language)) {
+    throw new Error(`Unknown summary language "${language}".`);
+  }
+  await putJSON(`${KEY_PREFIX}${channelId}`, language);
+  logger.info(`Summary language of channel ${channelId} set to ${language}`);
+}
+
+/**
+ * Remove a channel's default so it falls back to DEFAULT_SUMMARY_LANGUAGE
+ * @param {string} channelId - Discord channel ID
+ */
+export async function clearChannelLanguage(channelId) {
+  await deleteKey(`${KEY_PREFIX}${channelId}`);
+  logger.info(`Summary language of channel ${channelId} cleared`);
+}
+
+/**
+ * List every channel with its own default
+ * @returns {Promise<Array>} Entries of { channelId, language }
+ */
+export async function getChannelLanguages() {
+  const keys = await listKeys(KEY_PREFIX);
+  return Promise.all(keys.map(async key => ({
+    channelId: key.slice(KEY_PREFIX.length),
+    language: await getJSON(key),
+  })));
+}
+
+/**
+ * Resolve the language of a summary
+ * @param {string|null} requested - Language asked for, if any
+ * @param {string|null} channelId - Channel the summary is posted in
+ * @param {Object} env - Environment variables
+ * @returns {Promise<string>} Language code
+ */
+export async function resolveSummaryLanguage(requested, channelId, env) {
+  if (requested) return requested;
+
+  const channelLanguage = channelId ? await getJSON(`${KEY_PREFIX}${channelId}`) : null;
+  return channelLanguage || env.DEFAULT_SUMMARY_LANGUAGE || DEFAULT_SUMMARY_LANGUAGE;
+}
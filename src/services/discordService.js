@@ -25,6 +25,32 @@ export async function sendFollowUp(applicationId, interactionToken, payload) {
   }
 }
 
+/**
+ * Edit the original interaction response (or, for component interactions,
+ * the message the component is attached to)
+ * @param {string} applicationId - Discord application ID
+ * @param {string} interactionToken - Interaction token
+ * @param {Object} payload - Message payload
+ */
+export async function editOriginalResponse(applicationId, interactionToken, payload) {
+  const url = `https://discord.com/api/v10/webhooks/${applicationId}/${interactionToken}/messages/@original`;
+
+  try {
+    const response = await fetch(url, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      logger.error(`Failed to edit original response: ${response.status} ${errorText}`);
+    }
+  } catch (error) {
+    logger.error(`Error editing original response: ${error.message}`);
+  }
+}
+
 /**
  * Send a message to a Discord channel using Bot Token
  * @param {string} channelId - Discord channel ID
@@ -57,6 +83,38 @@ export async function sendMessageToChannel(channelId, discordToken, payload) {
   }
 }
 
+/**
+ * Send a direct message to a Discord user using Bot Token
+ * @param {string} userId - Discord user ID
+ * @param {string} discordToken - Discord bot token
+ * @param {Object} payload - Message payload
+ * @returns {boolean} Success status (false e.g. when the user blocks DMs from server members)
+ */
+export async function sendDirectMessage(userId, discordToken, payload) {
+  try {
+    const response = await fetch('https://discord.com/api/v10/users/@me/channels', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bot ${discordToken}`,
+      },
+      body: JSON.stringify({ recipient_id: userId }),
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      logger.error(`Failed to open DM channel: ${response.status} ${errorText}`);
+      return false;
+    }
+
+    const channel = await response.json();
+    return sendMessageToChannel(channel.id, discordToken, payload);
+  } catch (error) {
+    logger.error(`Error sending direct message: ${error.message}`);
+    return false;
+  }
+}
+
 /**
  * Create an error embed for Discord
  * @param {string} title - Error title
@@ -76,10 +134,22 @@ export function createErrorResponse(title, message, ephemeral = true) {
 
 /**
  * Create a deferred response for Discord
+ * @param {boolean} ephemeral - Whether the follow-up should be ephemeral
  * @returns {Object} Discord deferred response payload
  */
-export function createDeferredResponse() {
+export function createDeferredResponse(ephemeral = false) {
+  return {
+    type: 5, // DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE
+    ...(ephemeral ? { data: { flags: 64 } } : {})
+  };
+}
+
+/**
+ * Create a deferred update response for component interactions
+ * @returns {Object} Discord deferred update payload
+ */
+export function createDeferredUpdateResponse() {
   return {
-    type: 5 // DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE
+    type: 6 // DEFERRED_UPDATE_MESSAGE
   };
 }
@@ -0,0 +1,162 @@
+import { generateText, generateObject } from 'ai';
+import { createGoogleGenerativeAI } from '@ai-sdk/google';
+import { createOpenAI } from '@ai-sdk/openai';
+import { createAnthropic } from '@ai-sdk/anthropic';
+import logger from '../utils/logger.js';
+
+/**
+ * LLM access for summaries and the weekly digest
+ *
+ * The provider is chosen with LLM_PROVIDER:
+ *   gemini (default) - Google Gemini, key GOOGLE_GENERATIVE_AI_API_KEY
+ *   openai           - OpenAI, or any OpenAI-compatible server at LLM_BASE_URL
+ *                      (llama.cpp, Ollama, vLLM...), key OPENAI_API_KEY
+ *   anthropic        - Anthropic, key ANTHROPIC_API_KEY
+ * LLM_MODEL, LLM_API_KEY, LLM_TEMPERATURE, LLM_TIMEOUT_MS and LLM_MAX_RETRIES
+ * override the defaults for any provider. LLM_MAX_INPUT_TOKENS,
+ * LLM_CONCURRENCY and LLM_MAX_MEMBER_OUTPUT_TOKENS size chunked team summaries.
+ */
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_MAX_RETRIES = 2;
+const DEFAULT_TEMPERATURE = 0.3;
+const DEFAULT_MAX_INPUT_TOKENS = 8000;
+const DEFAULT_CONCURRENCY = 3;
+const DEFAULT_MAX_MEMBER_OUTPUT_TOKENS = 1500;
+const CHARS_PER_TOKEN = 4; // Rough average for English text and JSON
+
+const PROVIDERS = {
+  gemini: {
+    defaultModel: (env) => env.GEMINI_MODEL || 'gemini-2.5-flash',
+    apiKey: (env) => env.GOOGLE_GENERATIVE_AI_API_KEY,
+    createModel: ({ apiKey, baseURL, model }) =>
+      createGoogleGenerativeAI({ apiKey, ...(baseURL ? { baseURL } : {}) })(model),
+  },
+  openai: {
+    defaultModel: () => 'gpt-4o-mini',
+    apiKey: (env) => env.OPENAI_API_KEY,
+    // Chat completions, which OpenAI-compatible servers implement
+    createModel: ({ apiKey, baseURL, model }) =>
+      createOpenAI({ apiKey: apiKey || 'not-needed', compatibility: baseURL ? 'compatible' : 'strict', ...(baseURL ? { baseURL } : {}) })
+        .chat(model),
+  },
+  anthropic: {
+    defaultModel: () => 'claude-3-5-haiku-latest',
+    apiKey: (env) => env.ANTHROPIC_API_KEY,
+    createModel: ({ apiKey, baseURL, model }) =>
+      createAnthropic({ apiKey, ...(baseURL ? { baseURL } : {}) })(model),
+  },
+};
+
+/**
+ * Resolve the LLM settings from the environment
+ * @param {Object} env - Environment variables
+ * @returns {Object} { provider, model, apiKey, baseURL, temperature, timeoutMs, maxRetries,
+ * maxInputTokens, concurrency, maxMemberOutputTokens }
+ */
+export function getLLMConfig(env = {}) {
+  const provider = (env.LLM_PROVIDER || 'gemini').toLowerCase();
+  const definition = PROVIDERS[provider];
+  if (!definition) {
+    throw new Error(`Unknown LLM_PROVIDER "${env.LLM_PROVIDER}"; use ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  return {
+    provider,
+    model: env.LLM_MODEL || definition.defaultModel(env),
+    apiKey: env.LLM_API_KEY || definition.apiKey(env),
+    baseURL: env.LLM_BASE_URL || null,
+    temperature: parseNumber(env.LLM_TEMPERATURE ?? env.GEMINI_TEMPERATURE, DEFAULT_TEMPERATURE),
+    timeoutMs: parseNumber(env.LLM_TIMEOUT_MS, DEFAULT_TIMEOUT_MS),
+    maxRetries: parseNumber(env.LLM_MAX_RETRIES, DEFAULT_MAX_RETRIES),
+    maxInputTokens: parseNumber(env.LLM_MAX_INPUT_TOKENS, DEFAULT_MAX_INPUT_TOKENS),
+    concurrency: Math.max(1, parseNumber(env.LLM_CONCURRENCY, DEFAULT_CONCURRENCY)),
+    maxMemberOutputTokens: parseNumber(env.LLM_MAX_MEMBER_OUTPUT_TOKENS, DEFAULT_MAX_MEMBER_OUTPUT_TOKENS),
+  };
+}
+
+/**
+ * Whether an LLM can be called: an API key is set, or a local server is
+ * configured for an OpenAI-compatible provider
+ * @param {Object} env - Environment variables
+ * @returns {boolean} True when the LLM can be called
+ */
+export function isLLMConfigured(env = {}) {
+  try {
+    const { provider, apiKey, baseURL } = getLLMConfig(env);
+    return !!apiKey || (provider === 'openai' && !!baseURL);
+  } catch (error) {
+    logger.warn(error.message);
+    return false;
+  }
+}
+
+/**
+ * Estimate the number of tokens in a text, without a provider tokenizer
+ * @param {string} text - Prompt or data text
+ * @returns {number} Approximate token count
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Generate text with the configured provider
+ * Failed calls are retried (LLM_MAX_RETRIES); the whole call, retries
+ * included, is aborted after LLM_TIMEOUT_MS.
+ * @param {Object} request - { system, prompt }
+ * @param {Object} env - Environment variables
+ * @returns {Promise<string>} Generated text
+ */
+export async function generateSummaryText({ system, prompt }, env = {}) {
+  const config = getLLMConfig(env);
+  const startTime = Date.now();
+
+  const result = await generateText({
+    model: PROVIDERS[config.provider].createModel(config),
+    system,
+    prompt,
+    temperature: config.temperature,
+    maxRetries: config.maxRetries,
+    abortSignal: AbortSignal.timeout(config.timeoutMs),
+  });
+
+  logger.info(`LLM ${config.provider}/${config.model} responded in ${((Date.now() - startTime) / 1000).toFixed(2)}s`);
+  return result.text;
+}
+
+/**
+ * Generate a JSON object matching a schema with the configured provider
+ * The result is validated against the schema; a response that does not
+ * match throws. Retries and the time limit are as for generateSummaryText.
+ * @param {Object} request - { system, prompt, schema, maxTokens } with a zod schema;
+ * maxTokens caps the response length
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} Validated object
+ */
+export async function generateSummaryObject({ system, prompt, schema, maxTokens }, env = {}) {
+  const config = getLLMConfig(env);
+  const startTime = Date.now();
+
+  const result = await generateObject({
+    model: PROVIDERS[config.provider].createModel(config),
+    schema,
+    // Local OpenAI-compatible servers handle a JSON response format more
+    // reliably than tool calls
+    mode: config.provider === 'openai' && config.baseURL ? 'json' : 'auto',
+    system,
+    prompt,
+    temperature: config.temperature,
+    ...(maxTokens ? { maxTokens } : {}),
+    maxRetries: config.maxRetries,
+    abortSignal: AbortSignal.timeout(config.timeoutMs),
+  });
+
+  logger.info(`LLM ${config.provider}/${config.model} returned an object in ${((Date.now() - startTime) / 1000).toFixed(2)}s`);
+  return result.object;
+}
+
+function parseNumber(value, fallback) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : fallback;
+}
@@ -2,54 +2,51 @@ import {
   getTeamActivities,
   getWorkspaceMembers,
   fetchProjects,
-  getCyclesWithCache
+  getCyclesWithCache,
+  resetTruncationWarnings,
+  getTruncationWarning
 } from "./planeApiDirect.js";
-import { generateText } from "ai";
-import { createGoogleGenerativeAI } from "@ai-sdk/google";
+import { openActivityStore } from "./activityStoreService.js";
+import { writeSummary, buildPlainPersonSummary } from "./summaryRenderer.js";
+import { generateSummaryObject } from "./llmService.js";
+import { PERSON_SUMMARY_SYSTEM_PROMPT, buildPersonSummaryPrompt, withStyleInstructions, withLanguageInstructions } from "./prompts.js";
+import { summarySchema } from "./summarySchema.js";
+import { getSummaryStyle } from "./summaryStyles.js";
+import { getSummaryLanguage } from "./summaryLanguages.js";
 import logger from "../utils/logger.js";
-import { matchesStateCategory } from "../utils/stateUtils.js";
+import { matchesStateCategory, getNetStateOutcomes } from "../utils/stateUtils.js";
+import { getRangeWindow, toRangeKey, formatRangeLabel } from "../utils/dateUtils.js";
 
 /**
- * Convert a date string (YYYY-MM-DD) to UTC start/end range
- */
-function getDateRange(dateString) {
-  const date = new Date(dateString);
-  if (isNaN(date.getTime())) {
-    throw new Error(`Invalid date format: ${dateString}. Expected YYYY-MM-DD.`);
-  }
-
-  const startDate = new Date(date);
-  startDate.setUTCHours(0, 0, 0, 0);
-
-  const endDate = new Date(date);
-  endDate.setUTCHours(23, 59, 59, 999);
-
-  return { startDate, endDate };
-}
-
-/**
- * Get person-specific daily activity summary
+ * Get person-specific activity summary for a day, or for date..endDate
  */
 export async function getPersonDailySummary({
   personName,
   date,
+  endDate: lastDate = date,
+  timeZone = "UTC",
   projectFilter = null,
   workspaceSlug = null // Now optional/passed in
 }) {
+  const period = formatRangeLabel(toRangeKey(date, lastDate));
   logger.info(
-    `Generating person daily summary for ${personName} on ${date}${projectFilter ? ` (project: ${projectFilter})` : ""}`
+    `Generating person summary for ${personName} on ${period}${projectFilter ? ` (project: ${projectFilter})` : ""}`
   );
 
-  const { startDate, endDate } = getDateRange(date);
+  const { start: startDate, end: endDate } = getRangeWindow(toRangeKey(date, lastDate), timeZone);
+  resetTruncationWarnings();
 
-  const personActivities = await getTeamActivities(startDate, endDate, projectFilter, personName);
+  const activityStore = await openActivityStore(startDate);
+  const personActivities = await getTeamActivities(startDate, endDate, projectFilter, personName, { activityStore });
 
   if (personActivities.length === 0) {
     return {
       person: personName,
-      date: date,
+      date: period,
       team: workspaceSlug || "Workspace",
       projects: [],
+      outcomes: [],
+      truncationWarning: getTruncationWarning(),
     };
   }
 
@@ -171,9 +168,9 @@ export async function getPersonDailySummary({
     projectLookup.set(proj.name, proj);
   }
 
-  // Use the queried date to find the relevant cycle, not today's date
+  // Use the queried date (the last day of a range) to find the relevant cycle, not today's date
   // Parse date string (YYYY-MM-DD) as UTC start of day
-  const [year, month, day] = date.split('-').map(Number);
+  const [year, month, day] = lastDate.split('-').map(Number);
   const queryDate = new Date(Date.UTC(year, month - 1, day, 0, 0, 0, 0));
 
   const cycleData = new Map();
@@ -209,7 +206,7 @@ export async function getPersonDailySummary({
         const queryDateLocal = new Date(queryDate.getUTCFullYear(), queryDate.getUTCMonth(), queryDate.getUTCDate());
 
         const isInRange = queryDateLocal >= cycleStartDate && queryDateLocal <= cycleEndDate;
-        logger.debug(`Cycle ${c.name}: ${c.startDate} to ${c.endDate}, queryDate ${date}, inRange: ${isInRange}`);
+        logger.debug(`Cycle ${c.name}: ${c.startDate} to ${c.endDate}, queryDate ${lastDate}, inRange: ${isInRange}`);
         return isInRange;
       });
 
@@ -240,7 +237,7 @@ export async function getPersonDailySummary({
         }
       }
 
-      logger.info(`Project ${projectId} relevant cycles for date ${date}: ${JSON.stringify(relevantCycles.map(c => ({ name: c.name, startDate: c.startDate, endDate: c.endDate })))}`);
+      logger.info(`Project ${projectId} relevant cycles for date ${lastDate}: ${JSON.stringify(relevantCycles.map(c => ({ name: c.name, startDate: c.startDate, endDate: c.endDate })))}`);
       cycleData.set(projectId, relevantCycles);
     }
   }
@@ -268,80 +265,86 @@ export async function getPersonDailySummary({
 
   return {
     person: personName,
-    date,
+    date: period,
     team: workspaceSlug || "Workspace",
     projects: enhancedProjects,
+    // Net state change per item over the period (kept out of the AI input)
+    outcomes: getNetStateOutcomes(personActivities),
+    truncationWarning: getTruncationWarning(),
   };
 }
 
-const PERSON_SUMMARY_SYSTEM_PROMPT = `You are a work activity formatter. Your ONLY job is to convert a structured person work summary into the EXACT format specified below.
-
-STRICT RULES:
-1. Output ONLY the exact format shown - no deviations
-2. Include ALL projects, cycles, and tasks provided in the data
-3. DO NOT add explanations, commentary, or inferred information
-4. Use bullet points (•) for task lists
-5. Use the exact field values provided - do not modify or summarize
-6. Show completion percentages exactly as provided
-
-OUTPUT FORMAT (for each project):
-
-**Project Name**
-[Cycle information - see below]
-
-**Person Name**
+/**
+ * Write the structured person summary, with AI unless format is "plain"
+ * Falls back to the plain renderer when the AI call fails, times out or
+ * returns JSON that does not match the summary schema.
+ * @param {Object} summary - Summary from getPersonDailySummary
+ * @param {Object} env - Environment variables
+ * @param {Object} options - { format: "ai" | "plain", force, style, language } where force
+ * skips a cached summary, style names a summary style (see summaryStyles) and
+ * language a summary language (see summaryLanguages)
+ * @returns {Promise<Object>} { summary, warning } where warning notes a fallback
+ */
+export async function writePersonSummary(summary, env = {}, { format = "ai", force = false, style = null, language = null } = {}) {
+  const summaryStyle = getSummaryStyle(style);
+  const summaryLanguage = getSummaryLanguage(language);
+  const input = summaryStyle.changesOnly ? keepStateChanges(summary) : summary;
 
-**Tasks/SubTasks Done:**
-• TASK-ID: Task Name
-[or "None" if no completed items]
+  if (!input.projects || input.projects.length === 0) {
+    return { summary: { projects: [] }, warning: null };
+  }
 
-**Tasks/SubTasks in Progress:**
-• TASK-ID: Task Name (State)
-[or "None" if no in-progress items]
+  return writeSummary(
+    format,
+    (correction) => generatePersonDailySummary(input, env, { correction, style: summaryStyle, language: summaryLanguage }),
+    () => buildPlainPersonSummary(input),
+    env,
+    { cacheInput: ["person", summaryStyle.name, summaryLanguage.code, input.person, input.date, input.projects], force }
+  );
+}
 
-CYCLE FORMAT:
-- If cycles array has items: display each cycle as "Cycle Name -> X% completed" on separate lines
-- Example: Week 16 -> 43% completed
-- If cycles array is empty: display "No cycles recorded / Found for this project."
+/**
+ * Keep only the work items whose state changed in the period, and the
+ * comments on them; projects left with nothing drop out of the summary
+ * @param {Object} summary - Summary from getPersonDailySummary
+ * @returns {Object} Filtered summary
+ */
+function keepStateChanges(summary) {
+  const changed = new Set((summary.outcomes || []).map(outcome => outcome.id));
+  const keep = (items) => items.filter(item => changed.has(item.id));
 
-INSTRUCTIONS:
-1. For each project in the data, create a new section
-2. Show the project name in bold exactly as provided
-3. For cycles: show each cycle name with arrow and percentage. Percentage comes from percentage_complete field
-4. Use the person's name in bold exactly as provided
-5. List all completed work items and subtasks under "Tasks/SubTasks Done" using format: ID: Name
-6. List all in-progress work items and subtasks under "Tasks/SubTasks in Progress" using format: ID: Name (State)
-7. Include subitems in appropriate section based on their state
-8. If no activities exist, respond with: "No activity recorded for [Person] on [Date]."`;
+  const projects = (summary.projects || [])
+    .map(p => ({
+      ...p,
+      completed: keep(p.completed),
+      inProgress: keep(p.inProgress),
+      blockers: keep(p.blockers),
+      subitems: keep(p.subitems),
+      comments: keep(p.comments),
+    }))
+    .filter(p => p.completed.length + p.inProgress.length + p.blockers.length + p.subitems.length + p.comments.length > 0);
+
+  return { ...summary, projects };
+}
 
 /**
- * Generate human-readable text from a structured person daily summary
+ * Generate the structured AI summary from a person daily summary
+ * A correction about a previous answer's violations is appended to the
+ * prompt, and the style's and language's instructions to the system prompt.
  */
-export async function generatePersonDailySummaryText(summary, env = {}) {
+export async function generatePersonDailySummary(summary, env = {}, { correction = "", style = null, language = null } = {}) {
   if (!summary.person || !summary.date) {
     throw new Error("summary must contain person and date fields");
   }
 
-  if (!summary.projects || summary.projects.length === 0) {
-    return `No activity recorded for ${summary.person} on ${summary.date}.`;
-  }
-
-  const modelName = env.GEMINI_MODEL || "gemini-2.5-flash";
-  const apiKey = env.GOOGLE_GENERATIVE_AI_API_KEY;
-
   try {
-    const google = createGoogleGenerativeAI({ apiKey });
-
-    const result = await generateText({
-      model: google(modelName),
-      system: PERSON_SUMMARY_SYSTEM_PROMPT,
-      prompt: `Format this person's daily work summary exactly according to the format specification. Use ALL data provided. Do not omit, summarize, or modify any values.\n\nPERSON: ${summary.person}\nDATE: ${summary.date}\nWORKSPACE: ${summary.team}\n\nWORK DATA:\n${JSON.stringify(summary.projects, null, 2)}\n\nGenerate the formatted output now:`,
-      temperature: env.GEMINI_TEMPERATURE || 0.3,
-    });
-
-    return result.text;
+    return await generateSummaryObject({
+      system: withLanguageInstructions(withStyleInstructions(PERSON_SUMMARY_SYSTEM_PROMPT, style), language),
+      prompt: buildPersonSummaryPrompt(summary) + correction,
+      schema: summarySchema,
+    }, env);
   } catch (error) {
-    logger.error(`Error generating text summary: ${error.message}`);
+    logger.error(`Error generating summary: ${error.message}`);
     throw error;
   }
 }
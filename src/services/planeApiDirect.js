@@ -1,22 +1,26 @@
 import axios from "axios";
 import logger from "../utils/logger.js";
+import { ConcurrencyLimiter } from "../utils/concurrencyLimiter.js";
+import { cached, invalidateCache, clearMemoryCache, CACHE_TTLS } from "./cacheService.js";
 
 // Initialized configuration
 let serviceConfig = null;
 let PLANE_API = null;
+let paginationLimits = null;
 
 // Rate limiting and constants
 const MAX_RETRIES = 3;
 const INITIAL_RETRY_DELAY_MS = 20000; // 20 seconds
+const DEFAULT_PAGE_SIZE = 100; // Plane's maximum per_page
 const MAX_WORK_ITEMS_PER_PROJECT = 200;
-const MAX_ACTIVITIES_PER_ITEM = 20;
+const MAX_ACTIVITIES_PER_ITEM = 100; // Per list (activities, comments) of one work item
+const MAX_LIST_ITEMS = 1000; // Upper bound for every other list
+const MAX_PAGES = 50; // Safety limit to prevent infinite loops
 const REQUEST_TIMEOUT_MS = 45000;
 const MAX_CONCURRENT_ACTIVITY_FETCHES = 5; // Increased from 2 for better throughput
 const MAX_CONCURRENT_PROJECT_FETCHES = 3; // Parallel project processing
 const BATCH_DELAY_MS = 500; // Reduced from 20000ms - rate limiter handles 429s
-const PROJECTS_CACHE_TTL_MS = 5 * 60 * 1000; // Cache projects for 5 minutes
-const USERS_CACHE_TTL_MS = 30 * 60 * 1000; // Cache users for 30 minutes
-const PROJECT_MEMBERS_CACHE_TTL_MS = 10 * 60 * 1000; // Cache project members for 10 minutes
+const DEFAULT_REQUESTS_PER_MINUTE = 30; // Per isolate: half of Plane's 60, leaving room for concurrent isolates
 
 /**
  * Initialize the Plane service with configuration
@@ -24,6 +28,12 @@ const PROJECT_MEMBERS_CACHE_TTL_MS = 10 * 60 * 1000; // Cache project members fo
  */
 function initPlaneService(config) {
   serviceConfig = config;
+  paginationLimits = {
+    pageSize: Math.min(parseInt(config.PLANE_PAGE_SIZE) || DEFAULT_PAGE_SIZE, DEFAULT_PAGE_SIZE),
+    maxWorkItems: parseInt(config.PLANE_MAX_WORK_ITEMS) || MAX_WORK_ITEMS_PER_PROJECT,
+    maxActivities: parseInt(config.PLANE_MAX_ACTIVITIES) || MAX_ACTIVITIES_PER_ITEM,
+  };
+  isolateRateLimiter.setShare(parseInt(config.PLANE_REQUESTS_PER_MINUTE) || DEFAULT_REQUESTS_PER_MINUTE);
   PLANE_API = axios.create({
     baseURL: serviceConfig.PLANE_BASE_URL,
     headers: {
@@ -44,43 +54,10 @@ function ensureApi() {
   }
 }
 
-// Cache
-let projectsCache = null;
-let projectsCacheTime = null;
-let workspaceDetailsCache = null;
-let usersCache = new Map(); // Map of userId -> user details
-let usersCacheTime = null; // Track when users were last fully fetched
-let allUsersLoaded = false; // Flag to track if we've loaded all users
-
-// Project members cache: Map of projectId -> { data: members[], timestamp: number }
-let projectMembersCache = new Map();
-
-// Work items cache: Map of projectId -> { data: items[], timestamp: number, sessionId: string }
-const WORK_ITEMS_CACHE_TTL_MS = 5 * 60 * 1000; // Cache for 5 minutes per session
-let workItemsCache = new Map();
-
-// Activities cache: Map of workItemId -> { data: activities[], timestamp: number, sessionId: string }
-const ACTIVITIES_CACHE_TTL_MS = 5 * 60 * 1000; // Cache for 5 minutes per session
-let activitiesCache = new Map();
-
-// Comments cache: Map of workItemId -> { data: comments[], timestamp: number, sessionId: string }
-const COMMENTS_CACHE_TTL_MS = 5 * 60 * 1000; // Cache for 5 minutes per session
-let commentsCache = new Map();
-
-// Subitems cache: Map of workItemId -> { data: subitems[], timestamp: number, sessionId: string }
-const SUBITEMS_CACHE_TTL_MS = 5 * 60 * 1000; // Cache for 5 minutes per session
-let subitemsCache = new Map();
-
-// Cycles cache: Map of projectId -> { data: cycles[], timestamp: number, sessionId: string }
-const CYCLES_CACHE_TTL_MS = 5 * 60 * 1000; // Cache for 5 minutes per session
-let cyclesCache = new Map();
-
-// Session tracking for per-project caching
-let currentSessionId = null;
-let sessionStartTime = null;
-
-// Request deduplication: Map of key -> Promise to avoid duplicate API calls
-const pendingRequests = new Map();
+// User names: Map of userId -> display name, hydrated from the shared cache
+// so per-activity lookups don't await the cache backend
+let usersCache = new Map();
+let usersLoadedAt = null; // When usersCache was last hydrated
 
 function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
@@ -105,80 +82,59 @@ function namesMatch(name1, name2) {
 }
 
 /**
- * Check if cache entry is still valid
- */
-function isCacheValid(timestamp, ttl) {
-  return timestamp && Date.now() - timestamp < ttl;
-}
-
-/**
- * Start a new caching session for a project
- * This ensures fresh data is fetched for the first request in a session,
- * then cached for subsequent requests within the same session
+ * Start a processing session for a project (used to tag log lines)
+ * Cached data is shared across sessions and requests until its TTL expires
  * @param {string} projectId - Project ID to start session for
  */
 function startProjectSession(projectId) {
   const sessionId = `${projectId}_${Date.now()}`;
-  currentSessionId = sessionId;
-  sessionStartTime = Date.now();
-  logger.debug(`🔄 Started new cache session: ${sessionId}`);
+  logger.debug(`🔄 Started new session: ${sessionId}`);
   return sessionId;
 }
 
 /**
- * Check if cache entry belongs to current session
+ * Invalidate cached data of a project (call after writes)
+ * @param {string} projectId - Project ID
  */
-function isInCurrentSession(cacheEntry) {
-  if (!currentSessionId || !cacheEntry) return false;
-  return cacheEntry.sessionId === currentSessionId;
+async function clearProjectCache(projectId) {
+  await Promise.all([
+    invalidateCache("workItems", projectId),
+    invalidateCache("cycles", projectId),
+  ]);
 }
 
 /**
- * Clear caches for a specific project (useful between different operations)
+ * Invalidate cached data of a work item (call after writes or webhook events)
+ * @param {string} projectId - Project ID
+ * @param {string} workItemId - Work item ID
  */
-function clearProjectCache(projectId) {
-  workItemsCache.delete(projectId);
-  logger.debug(`🗑️ Cleared cache for project ${projectId}`);
+async function clearWorkItemCache(projectId, workItemId) {
+  await Promise.all([
+    invalidateCache("workItems", projectId),
+    invalidateCache("activities", workItemId),
+    invalidateCache("comments", workItemId),
+    invalidateCache("subitems", workItemId),
+  ]);
 }
 
 /**
- * Get projects from cache or fetch
+ * Fetch comments for a work item
+ * Failures are logged and read as no comments unless options.throwOnError is set.
  */
-async function getProjectsWithCache() {
-  const now = Date.now();
-  if (
-    projectsCache &&
-    projectsCacheTime &&
-    now - projectsCacheTime < PROJECTS_CACHE_TTL_MS
-  ) {
-    logger.info("Using cached projects");
-    return projectsCache;
-  }
-
-  const projects = await fetchProjects();
-  projectsCache = projects;
-  projectsCacheTime = now;
-  return projects;
+async function fetchWorkItemComments(projectId, workItemId, options) {
+  return (await fetchWorkItemCommentsPage(projectId, workItemId, options)).items;
 }
 
-/**
- * Fetch comments for a work item
- */
-async function fetchWorkItemComments(projectId, workItemId) {
+async function fetchWorkItemCommentsPage(projectId, workItemId, { throwOnError = false } = {}) {
   try {
-    const response = await apiRequestWithRetry(
-      () =>
-        PLANE_API.get(
-          `/workspaces/${serviceConfig.WORKSPACE_SLUG}/projects/${projectId}/work-items/${workItemId}/comments/`
-        ),
-      `comments(${workItemId})`
+    return await fetchAllPages(
+      `/workspaces/${serviceConfig.WORKSPACE_SLUG}/projects/${projectId}/work-items/${workItemId}/comments/`,
+      { maxItems: paginationLimits.maxActivities, resource: ["comments", workItemId] }
     );
-    return Array.isArray(response.data)
-      ? response.data
-      : response.data.results || [];
   } catch (error) {
+    if (throwOnError) throw error;
     logger.warn(`Failed to fetch comments for ${workItemId}: ${error.message}`);
-    return [];
+    return { items: [], truncated: false };
   }
 }
 
@@ -186,21 +142,18 @@ async function fetchWorkItemComments(projectId, workItemId) {
  * Fetch subitems for a work item
  */
 async function fetchWorkItemSubitems(projectId, workItemId) {
+  return (await fetchWorkItemSubitemsPage(projectId, workItemId)).items;
+}
+
+async function fetchWorkItemSubitemsPage(projectId, workItemId) {
   try {
-    const response = await apiRequestWithRetry(
-      () =>
-        PLANE_API.get(
-          `/workspaces/${serviceConfig.WORKSPACE_SLUG}/projects/${projectId}/work-items/${workItemId}/sub-issues/`,
-          { params: { expand: "state" } }
-        ),
-      `subitems(${workItemId})`
+    return await fetchAllPages(
+      `/workspaces/${serviceConfig.WORKSPACE_SLUG}/projects/${projectId}/work-items/${workItemId}/sub-issues/`,
+      { params: { expand: "state" }, resource: ["subitems", workItemId] }
     );
-    return Array.isArray(response.data)
-      ? response.data
-      : response.data.results || [];
   } catch (error) {
     logger.warn(`Failed to fetch subitems for ${workItemId}: ${error.message}`);
-    return [];
+    return { items: [], truncated: false };
   }
 }
 
@@ -211,48 +164,53 @@ async function fetchWorkItemSubitems(projectId, workItemId) {
 async function preloadAllUsers() {
   ensureApi();
 
-  // Skip if already loaded recently
-  if (allUsersLoaded && usersCacheTime && isCacheValid(usersCacheTime, USERS_CACHE_TTL_MS)) {
+  // Skip if already loaded recently in this isolate
+  if (usersLoadedAt && Date.now() - usersLoadedAt < CACHE_TTLS.users * 1000) {
     logger.info(`✓ Users already preloaded (${usersCache.size} cached)`);
     return;
   }
 
   try {
-    logger.info("📡 Preloading all workspace members...");
-    const response = await apiRequestWithRetry(
-      () =>
-        PLANE_API.get(`/workspaces/${serviceConfig.WORKSPACE_SLUG}/members/`, {
-          params: { page: 1, per_page: 100 },
-        }),
-      `preloadAllUsers`
-    );
-
-    const members = response.data.results || response.data || [];
-
-    // Cache all users by their various IDs
-    for (const member of members) {
-      const userData = member.member || member.user || member;
-      const userName =
-        member.display_name ||
-        userData.display_name ||
-        userData.first_name ||
-        userData.email ||
-        userData.id;
-
-      // Cache by all possible IDs
-      if (member.id) usersCache.set(member.id, userName);
-      if (member.member_id) usersCache.set(member.member_id, userName);
-      if (userData.id && userData.id !== member.id) usersCache.set(userData.id, userName);
+    const names = await cached("users", serviceConfig.WORKSPACE_SLUG, loadUserNames);
+    for (const [userId, userName] of Object.entries(names)) {
+      usersCache.set(userId, userName);
     }
-
-    usersCacheTime = Date.now();
-    allUsersLoaded = true;
-    logger.info(`✓ Preloaded ${members.length} users into cache`);
+    usersLoadedAt = Date.now();
+    logger.info(`✓ Preloaded ${usersCache.size} users into cache`);
   } catch (error) {
     logger.warn(`Failed to preload users: ${error.message}`);
   }
 }
 
+/**
+ * Fetch workspace members as a userId -> display name object
+ */
+async function loadUserNames() {
+  logger.info("📡 Preloading all workspace members...");
+  const { items: members } = await fetchAllPages(
+    `/workspaces/${serviceConfig.WORKSPACE_SLUG}/members/`,
+    { resource: ["members", "workspace"] }
+  );
+  const names = {};
+
+  // Index all users by their various IDs
+  for (const member of members) {
+    const userData = member.member || member.user || member;
+    const userName =
+      member.display_name ||
+      userData.display_name ||
+      userData.first_name ||
+      userData.email ||
+      userData.id;
+
+    if (member.id) names[member.id] = userName;
+    if (member.member_id) names[member.member_id] = userName;
+    if (userData.id && userData.id !== member.id) names[userData.id] = userName;
+  }
+
+  return names;
+}
+
 /**
  * Fetch user details by ID from cache (preload first!)
  */
@@ -265,7 +223,7 @@ async function fetchUserName(userId) {
   }
 
   // If not in cache and we haven't preloaded, preload now
-  if (!allUsersLoaded) {
+  if (!usersLoadedAt) {
     await preloadAllUsers();
     if (usersCache.has(userId)) {
       return usersCache.get(userId);
@@ -282,15 +240,11 @@ async function fetchUserName(userId) {
 async function getWorkspaceMembers() {
   ensureApi();
   try {
-    const response = await apiRequestWithRetry(
-      () =>
-        PLANE_API.get(`/workspaces/${serviceConfig.WORKSPACE_SLUG}/members/`, {
-          params: { page: 1, per_page: 100 },
-        }),
-      `getWorkspaceMembers`
+    const { items } = await fetchAllPages(
+      `/workspaces/${serviceConfig.WORKSPACE_SLUG}/members/`,
+      { resource: ["members", "workspace"] }
     );
-
-    return response.data.results || response.data || [];
+    return items;
   } catch (error) {
     logger.error(`Failed to fetch workspace members: ${error.message}`);
     return [];
@@ -305,47 +259,12 @@ async function getWorkspaceMembers() {
 async function getProjectMembers(projectId) {
   ensureApi();
 
-  // Check cache first
-  const cacheEntry = projectMembersCache.get(projectId);
-  if (cacheEntry && isCacheValid(cacheEntry.timestamp, PROJECT_MEMBERS_CACHE_TTL_MS)) {
-    logger.debug(`✓ Using cached project members for ${projectId}`);
-    return cacheEntry.data;
-  }
-
-  // Check for pending request
-  const cacheKey = `projectMembers:${projectId}`;
-  if (pendingRequests.has(cacheKey)) {
-    logger.debug(`⏳ Waiting for in-flight project members request for ${projectId}`);
-    return pendingRequests.get(cacheKey);
-  }
-
-  const requestPromise = (async () => {
-    try {
-      const response = await apiRequestWithRetry(
-        () =>
-          PLANE_API.get(
-            `/workspaces/${serviceConfig.WORKSPACE_SLUG}/projects/${projectId}/members/`,
-            { params: { page: 1, per_page: 100 } }
-          ),
-        `getProjectMembers(${projectId})`
-      );
-
-      const members = response.data.results || response.data || [];
-
-      // Cache the result
-      projectMembersCache.set(projectId, {
-        data: members,
-        timestamp: Date.now(),
-      });
-
-      return members;
-    } finally {
-      pendingRequests.delete(cacheKey);
-    }
-  })();
-
-  pendingRequests.set(cacheKey, requestPromise);
-  return requestPromise;
+  return cachedList("projectMembers", projectId, () =>
+    fetchAllPages(
+      `/workspaces/${serviceConfig.WORKSPACE_SLUG}/projects/${projectId}/members/`,
+      { resource: ["members", projectId] }
+    )
+  );
 }
 
 /**
@@ -404,16 +323,15 @@ function isAssignedToOrCreatedByMembers(workItem, memberIds) {
  */
 async function getWorkspaceDetails() {
   ensureApi();
-  if (workspaceDetailsCache) return workspaceDetailsCache;
 
   try {
-    const response = await apiRequestWithRetry(
-      () => PLANE_API.get(`/workspaces/${serviceConfig.WORKSPACE_SLUG}`),
-      `getWorkspaceDetails`
-    );
-
-    workspaceDetailsCache = response.data;
-    return workspaceDetailsCache;
+    return await cached("workspace", serviceConfig.WORKSPACE_SLUG, async () => {
+      const response = await apiRequestWithRetry(
+        () => PLANE_API.get(`/workspaces/${serviceConfig.WORKSPACE_SLUG}`),
+        `getWorkspaceDetails`
+      );
+      return response.data;
+    });
   } catch (error) {
     logger.error(`Failed to fetch workspace details: ${error.message}`);
     return { name: serviceConfig.WORKSPACE_SLUG, slug: serviceConfig.WORKSPACE_SLUG };
@@ -425,17 +343,8 @@ async function getWorkspaceDetails() {
  * @param {Object} params - Query parameters (actor, created_at__gte, etc.)
  */
 async function getWorkspaceActivities(params) {
-  ensureApi();
   try {
-    const response = await apiRequestWithRetry(
-      () =>
-        PLANE_API.get(`/workspaces/${serviceConfig.WORKSPACE_SLUG}/activities/`, {
-          params,
-        }),
-      `getWorkspaceActivities`
-    );
-
-    return response.data.results || response.data || [];
+    return (await fetchWorkspaceActivitiesPage(params)).items;
   } catch (error) {
     logger.error(`Failed to fetch workspace activities: ${error.message}`);
     return [];
@@ -443,43 +352,278 @@ async function getWorkspaceActivities(params) {
 }
 
 /**
- * Simple concurrency limiter
+ * Fetch workspace-wide activities, throwing on failure
+ * Callers that page through time themselves (the activity store sync) handle
+ * truncation, so it is not reported as partial data.
+ * @param {Object} params - Query parameters
+ * @param {Object} options - { reportTruncation }
+ * @returns {Promise<Object>} { items, truncated, limit }
  */
-class ConcurrencyLimiter {
-  constructor(maxConcurrent) {
-    this.maxConcurrent = maxConcurrent;
-    this.running = 0;
-    this.queue = [];
+async function fetchWorkspaceActivitiesPage(params, { reportTruncation = true } = {}) {
+  ensureApi();
+  return fetchAllPages(`/workspaces/${serviceConfig.WORKSPACE_SLUG}/activities/`, {
+    params,
+    resource: ["workspaceActivities", JSON.stringify(params)],
+    reportTruncation,
+  });
+}
+
+/**
+ * Token bucket for the Plane requests of one isolate
+ * Plane's limit applies to the whole API key, but every isolate (each
+ * interaction, cron run or webhook may get its own) has a separate bucket,
+ * so each is sized to a share of the limit (PLANE_REQUESTS_PER_MINUTE). The
+ * bucket also follows the X-RateLimit-* headers when Plane sends them; those
+ * count every isolate's requests, so requests wait before a 429 instead of after.
+ */
+class RateLimiter {
+  constructor(requestsPerMinute) {
+    this.share = requestsPerMinute;
+    this.capacity = requestsPerMinute;
+    this.tokens = requestsPerMinute;
+    this.updatedAt = Date.now();
+    this.blockedUntil = 0;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Set the requests per minute this isolate may use
+   */
+  setShare(requestsPerMinute) {
+    if (requestsPerMinute === this.share) return;
+    this.refill();
+    this.share = requestsPerMinute;
+    this.capacity = requestsPerMinute;
+    this.tokens = Math.min(this.tokens, requestsPerMinute);
   }
 
-  async run(fn) {
-    while (this.running >= this.maxConcurrent) {
-      await new Promise((resolve) => this.queue.push(resolve));
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + ((now - this.updatedAt) / 60000) * this.capacity);
+    this.updatedAt = now;
+  }
+
+  /**
+   * Milliseconds until `count` tokens are available (0 if they are now)
+   */
+  getWaitMs(count = 1) {
+    this.refill();
+    const blockedMs = Math.max(0, this.blockedUntil - Date.now());
+    const missing = Math.max(0, count - this.tokens);
+    return Math.max(blockedMs, Math.ceil((missing / this.capacity) * 60000));
+  }
+
+  /**
+   * Take one token, waiting for it if needed; callers are served in order
+   */
+  acquire() {
+    const turn = this.queue.then(async () => {
+      let waitMs = this.getWaitMs();
+      while (waitMs > 0) {
+        logger.debug(`⏳ Rate limit budget exhausted, waiting ${waitMs}ms`);
+        await sleep(waitMs);
+        waitMs = this.getWaitMs();
+      }
+      this.tokens -= 1;
+    });
+    this.queue = turn;
+    return turn;
+  }
+
+  /**
+   * Align the bucket with Plane's X-RateLimit-* response headers
+   */
+  update(headers = {}) {
+    const limit = parseInt(headers["x-ratelimit-limit"]);
+    const remaining = parseInt(headers["x-ratelimit-remaining"]);
+    const reset = parseInt(headers["x-ratelimit-reset"]);
+
+    this.refill();
+    if (limit > 0) this.capacity = Math.min(limit, this.share);
+    if (!isNaN(remaining)) this.tokens = Math.min(this.tokens, remaining);
+    if (remaining === 0 && reset > 0) {
+      // Reset is either an epoch timestamp or seconds from now
+      const resetMs = reset > 1e9 ? reset * 1000 : Date.now() + reset * 1000;
+      this.blockedUntil = Math.max(this.blockedUntil, resetMs);
     }
-    this.running++;
-    try {
-      return await fn();
-    } finally {
-      this.running--;
-      const resolve = this.queue.shift();
-      if (resolve) resolve();
+  }
+
+  /**
+   * Stop all requests for a while, e.g. after a 429
+   */
+  block(ms) {
+    this.tokens = 0;
+    this.blockedUntil = Math.max(this.blockedUntil, Date.now() + ms);
+  }
+}
+
+const isolateRateLimiter = new RateLimiter(DEFAULT_REQUESTS_PER_MINUTE);
+
+/**
+ * Get the Plane request budget of this isolate
+ * @returns {Object} { remaining, limit, waitMs } - waitMs until the next request may start
+ */
+function getRateLimitBudget() {
+  const waitMs = isolateRateLimiter.getWaitMs();
+  return {
+    remaining: Math.floor(isolateRateLimiter.tokens),
+    limit: isolateRateLimiter.capacity,
+    waitMs,
+  };
+}
+
+/**
+ * Wait until at least `count` requests fit in the budget
+ * Lets batch jobs pause between units of work only as long as needed.
+ * @param {number} count - Number of requests about to be made
+ */
+async function waitForRateLimitBudget(count) {
+  const waitMs = isolateRateLimiter.getWaitMs(Math.min(count, isolateRateLimiter.capacity));
+  if (waitMs > 0) {
+    logger.info(`Waiting ${Math.round(waitMs / 1000)}s for Plane rate limit budget (${count} requests)`);
+    await sleep(waitMs);
+  }
+}
+
+const RESOURCE_LABELS = {
+  projects: ["projects", "workspace"],
+  workItems: ["work items", "project"],
+  activities: ["activities", "work item"],
+  comments: ["comments", "work item"],
+  subitems: ["sub-items", "work item"],
+  cycles: ["cycles", "project"],
+  states: ["states", "project"],
+  members: ["members", "list"],
+  workspaceActivities: ["workspace activities", "query"],
+};
+
+// Lists cut short by an upper bound since the last reset: type -> { limit, ids }
+const truncations = new Map();
+
+/**
+ * Fetch every page of a Plane list endpoint, up to an upper bound
+ * @param {string} path - Endpoint path
+ * @param {Object} options - { params, maxItems, resource: [type, id] for truncation warnings, reportTruncation,
+ *   stopAt: predicate on an item of an ordered list; paging stops before the first match }
+ * @returns {Promise<Object>} { items, truncated, limit }
+ */
+async function fetchAllPages(path, { params = {}, maxItems = MAX_LIST_ITEMS, resource, reportTruncation = true, stopAt }) {
+  ensureApi();
+  const [type, id] = resource;
+  const items = [];
+  let cursor = null;
+  let truncated = false;
+  let page = 0;
+
+  while (true) {
+    page++;
+    const response = await apiRequestWithRetry(
+      () =>
+        PLANE_API.get(path, {
+          params: { ...params, per_page: paginationLimits.pageSize, ...(cursor ? { cursor } : {}) },
+        }),
+      `${type}(${id}) page ${page}`
+    );
+
+    const data = response.data;
+    const pageItems = extractPageItems(data);
+    const stopIndex = stopAt ? pageItems.findIndex(stopAt) : -1;
+    if (stopIndex !== -1) {
+      items.push(...pageItems.slice(0, stopIndex));
+      break;
     }
+    items.push(...pageItems);
+
+    const hasMore =
+      !Array.isArray(data) &&
+      pageItems.length > 0 &&
+      !!data.next_cursor &&
+      data.next_page_results !== false;
+
+    if (!hasMore) break;
+    if (items.length >= maxItems || page >= MAX_PAGES) {
+      truncated = true;
+      break;
+    }
+    cursor = data.next_cursor;
+  }
+
+  if (items.length > maxItems) {
+    items.length = maxItems;
+    truncated = true;
   }
+
+  if (truncated && reportTruncation) {
+    logger.warn(`${type}(${id}) truncated at ${items.length} items (limit ${maxItems})`);
+    noteTruncation(type, id, maxItems);
+  }
+  logger.debug(`Fetched ${items.length} ${type} for ${id} in ${page} pages`);
+  return { items, truncated, limit: maxItems };
+}
+
+/**
+ * Get the items of one list page (plain array, paginated or grouped response)
+ */
+function extractPageItems(data) {
+  if (Array.isArray(data)) return data;
+  if (Array.isArray(data?.results)) return data.results;
+  if (data?.grouped_by) {
+    return Object.values(data.grouped_by).filter(Array.isArray).flat();
+  }
+  return [];
+}
+
+/**
+ * Cached list: stores the whole page result so cache hits still report truncation
+ */
+async function cachedList(type, id, loadPage, options) {
+  const result = await cached(type, id, loadPage, options);
+  if (result.truncated) noteTruncation(type, id, result.limit);
+  return result.items;
+}
+
+function noteTruncation(type, id, limit) {
+  if (!truncations.has(type)) truncations.set(type, { limit, ids: new Set() });
+  truncations.get(type).ids.add(id);
+}
+
+/**
+ * Forget truncations noted so far; call when starting a summary
+ */
+function resetTruncationWarnings() {
+  truncations.clear();
 }
 
 /**
- * Make API request with exponential backoff - ONLY on 429
+ * Describe the lists truncated since the last reset
+ * @returns {string|null} Warning for a summary footer, or null if nothing was cut
+ */
+function getTruncationWarning() {
+  if (truncations.size === 0) return null;
+
+  const parts = [...truncations.entries()].map(([type, { limit, ids }]) => {
+    const [label, unit] = RESOURCE_LABELS[type] || [type, "list"];
+    return `${label} capped at ${limit} per ${unit} (${ids.size} ${unit}${ids.size === 1 ? "" : "s"})`;
+  });
+  return `⚠️ Partial data: ${parts.join(", ")}`;
+}
+
+/**
+ * Make API request through the rate limiter, with exponential backoff on 429
  */
 async function apiRequestWithRetry(requestFn, context = "") {
   let lastError;
 
   for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
     try {
+      await isolateRateLimiter.acquire();
       const result = await requestFn();
+      isolateRateLimiter.update(result.headers);
       logger.debug(`✓ ${context} succeeded`);
       return result;
     } catch (error) {
       lastError = error;
+      if (error.response) isolateRateLimiter.update(error.response.headers);
 
       if (error.response?.status === 429) {
         const retryAfter = error.response.headers["retry-after"];
@@ -496,7 +640,7 @@ async function apiRequestWithRetry(requestFn, context = "") {
             error.response.headers
           )}`
         );
-        await sleep(delayMs);
+        isolateRateLimiter.block(delayMs);
       } else {
         // Non-429 errors: fail immediately, don't retry
         logger.error(
@@ -516,172 +660,172 @@ async function apiRequestWithRetry(requestFn, context = "") {
  */
 async function fetchProjects() {
   ensureApi();
-  // Return cached projects if available and not expired
-  if (
-    projectsCache &&
-    projectsCacheTime &&
-    Date.now() - projectsCacheTime < PROJECTS_CACHE_TTL_MS
-  ) {
-    return projectsCache;
-  }
-
-  const projects = [];
-  let cursor = null;
-  let hasMore = true;
-  let iteration = 0;
+  return cachedList("projects", serviceConfig.WORKSPACE_SLUG, () =>
+    fetchAllPages(`/workspaces/${serviceConfig.WORKSPACE_SLUG}/projects/`, {
+      resource: ["projects", serviceConfig.WORKSPACE_SLUG],
+    })
+  );
+}
 
-  while (hasMore) {
-    iteration++;
-    if (iteration > 20) { // Same safety break
-      logger.warn(`Too many fetchProjects iterations, breaking`);
-      break;
-    }
+/**
+ * Fetch all work items from a project
+ */
+async function fetchWorkItems(projectId) {
+  return (await fetchWorkItemsPage(projectId)).items;
+}
 
-    const params = cursor ? { cursor } : {};
-    logger.debug(
-      `Fetching projects ${cursor ? `(cursor: ${cursor})` : `(page ${iteration})`}`
-    );
-    const response = await apiRequestWithRetry(
-      () =>
-        PLANE_API.get(`/workspaces/${serviceConfig.WORKSPACE_SLUG}/projects/`, {
-          params,
-        }),
-      "fetchProjects"
-    );
+/**
+ * Fetch every work item of a project, not only the most recently updated
+ * MAX_WORK_ITEMS_PER_PROJECT, up to the general list bound; uncached
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Array>} Work items
+ */
+async function fetchAllWorkItems(projectId) {
+  return (await fetchWorkItemsPage(projectId, { maxItems: MAX_LIST_ITEMS })).items;
+}
 
-    const data = response.data;
-    logger.info(
-      `Projects API response: ${JSON.stringify({
-        isArray: Array.isArray(data),
-        hasResults: !!data.results,
-        resultsCount: Array.isArray(data.results) ? data.results.length : 0,
-        hasCursor: !!data.next_cursor,
-      })}`
-    );
+/**
+ * Fetch the work items of a project updated after a point in time, newest
+ * first; pages stop at the first older item, so only recent changes are read
+ * @param {string} projectId - Project ID
+ * @param {string|null} since - ISO timestamp, or null to fetch every item
+ * @returns {Promise<Array>} Work items, uncached
+ */
+async function fetchWorkItemsUpdatedSince(projectId, since) {
+  const sinceTime = since ? new Date(since).getTime() : null;
+  const stopAt = sinceTime === null ? undefined : item => new Date(item.updated_at).getTime() < sinceTime;
+  return (await fetchWorkItemsPage(projectId, { maxItems: MAX_LIST_ITEMS, stopAt })).items;
+}
 
-    if (Array.isArray(data)) {
-      // Direct array response
-      projects.push(...data);
-      hasMore = false;
-    } else if (Array.isArray(data.results) && data.results.length > 0) {
-      // Paginated results response - this is what Plane actually returns
-      projects.push(...data.results);
-      cursor = data.next_cursor;
-      hasMore = !!cursor;
-    } else if (data.grouped_by && Object.keys(data.grouped_by).length > 0) {
-      // Grouped response - extract from groups
-      for (const group of Object.values(data.grouped_by)) {
-        if (Array.isArray(group)) {
-          projects.push(...group);
-        }
-      }
-      cursor = data.next_cursor;
-      hasMore = !!cursor;
-    } else {
-      hasMore = false;
+async function fetchWorkItemsPage(projectId, { maxItems = paginationLimits.maxWorkItems, stopAt } = {}) {
+  const result = await fetchAllPages(
+    `/workspaces/${serviceConfig.WORKSPACE_SLUG}/projects/${projectId}/work-items/`,
+    {
+      params: {
+        order_by: "-updated_at", // Fetch most recently updated first
+        expand: "state", // Expand state details to get full state information
+      },
+      maxItems,
+      stopAt,
+      resource: ["workItems", projectId],
     }
-  }
-
-  logger.info(
-    `Fetched ${projects.length} projects total after ${iteration} iterations`
   );
 
-  // Cache the results
-  projectsCache = projects;
-  projectsCacheTime = Date.now();
+  logger.info(`Fetched ${result.items.length} work items for project ${projectId}`);
+  return result;
+}
 
-  return projects;
+/**
+ * Fetch a single work item
+ * @param {string} projectId - Project ID
+ * @param {string} workItemId - Work item ID
+ * @param {string} expand - Comma-separated relations to expand
+ * @returns {Promise<Object>} Work item
+ */
+async function fetchWorkItem(projectId, workItemId, expand = "state,labels,assignees") {
+  ensureApi();
+  const response = await apiRequestWithRetry(
+    () =>
+      PLANE_API.get(
+        `/workspaces/${serviceConfig.WORKSPACE_SLUG}/projects/${projectId}/work-items/${workItemId}/`,
+        { params: { expand } }
+      ),
+    `fetchWorkItem(${workItemId})`
+  );
+  return response.data;
 }
 
 /**
- * Fetch all work items from a project
+ * Fetch the workflow states of a project
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Array>} States ({ id, name, group, ... })
  */
-async function fetchWorkItems(projectId) {
+async function fetchProjectStates(projectId) {
+  const { items } = await fetchAllPages(
+    `/workspaces/${serviceConfig.WORKSPACE_SLUG}/projects/${projectId}/states/`,
+    { resource: ["states", projectId] }
+  );
+  return items;
+}
+
+/**
+ * Fetch a work item by its human-readable identifier (e.g. RADAR-123)
+ * @param {string} identifier - Project identifier and sequence ID
+ * @returns {Promise<Object|null>} Work item, or null if it does not exist
+ */
+async function fetchWorkItemByIdentifier(identifier) {
   ensureApi();
-  const workItems = [];
-  let cursor = null;
-  let hasMore = true;
-  let iteration = 0;
-  const MAX_ITERATIONS = 10; // Safety limit to prevent infinite loops
-
-  while (hasMore && workItems.length < MAX_WORK_ITEMS_PER_PROJECT && iteration < MAX_ITERATIONS) {
-    iteration++;
-    const params = {
-      order_by: "-updated_at", // Fetch most recently updated first
-      expand: "state", // Expand state details to get full state information
-      ...(cursor ? { cursor } : {}),
-    };
+  try {
     const response = await apiRequestWithRetry(
       () =>
         PLANE_API.get(
-          `/workspaces/${serviceConfig.WORKSPACE_SLUG}/projects/${projectId}/work-items/`,
-          { params }
+          `/workspaces/${serviceConfig.WORKSPACE_SLUG}/work-items/${identifier}/`,
+          { params: { expand: "state,labels,assignees" } }
         ),
-      `fetchWorkItems(${projectId})`
-    );
-
-    const data = response.data;
-    const resultsCount = Array.isArray(data) ? data.length : data.results?.length || 0;
-
-    logger.debug(
-      `Work items API response: ${JSON.stringify({
-        isArray: Array.isArray(data),
-        hasResults: !!data.results,
-        count: resultsCount,
-        iteration,
-      })}`
+      `fetchWorkItemByIdentifier(${identifier})`
     );
-
-    if (Array.isArray(data)) {
-      workItems.push(
-        ...data.slice(0, MAX_WORK_ITEMS_PER_PROJECT - workItems.length)
-      );
-      hasMore = false;
-    } else if (data.results && data.results.length > 0) {
-      // Only continue if we actually got results
-      workItems.push(
-        ...data.results.slice(0, MAX_WORK_ITEMS_PER_PROJECT - workItems.length)
-      );
-      cursor =
-        data.next_cursor && workItems.length < MAX_WORK_ITEMS_PER_PROJECT
-          ? data.next_cursor
-          : null;
-      hasMore = !!cursor;
-    } else {
-      // Empty results or no results - stop pagination
-      hasMore = false;
+    return response.data;
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return null;
     }
+    throw error;
   }
+}
 
-  if (iteration >= MAX_ITERATIONS) {
-    logger.warn(`fetchWorkItems hit max iterations (${MAX_ITERATIONS}) for project ${projectId}`);
-  }
+/**
+ * Create a work item in a project
+ * @param {string} projectId - Project ID
+ * @param {Object} data - Work item fields (name, description_html, priority, ...)
+ * @returns {Promise<Object>} The created work item
+ */
+async function createWorkItem(projectId, data) {
+  ensureApi();
+  const response = await apiRequestWithRetry(
+    () =>
+      PLANE_API.post(
+        `/workspaces/${serviceConfig.WORKSPACE_SLUG}/projects/${projectId}/work-items/`,
+        data
+      ),
+    `createWorkItem(${projectId})`
+  );
+
+  // New item changes the project's work item list
+  await clearProjectCache(projectId);
 
-  logger.info(`Fetched ${workItems.length} work items for project ${projectId} in ${iteration} iterations`);
-  return workItems;
+  logger.info(`Created work item ${response.data.id} in project ${projectId}`);
+  return response.data;
 }
 
 /**
- * Fetch activities for a work item
+ * Get the Plane web app base URL (API base URL without the /api/v1 suffix)
+ * @returns {string} Web app base URL
  */
-async function fetchWorkItemActivities(projectId, workItemId) {
+function getPlaneAppUrl() {
   ensureApi();
+  return serviceConfig.PLANE_BASE_URL.replace(/\/api\/v\d+\/?$/, "").replace(/\/$/, "");
+}
+
+/**
+ * Fetch activities for a work item
+ * Failures are logged and read as no activities unless options.throwOnError is set.
+ */
+async function fetchWorkItemActivities(projectId, workItemId, options) {
+  return (await fetchWorkItemActivitiesPage(projectId, workItemId, options)).items;
+}
+
+async function fetchWorkItemActivitiesPage(projectId, workItemId, { throwOnError = false } = {}) {
   try {
-    const response = await apiRequestWithRetry(
-      () =>
-        PLANE_API.get(
-          `/workspaces/${serviceConfig.WORKSPACE_SLUG}/projects/${projectId}/work-items/${workItemId}/activities/`
-        ),
-      `activities(${workItemId})`
+    return await fetchAllPages(
+      `/workspaces/${serviceConfig.WORKSPACE_SLUG}/projects/${projectId}/work-items/${workItemId}/activities/`,
+      { maxItems: paginationLimits.maxActivities, resource: ["activities", workItemId] }
     );
-    return Array.isArray(response.data)
-      ? response.data
-      : response.data.results || [];
   } catch (error) {
+    if (throwOnError) throw error;
     logger.warn(
       `Failed to fetch activities for ${workItemId}: ${error.message}`
     );
-    return [];
+    return { items: [], truncated: false };
   }
 }
 
@@ -729,9 +873,11 @@ async function fetchWorkItemRelationships(projectId, workItemId) {
  * @param {Date} endDate - End of date range
  * @param {string} projectFilter - Optional project name or identifier to filter by
  * @param {string} actorFilter - Optional actor name or identifier to filter by
+ * @param {Object} options - { activityStore } to read activities and comments from the synced
+ * store (see activityStoreService) instead of fetching them per work item
  */
-async function getTeamActivities(startDate, endDate, projectFilter = null, actorFilter = null) {
-  return _getTeamActivitiesInternal(startDate, endDate, projectFilter, actorFilter);
+async function getTeamActivities(startDate, endDate, projectFilter = null, actorFilter = null, options = {}) {
+  return _getTeamActivitiesInternal(startDate, endDate, projectFilter, actorFilter, options.activityStore || null);
 }
 
 /**
@@ -742,7 +888,8 @@ async function processProjectActivities(
   startDate,
   endDate,
   actorFilter,
-  activityLimiter
+  activityLimiter,
+  activityStore
 ) {
   const activities = [];
   const projectId = project.id;
@@ -841,12 +988,15 @@ async function processProjectActivities(
     relevantWorkItems.map((task) =>
       activityLimiter.run(async () => {
         try {
-          // Fetch activities, comments, subitems in parallel for this work item
-          const [itemActivities, comments, subitems] = await Promise.all([
-            getActivitiesWithCache(task.projectId, task.workItemId),
-            getCommentsWithCache(task.projectId, task.workItemId).catch(() => []),
-            getSubitemsWithCache(task.projectId, task.workItemId).catch(() => []),
-          ]);
+          // Fetch activities, comments, subitems in parallel for this work item,
+          // unless the activity store already has them
+          const [itemActivities, comments, subitems] = activityStore
+            ? await loadStoredItemDetails(activityStore, workItems, task)
+            : await Promise.all([
+              getActivitiesWithCache(task.projectId, task.workItemId),
+              getCommentsWithCache(task.projectId, task.workItemId).catch(() => []),
+              getSubitemsWithCache(task.projectId, task.workItemId).catch(() => []),
+            ]);
 
           // Extract relationships from activities (no extra API call needed)
           const relationshipFields = ['relates_to', 'blocks', 'blocked_by', 'depends_on', 'parent'];
@@ -869,7 +1019,7 @@ async function processProjectActivities(
           let foundActivityInRange = false;
 
           // Filter and transform activities within date range
-          for (const activity of itemActivities.slice(0, MAX_ACTIVITIES_PER_ITEM)) {
+          for (const activity of itemActivities) {
             const activityDate = new Date(activity.created_at || activity.updated_at);
             if (activityDate >= startDate && activityDate <= endDate) {
               // Get actor name from cache (preloaded)
@@ -902,7 +1052,7 @@ async function processProjectActivities(
           }
 
           // Process comments
-          for (const comment of comments.slice(0, MAX_ACTIVITIES_PER_ITEM)) {
+          for (const comment of comments) {
             const commentDate = new Date(comment.created_at);
             if (commentDate >= startDate && commentDate <= endDate) {
               foundActivityInRange = true;
@@ -1031,6 +1181,26 @@ async function processProjectActivities(
   return activities;
 }
 
+/**
+ * Read a work item's activities and comments from the activity store; its
+ * sub-items come from the project's work item list, so no per-item requests
+ */
+async function loadStoredItemDetails(activityStore, workItems, task) {
+  const { activities, comments } = await activityStore.getWorkItemActivities(task.projectId, task.workItemId);
+
+  const subitems = workItems
+    .filter((item) => (item.parent?.id || item.parent) === task.workItemId)
+    .map((item) => ({
+      ...item,
+      assignee_details: item.assignee_details || (item.assignees || []).map((id) => ({
+        id,
+        display_name: usersCache.get(id),
+      })),
+    }));
+
+  return [activities, comments, subitems];
+}
+
 /**
  * Internal implementation of getTeamActivities - OPTIMIZED VERSION
  */
@@ -1038,7 +1208,8 @@ async function _getTeamActivitiesInternal(
   startDate,
   endDate,
   projectFilter = null,
-  actorFilter = null
+  actorFilter = null,
+  activityStore = null
 ) {
   const startTime = Date.now();
   logger.info(
@@ -1053,7 +1224,7 @@ async function _getTeamActivitiesInternal(
   const projectLimiter = new ConcurrencyLimiter(MAX_CONCURRENT_PROJECT_FETCHES);
 
   // Fetch projects from cache (or fetch if expired)
-  let projects = await getProjectsWithCache();
+  let projects = await fetchProjects();
 
   // Filter projects if projectFilter is provided
   if (projectFilter) {
@@ -1088,7 +1259,8 @@ async function _getTeamActivitiesInternal(
           startDate,
           endDate,
           actorFilter,
-          activityLimiter
+          activityLimiter,
+          activityStore
         )
       )
     )
@@ -1169,19 +1341,17 @@ async function getWorkItemsSnapshot() {
  * @returns {Promise<Array>} List of cycles with completion info
  */
 async function fetchCycles(projectId) {
-  ensureApi();
+  return (await fetchCyclesPage(projectId)).items;
+}
+
+async function fetchCyclesPage(projectId) {
   try {
-    const response = await apiRequestWithRetry(
-      () =>
-        PLANE_API.get(
-          `/workspaces/${serviceConfig.WORKSPACE_SLUG}/projects/${projectId}/cycles/`
-        ),
-      `fetchCycles(${projectId})`
+    const result = await fetchAllPages(
+      `/workspaces/${serviceConfig.WORKSPACE_SLUG}/projects/${projectId}/cycles/`,
+      { resource: ["cycles", projectId] }
     );
 
-    const cycles = response.data.results || response.data || [];
-
-    return cycles.map((cycle) => ({
+    const items = result.items.map((cycle) => ({
       id: cycle.id,
       name: cycle.name,
       startDate: cycle.start_date,
@@ -1198,13 +1368,14 @@ async function fetchCycles(projectId) {
         return new Date(cycle.start_date) <= now && now <= new Date(cycle.end_date);
       })(),
     }));
+    return { ...result, items };
   } catch (error) {
     if (error.response?.status === 403) {
       logger.warn(`No access to cycles for project ${projectId}`);
-      return [];
+      return { items: [], truncated: false };
     }
     logger.error(`Failed to fetch cycles for ${projectId}: ${error.message}`);
-    return [];
+    return { items: [], truncated: false };
   }
 }
 
@@ -1214,42 +1385,7 @@ async function fetchCycles(projectId) {
  * @returns {Promise<Array>} Work items for the project
  */
 async function getWorkItemsWithCache(projectId, forceRefresh = false) {
-  const cacheKey = `workItems:${projectId}`;
-  const cacheEntry = workItemsCache.get(projectId);
-
-  // Return from cache if valid AND in current session
-  if (!forceRefresh && cacheEntry && isInCurrentSession(cacheEntry) && isCacheValid(cacheEntry.timestamp, WORK_ITEMS_CACHE_TTL_MS)) {
-    logger.debug(`✓ Using cached work items for project ${projectId} (session: ${cacheEntry.sessionId})`);
-    return cacheEntry.data;
-  }
-
-  // Deduplicate: if a request is already in progress, wait for it
-  if (pendingRequests.has(cacheKey)) {
-    logger.debug(`⏳ Waiting for in-flight work items request for ${projectId}`);
-    return pendingRequests.get(cacheKey);
-  }
-
-  // Create a new request and store the promise
-  const requestPromise = (async () => {
-    try {
-      logger.debug(`📡 Fetching fresh work items for project ${projectId}`);
-      const workItems = await fetchWorkItems(projectId);
-
-      // Store with current session ID
-      workItemsCache.set(projectId, {
-        data: workItems,
-        timestamp: Date.now(),
-        sessionId: currentSessionId,
-      });
-
-      return workItems;
-    } finally {
-      pendingRequests.delete(cacheKey);
-    }
-  })();
-
-  pendingRequests.set(cacheKey, requestPromise);
-  return requestPromise;
+  return cachedList("workItems", projectId, () => fetchWorkItemsPage(projectId), { forceRefresh });
 }
 
 /**
@@ -1259,40 +1395,7 @@ async function getWorkItemsWithCache(projectId, forceRefresh = false) {
  * @returns {Promise<Array>} Activities for the work item
  */
 async function getActivitiesWithCache(projectId, workItemId) {
-  const cacheKey = `activities:${workItemId}`;
-  const cacheEntry = activitiesCache.get(workItemId);
-
-  // Return from cache if valid AND in current session
-  if (cacheEntry && isInCurrentSession(cacheEntry) && isCacheValid(cacheEntry.timestamp, ACTIVITIES_CACHE_TTL_MS)) {
-    logger.debug(`✓ Using cached activities for work item ${workItemId}`);
-    return cacheEntry.data;
-  }
-
-  if (pendingRequests.has(cacheKey)) {
-    logger.debug(`⏳ Waiting for in-flight activities request for ${workItemId}`);
-    return pendingRequests.get(cacheKey);
-  }
-
-  const requestPromise = (async () => {
-    try {
-      logger.debug(`📡 Fetching fresh activities for work item ${workItemId}`);
-      const activities = await fetchWorkItemActivities(projectId, workItemId);
-
-      // Store with current session ID
-      activitiesCache.set(workItemId, {
-        data: activities,
-        timestamp: Date.now(),
-        sessionId: currentSessionId,
-      });
-
-      return activities;
-    } finally {
-      pendingRequests.delete(cacheKey);
-    }
-  })();
-
-  pendingRequests.set(cacheKey, requestPromise);
-  return requestPromise;
+  return cachedList("activities", workItemId, () => fetchWorkItemActivitiesPage(projectId, workItemId));
 }
 
 /**
@@ -1302,40 +1405,7 @@ async function getActivitiesWithCache(projectId, workItemId) {
  * @returns {Promise<Array>} Comments for the work item
  */
 async function getCommentsWithCache(projectId, workItemId) {
-  const cacheKey = `comments:${workItemId}`;
-  const cacheEntry = commentsCache.get(workItemId);
-
-  // Return from cache if valid AND in current session
-  if (cacheEntry && isInCurrentSession(cacheEntry) && isCacheValid(cacheEntry.timestamp, COMMENTS_CACHE_TTL_MS)) {
-    logger.debug(`✓ Using cached comments for work item ${workItemId}`);
-    return cacheEntry.data;
-  }
-
-  if (pendingRequests.has(cacheKey)) {
-    logger.debug(`⏳ Waiting for in-flight comments request for ${workItemId}`);
-    return pendingRequests.get(cacheKey);
-  }
-
-  const requestPromise = (async () => {
-    try {
-      logger.debug(`📡 Fetching fresh comments for work item ${workItemId}`);
-      const comments = await fetchWorkItemComments(projectId, workItemId);
-
-      // Store with current session ID
-      commentsCache.set(workItemId, {
-        data: comments,
-        timestamp: Date.now(),
-        sessionId: currentSessionId,
-      });
-
-      return comments;
-    } finally {
-      pendingRequests.delete(cacheKey);
-    }
-  })();
-
-  pendingRequests.set(cacheKey, requestPromise);
-  return requestPromise;
+  return cachedList("comments", workItemId, () => fetchWorkItemCommentsPage(projectId, workItemId));
 }
 
 /**
@@ -1345,40 +1415,7 @@ async function getCommentsWithCache(projectId, workItemId) {
  * @returns {Promise<Array>} Subitems for the work item
  */
 async function getSubitemsWithCache(projectId, workItemId) {
-  const cacheKey = `subitems:${workItemId}`;
-  const cacheEntry = subitemsCache.get(workItemId);
-
-  // Return from cache if valid AND in current session
-  if (cacheEntry && isInCurrentSession(cacheEntry) && isCacheValid(cacheEntry.timestamp, SUBITEMS_CACHE_TTL_MS)) {
-    logger.debug(`✓ Using cached subitems for work item ${workItemId}`);
-    return cacheEntry.data;
-  }
-
-  if (pendingRequests.has(cacheKey)) {
-    logger.debug(`⏳ Waiting for in-flight subitems request for ${workItemId}`);
-    return pendingRequests.get(cacheKey);
-  }
-
-  const requestPromise = (async () => {
-    try {
-      logger.debug(`📡 Fetching fresh subitems for work item ${workItemId}`);
-      const subitems = await fetchWorkItemSubitems(projectId, workItemId);
-
-      // Store with current session ID
-      subitemsCache.set(workItemId, {
-        data: subitems,
-        timestamp: Date.now(),
-        sessionId: currentSessionId,
-      });
-
-      return subitems;
-    } finally {
-      pendingRequests.delete(cacheKey);
-    }
-  })();
-
-  pendingRequests.set(cacheKey, requestPromise);
-  return requestPromise;
+  return cachedList("subitems", workItemId, () => fetchWorkItemSubitemsPage(projectId, workItemId));
 }
 
 /**
@@ -1387,60 +1424,30 @@ async function getSubitemsWithCache(projectId, workItemId) {
  * @returns {Promise<Array>} Cycles for the project
  */
 async function getCyclesWithCache(projectId) {
-  const cacheKey = `cycles:${projectId}`;
-  const cacheEntry = cyclesCache.get(projectId);
-
-  // Return from cache if valid AND in current session
-  if (cacheEntry && isInCurrentSession(cacheEntry) && isCacheValid(cacheEntry.timestamp, CYCLES_CACHE_TTL_MS)) {
-    logger.debug(`✓ Using cached cycles for project ${projectId}`);
-    return cacheEntry.data;
-  }
-
-  if (pendingRequests.has(cacheKey)) {
-    logger.debug(`⏳ Waiting for in-flight cycles request for ${projectId}`);
-    return pendingRequests.get(cacheKey);
-  }
-
-  const requestPromise = (async () => {
-    try {
-      logger.debug(`📡 Fetching fresh cycles for project ${projectId}`);
-      const cycles = await fetchCycles(projectId);
-
-      // Store with current session ID
-      cyclesCache.set(projectId, {
-        data: cycles,
-        timestamp: Date.now(),
-        sessionId: currentSessionId,
-      });
-
-      return cycles;
-    } finally {
-      pendingRequests.delete(cacheKey);
-    }
-  })();
-
-  pendingRequests.set(cacheKey, requestPromise);
-  return requestPromise;
+  return cachedList("cycles", projectId, () => fetchCyclesPage(projectId));
 }
 
 /**
- * Clear activity-related caches to ensure fresh data for each person
- * This prevents data mixing between different users' summaries
+ * Free the in-isolate activity caches between projects of a long run
+ * (shared cache entries stay until their TTL expires)
  */
 function clearActivityCaches() {
-  activitiesCache.clear();
-  commentsCache.clear();
-  subitemsCache.clear();
-  // Clear pending requests to avoid stale promises
-  pendingRequests.clear();
-  logger.debug('Cleared activity caches for fresh data fetch');
+  clearMemoryCache(["activities", "comments", "subitems"]);
+  logger.debug('Cleared in-memory activity caches');
 }
 
 export {
   initPlaneService,
   fetchProjects,
   fetchWorkItems,
+  fetchAllWorkItems,
+  fetchWorkItemsUpdatedSince,
   getWorkItemsWithCache,
+  fetchWorkItem,
+  fetchWorkItemByIdentifier,
+  fetchProjectStates,
+  createWorkItem,
+  getPlaneAppUrl,
   fetchWorkItemActivities,
   getActivitiesWithCache,
   fetchWorkItemComments,
@@ -1454,10 +1461,17 @@ export {
   getProjectMembers,
   getWorkspaceDetails,
   getWorkspaceActivities,
+  fetchWorkspaceActivitiesPage,
   fetchCycles,
   getCyclesWithCache,
   clearActivityCaches,
   startProjectSession,
   clearProjectCache,
+  clearWorkItemCache,
+  getRateLimitBudget,
+  resetTruncationWarnings,
+  getTruncationWarning,
+  waitForRateLimitBudget,
   preloadAllUsers,
+  fetchUserName,
 };
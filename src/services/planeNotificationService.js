@@ -0,0 +1,120 @@
+import { fetchWorkItem, fetchProjectStates, getPlaneAppUrl } from './planeApiDirect.js';
+import { getEffectiveSchedule } from './scheduleService.js';
+import { getIssueUrl } from '../utils/utils.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Real-time notifications built from Plane webhook events
+ *
+ * Only a few event kinds are worth interrupting a channel for: state changes,
+ * new (or newly escalated) urgent work items, new comments and new cycles.
+ * Everything else is left to the daily summary.
+ */
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const COMMENT_EXCERPT_LENGTH = 200;
+
+/**
+ * Get the channel a project's notifications go to
+ * @param {Object} project - Registered project (with `registry` entry)
+ * @param {Object} env - Environment variables
+ * @returns {string|null} Channel ID: the project's notification channel, else its
+ * first summary channel, else null
+ */
+export function getNotificationChannelId(project, env) {
+  return project.registry?.notificationChannelId ||
+    getEffectiveSchedule(project, env)?.channels[0] ||
+    null;
+}
+
+/**
+ * Build the Discord message for a Plane webhook event
+ * @param {Object} payload - Parsed webhook body ({ event, action, data, activity })
+ * @param {Object} project - Registered project the event belongs to
+ * @param {string} workspaceSlug - Workspace slug, for links
+ * @returns {Promise<Object|null>} Discord message payload, or null if the event is not notified
+ */
+export async function buildWebhookNotification(payload, project, workspaceSlug) {
+  const { event, action, data = {}, activity = {} } = payload;
+  const actor = activity.actor?.display_name || activity.actor?.first_name || 'Someone';
+
+  if (event === 'issue' || event === 'work_item') {
+    return buildWorkItemNotification(action, data, activity, actor, project, workspaceSlug);
+  }
+
+  if (event === 'issue_comment' || event === 'work_item_comment') {
+    if (action !== 'created') return null;
+
+    const workItemId = data.issue || data.work_item;
+    const workItem = await fetchWorkItem(project.id, workItemId, 'state');
+    const excerpt = (data.comment_stripped || data.comment_html?.replace(/<[^>]*>/g, '') || '').trim();
+    const shortExcerpt = excerpt.length > COMMENT_EXCERPT_LENGTH
+      ? `${excerpt.substring(0, COMMENT_EXCERPT_LENGTH)}…`
+      : excerpt;
+
+    return {
+      content: `💬 **${actor}** commented on ${formatWorkItemLink(workItem, project, workspaceSlug)}` +
+        (shortExcerpt ? `\n> ${shortExcerpt.replace(/\n+/g, ' ')}` : '')
+    };
+  }
+
+  if (event === 'cycle') {
+    if (action !== 'created') return null;
+
+    const dates = data.start_date && data.end_date
+      ? ` (${data.start_date.substring(0, 10)} → ${data.end_date.substring(0, 10)})`
+      : '';
+    return { content: `🗓️ New cycle in **${project.name}**: **${data.name}**${dates}` };
+  }
+
+  logger.debug(`Ignoring Plane webhook event ${event}.${action}`);
+  return null;
+}
+
+async function buildWorkItemNotification(action, data, activity, actor, project, workspaceSlug) {
+  const link = formatWorkItemLink(data, project, workspaceSlug);
+
+  if (action === 'created') {
+    return data.priority === 'urgent'
+      ? { content: `🚨 New **urgent** work item ${link} by **${actor}**` }
+      : null;
+  }
+
+  if (action !== 'updated') return null;
+
+  if (activity.field === 'priority' && activity.new_value === 'urgent') {
+    return { content: `🚨 ${link} escalated to **urgent** by **${actor}** (was ${activity.old_value || 'none'})` };
+  }
+
+  if (activity.field === 'state' || activity.field === 'state_id') {
+    const [from, to] = await resolveStateNames(project.id, [activity.old_value, activity.new_value]);
+    return { content: `🔄 ${link}: **${from}** → **${to}** by **${actor}**` };
+  }
+
+  return null;
+}
+
+/**
+ * Webhook activity values may be state names or state IDs; turn IDs into names
+ */
+async function resolveStateNames(projectId, values) {
+  if (!values.some(value => UUID_PATTERN.test(value || ''))) {
+    return values.map(value => value || 'None');
+  }
+
+  const states = await fetchProjectStates(projectId);
+  return values.map(value => states.find(s => s.id === value)?.name || value || 'None');
+}
+
+/**
+ * Format a work item as a Discord link: [IDENT-12](url) Name
+ * @param {Object} workItem - Plane work item
+ * @param {Object} project - Project the work item belongs to
+ * @param {string} workspaceSlug - Workspace slug
+ * @returns {string} Markdown link
+ */
+export function formatWorkItemLink(workItem, project, workspaceSlug) {
+  const identifier = `${project.identifier}-${workItem.sequence_id}`;
+  const url = getIssueUrl(workspaceSlug, project.id, workItem.id, getPlaneAppUrl());
+  return `[${identifier}](${url}) ${workItem.name}`;
+}
@@ -0,0 +1,128 @@
+import { fetchProjects } from './planeApiDirect.js';
+import { getJSON, putJSON } from './storageService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Project registry: which Plane projects the bot works with, and in which order
+ *
+ * Stored in KV as an ordered array of entries ({ identifier, ... }). Until the
+ * registry is edited at runtime, it falls back to the PROJECT_IDENTIFIERS env
+ * var (comma-separated) and then to the built-in default list.
+ */
+
+const REGISTRY_KEY = 'project-registry';
+
+// Radar(RADAR), Forga(FORGE), SLM - Radar Agent(SLMRA), HSBC Smart Splunk(HSBCS)
+const DEFAULT_PROJECT_IDENTIFIERS = ['RADAR', 'FORGE', 'SLMRA', 'HSBCS'];
+
+let fallbackIdentifiers = DEFAULT_PROJECT_IDENTIFIERS;
+
+/**
+ * Initialize the registry fallback from the Worker environment
+ * @param {Object} env - Environment variables
+ */
+export function initProjectRegistry(env) {
+  const fromEnv = (env?.PROJECT_IDENTIFIERS || '')
+    .split(',')
+    .map(id => id.trim().toUpperCase())
+    .filter(Boolean);
+
+  fallbackIdentifiers = fromEnv.length > 0 ? fromEnv : DEFAULT_PROJECT_IDENTIFIERS;
+}
+
+/**
+ * Get the ordered registry entries
+ * @returns {Promise<Array>} Entries like { identifier }
+ */
+export async function getRegistryEntries() {
+  const stored = await getJSON(REGISTRY_KEY);
+  if (Array.isArray(stored)) {
+    return stored;
+  }
+  return fallbackIdentifiers.map(identifier => ({ identifier }));
+}
+
+/**
+ * Get the registered Plane projects in registry order
+ * Registry entries whose project no longer exists in Plane are skipped
+ * @returns {Promise<Array>} Plane project objects, each with its registry entry attached as `registry`
+ */
+export async function getRegisteredProjects() {
+  const [entries, allProjects] = await Promise.all([getRegistryEntries(), fetchProjects()]);
+
+  const projects = [];
+  for (const entry of entries) {
+    const project = allProjects.find(p => p.identifier === entry.identifier);
+    if (project) {
+      projects.push({ ...project, registry: entry });
+    } else {
+      logger.warn(`Registered project ${entry.identifier} not found in Plane`);
+    }
+  }
+
+  return projects;
+}
+
+/**
+ * Add a project to the registry, or move it if it is already registered
+ * @param {string} identifier - Project identifier
+ * @param {number} position - Optional 1-based position (defaults to the end)
+ * @returns {Promise<Array>} Updated entries
+ */
+export async function addRegisteredProject(identifier, position = null) {
+  const normalized = identifier.toUpperCase();
+  const allProjects = await fetchProjects();
+  if (!allProjects.some(p => p.identifier === normalized)) {
+    throw new Error(`No Plane project with identifier ${normalized}`);
+  }
+
+  const entries = await getRegistryEntries();
+  const existingIndex = entries.findIndex(e => e.identifier === normalized);
+  const [entry] = existingIndex >= 0 ? entries.splice(existingIndex, 1) : [{ identifier: normalized }];
+
+  const index = position ? Math.min(Math.max(position - 1, 0), entries.length) : entries.length;
+  entries.splice(index, 0, entry);
+
+  await putJSON(REGISTRY_KEY, entries);
+  logger.info(`Registered project ${normalized} at position ${index + 1}`);
+  return entries;
+}
+
+/**
+ * Remove a project from the registry
+ * @param {string} identifier - Project identifier
+ * @returns {Promise<Array>} Updated entries
+ */
+export async function removeRegisteredProject(identifier) {
+  const normalized = identifier.toUpperCase();
+  const entries = await getRegistryEntries();
+  const remaining = entries.filter(e => e.identifier !== normalized);
+
+  if (remaining.length === entries.length) {
+    throw new Error(`Project ${normalized} is not registered`);
+  }
+
+  await putJSON(REGISTRY_KEY, remaining);
+  logger.info(`Removed project ${normalized} from registry`);
+  return remaining;
+}
+
+/**
+ * Merge fields into a registered project's entry
+ * @param {string} identifier - Project identifier
+ * @param {Object} patch - Fields to merge into the entry
+ * @returns {Promise<Object>} Updated entry
+ */
+export async function updateRegisteredProject(identifier, patch) {
+  const normalized = identifier.toUpperCase();
+  const entries = await getRegistryEntries();
+  const entry = entries.find(e => e.identifier === normalized);
+
+  if (!entry) {
+    throw new Error(`Project ${normalized} is not registered. Add it with /projects add first.`);
+  }
+
+  Object.assign(entry, patch);
+  await putJSON(REGISTRY_KEY, entries);
+  return entry;
+}
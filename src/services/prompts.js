@@ -0,0 +1,114 @@
+/**
+ * Prompts for every LLM call, kept in one place
+ *
+ * Each summary has a system prompt (the rules) and a builder for the user
+ * prompt that carries the data. Team and person summaries are returned as
+ * JSON matching summarySchema; the digest narrative is plain text.
+ */
+
+// Bump when a summary prompt or summarySchema changes, so cached summaries
+// (see summaryCacheService) are written again
+export const PROMPT_VERSION = 2;
+
+export const TEAM_SUMMARY_SYSTEM_PROMPT = `You are a team work summary formatter. Your ONLY job is to convert structured team work data into the JSON structure you are given.
+
+STRICT RULES:
+1. ONLY include work items, members and comments that are explicitly provided in the data
+2. Copy work item IDs, names, states and member names exactly as given; never invent or reword them
+3. DO NOT infer intent, mood, or additional context
+4. DO NOT add encouragement, opinions, or commentary
+5. Return one project: the PROJECT name and its cycles, taking each percentage from CYCLE INFO (e.g. "Week 16 -> 43% completed" is 43)
+6. Put each member's COMPLETED items in done, IN_PROGRESS items in inProgress and TODO items in todo, with the state shown in parentheses
+7. Summarize each comment in one short, professional sentence, with the ID of the task it is on
+8. Copy relationship information ONLY when it appears in brackets after a task (e.g. "relates_to: SLMRA-35"), one entry per relationship; otherwise leave relationships empty
+9. If a member has no completed tasks, no in-progress tasks, no comments, and no todo items, do not include them`;
+
+export const PERSON_SUMMARY_SYSTEM_PROMPT = `You are a work activity formatter. Your ONLY job is to convert a structured person work summary into the JSON structure you are given.
+
+STRICT RULES:
+1. Include ALL projects, cycles, and tasks provided in the data
+2. Copy work item IDs, names, states, project names and the person's name exactly as given; never invent or reword them
+3. DO NOT add explanations, commentary, or inferred information
+4. Return one project per project in the data, with its cycles; the percentage comes from the percentage_complete field
+5. Each project has exactly one member: the person
+6. Put completed work items, and subitems in a completed state, in done
+7. Put in-progress work items, blockers, and all other subitems in inProgress with their state; leave todo empty
+8. Summarize each comment in one short sentence, with the ID of the task it is on
+9. Leave relationships empty`;
+
+export const DIGEST_SYSTEM_PROMPT = `You write a short weekly status narrative for company leadership.
+
+STRICT RULES:
+1. Write 3 to 5 plain sentences, no headings, no bullet points
+2. Use ONLY the numbers and names in the data; never invent or recompute figures
+3. Mention the most notable progress, any newly blocked work, and cycles that moved little
+4. No encouragement, opinions, or recommendations
+5. Refer to work items by their ID (e.g. SLMRA-35) only if you mention them at all`;
+
+/**
+ * Add a style's instructions (see summaryStyles) to a summary system prompt
+ * @param {string} systemPrompt - Team or person summary system prompt
+ * @param {Object} style - Style template
+ * @returns {string} System prompt
+ */
+export function withStyleInstructions(systemPrompt, style) {
+  return style?.instructions ? `${systemPrompt}\n\nSTYLE:\n${style.instructions}` : systemPrompt;
+}
+
+/**
+ * Add a language's instructions (see summaryLanguages) to a summary system prompt
+ * English, the language of the prompts, adds nothing.
+ * @param {string} systemPrompt - Team or person summary system prompt
+ * @param {Object} language - Summary language
+ * @returns {string} System prompt
+ */
+export function withLanguageInstructions(systemPrompt, language) {
+  if (!language || language.code === 'en') return systemPrompt;
+  return `${systemPrompt}\n\nLANGUAGE:\nWrite every comment summary in ${language.name}. Keep work item IDs, work item names, states, cycle names, project names and member names exactly as given, untranslated.`;
+}
+
+/**
+ * Build the user prompt for a team summary
+ * @param {string} formattedTeamData - Output of formatTeamDataForAI
+ * @param {string} projectName - Project name
+ * @param {string} dateLabel - Summarized day or range
+ * @param {string} cycleInfo - Cycle information
+ * @returns {string} Prompt
+ */
+export function buildTeamSummaryPrompt(formattedTeamData, projectName, dateLabel, cycleInfo) {
+  return `Convert this team summary for ${dateLabel} into the JSON structure. Include comments as they show progress on tasks even when there are no formal state changes.
+PROJECT: ${projectName}
+CYCLE INFO: ${cycleInfo}
+
+TEAM MEMBERS DATA:
+${formattedTeamData}`;
+}
+
+/**
+ * Build the user prompt for a person summary
+ * @param {Object} summary - Summary from getPersonDailySummary
+ * @returns {string} Prompt
+ */
+export function buildPersonSummaryPrompt(summary) {
+  return `Convert this person's work summary into the JSON structure. Use ALL data provided. Do not omit or modify any values.\n\nPERSON: ${summary.person}\nDATE: ${summary.date}\nWORKSPACE: ${summary.team}\n\nWORK DATA:\n${JSON.stringify(summary.projects, null, 2)}`;
+}
+
+/**
+ * Build the note appended to a summary prompt when the previous answer
+ * contained entries that do not match the data
+ * @param {Array} violations - Violations from verifySummary
+ * @returns {string} Prompt addition
+ */
+export function buildCorrectionPrompt(violations) {
+  const lines = violations.map(({ type, value, where }) => `- ${type} "${value}" (${where})`);
+  return `\n\nYOUR PREVIOUS ANSWER INCLUDED ENTRIES THAT DO NOT MATCH THE DATA:\n${lines.join('\n')}\nAnswer again using ONLY the projects, members, work item IDs, names and comments given above, copied exactly, with each work item under the status the data gives it.`;
+}
+
+/**
+ * Build the user prompt for the weekly digest narrative
+ * @param {Object} data - Digest numbers
+ * @returns {string} Prompt
+ */
+export function buildDigestPrompt(data) {
+  return `Write the weekly narrative for this data:\n\n${JSON.stringify(data, null, 2)}`;
+}
@@ -0,0 +1,216 @@
+import { updateRegisteredProject, getRegistryEntries } from './projectRegistry.js';
+import { getJSON, putJSON } from './storageService.js';
+import { DEFAULT_SUMMARY_STYLE, getSummaryStyle, isSummaryStyle } from './summaryStyles.js';
+import { getZonedDateParts, getWeekday, shiftDateKey, isValidTimeZone, parseDaysSpec } from '../utils/dateUtils.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Per-project summary schedules
+ *
+ * A schedule is stored on the project's registry entry:
+ *   { channels: [channelId], time: 'HH:MM', timeZone: 'Asia/Kolkata', days: ['mon', ...], style: 'detailed' }
+ * Projects without one use the default schedule built from the environment.
+ *
+ * Time zones: the workspace zone comes from TIME_ZONE; a project with its own
+ * schedule uses that schedule's zone for its day windows.
+ */
+
+const LAST_RUN_KEY_PREFIX = 'schedule-last-run:';
+
+// How long after its posting time a schedule is still considered due,
+// so a skipped or late cron tick does not drop the day's summary
+const DUE_WINDOW_MINUTES = 60;
+
+const DEFAULT_TIME = '20:00';
+const DEFAULT_TIME_ZONE = 'Asia/Kolkata';
+const DEFAULT_DAYS = 'mon-fri';
+
+/**
+ * Validate and normalize a schedule
+ * @param {Object} input - { channels, time, timeZone, days, style } where days is a spec string
+ * and style a summary style name (see summaryStyles)
+ * @returns {Object} Normalized schedule
+ * @throws {Error} If any field is invalid
+ */
+export function normalizeSchedule({ channels, time, timeZone, days, style }) {
+  const timeMatch = (time || '').trim().match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
+  if (!timeMatch) {
+    throw new Error(`Invalid time "${time}". Use 24-hour HH:MM (e.g. 18:30).`);
+  }
+
+  if (!isValidTimeZone(timeZone)) {
+    throw new Error(`Unknown time zone "${timeZone}". Use an IANA name like Asia/Kolkata or Europe/London.`);
+  }
+
+  const channelIds = [...new Set((channels || []).filter(Boolean))];
+  if (channelIds.length === 0) {
+    throw new Error('Please specify at least one channel.');
+  }
+
+  if (style) getSummaryStyle(style); // Throws for an unknown style
+
+  return {
+    channels: channelIds,
+    time: `${timeMatch[1].padStart(2, '0')}:${timeMatch[2]}`,
+    timeZone,
+    days: parseDaysSpec(days || DEFAULT_DAYS),
+    style: style || DEFAULT_SUMMARY_STYLE,
+  };
+}
+
+/**
+ * Set a registered project's schedule
+ * @param {string} identifier - Project identifier
+ * @param {Object} input - Schedule fields, see normalizeSchedule
+ * @returns {Promise<Object>} Normalized schedule
+ */
+export async function setProjectSchedule(identifier, input) {
+  const schedule = normalizeSchedule(input);
+  await updateRegisteredProject(identifier, { schedule });
+  logger.info(`Schedule for ${identifier} set: ${JSON.stringify(schedule)}`);
+  return schedule;
+}
+
+/**
+ * Remove a project's own schedule so it falls back to the default
+ * @param {string} identifier - Project identifier
+ */
+export async function clearProjectSchedule(identifier) {
+  await updateRegisteredProject(identifier, { schedule: null });
+  logger.info(`Schedule for ${identifier} cleared`);
+}
+
+/**
+ * Get the default schedule from the environment
+ * An unknown DEFAULT_SUMMARY_STYLE falls back to the default style; any other
+ * invalid setting disables the default schedule. Either is logged, and
+ * projects with their own schedule still post.
+ * @param {Object} env - Environment variables
+ * @returns {Object|null} Schedule, or null if no default channel is configured or it is invalid
+ */
+export function getDefaultSchedule(env) {
+  if (!env.DAILY_SUMMARY_CHANNEL_ID) return null;
+
+  let style = env.DEFAULT_SUMMARY_STYLE;
+  if (style && !isSummaryStyle(style)) {
+    logger.warn(`Unknown DEFAULT_SUMMARY_STYLE "${style}", using ${DEFAULT_SUMMARY_STYLE}`);
+    style = DEFAULT_SUMMARY_STYLE;
+  }
+
+  try {
+    return normalizeSchedule({
+      channels: [env.DAILY_SUMMARY_CHANNEL_ID],
+      time: env.DEFAULT_SUMMARY_TIME || DEFAULT_TIME,
+      timeZone: env.DEFAULT_SUMMARY_TIME_ZONE || getWorkspaceTimeZone(env),
+      days: env.DEFAULT_SUMMARY_DAYS || DEFAULT_DAYS,
+      style,
+    });
+  } catch (error) {
+    logger.error(`Invalid default summary schedule, projects without their own won't post: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Get the schedule that applies to a registered project
+ * @param {Object} project - Registered project (with `registry` entry)
+ * @param {Object} env - Environment variables
+ * @returns {Object|null} Schedule, or null if the project has none and there is no default
+ */
+export function getEffectiveSchedule(project, env) {
+  return project.registry?.schedule || getDefaultSchedule(env);
+}
+
+/**
+ * Get the workspace time zone
+ * @param {Object} env - Environment variables
+ * @returns {string} IANA time zone
+ */
+export function getWorkspaceTimeZone(env) {
+  const timeZone = env?.TIME_ZONE;
+  if (timeZone && !isValidTimeZone(timeZone)) {
+    logger.warn(`Ignoring invalid TIME_ZONE "${timeZone}", using ${DEFAULT_TIME_ZONE}`);
+    return DEFAULT_TIME_ZONE;
+  }
+  return timeZone || DEFAULT_TIME_ZONE;
+}
+
+/**
+ * Get the time zone that defines a project's days
+ * @param {Object} project - Registered project (with `registry` entry)
+ * @param {Object} env - Environment variables
+ * @returns {string} IANA time zone
+ */
+export function getProjectTimeZone(project, env) {
+  return project?.registry?.schedule?.timeZone || getWorkspaceTimeZone(env);
+}
+
+/**
+ * Resolve the time zone for a project given by identifier, falling back to the
+ * workspace zone when no project (or an unregistered one) is given
+ * @param {string|null} identifier - Project identifier
+ * @param {Object} env - Environment variables
+ * @returns {Promise<string>} IANA time zone
+ */
+export async function resolveTimeZone(identifier, env) {
+  if (!identifier) return getWorkspaceTimeZone(env);
+
+  const entries = await getRegistryEntries();
+  const entry = entries.find(e => e.identifier === identifier.toUpperCase());
+  return getProjectTimeZone({ registry: entry }, env);
+}
+
+/**
+ * Check whether a schedule should post now
+ * The due window may run past midnight (e.g. a 23:50 schedule is picked up by
+ * the 00:00 tick); the run then belongs to the day it was scheduled on.
+ * @param {Object} schedule - Normalized schedule
+ * @param {Date} now - Current instant
+ * @param {string|null} lastRunDateKey - Local date of the last run, if any
+ * @returns {Object} { due, dateKey } where dateKey is the scheduled date in the schedule's zone
+ */
+export function isScheduleDue(schedule, now, lastRunDateKey) {
+  const { dateKey, hour, minute } = getZonedDateParts(now, schedule.timeZone);
+  const [scheduledHour, scheduledMinute] = schedule.time.split(':').map(Number);
+  const minutesSinceScheduled = (hour * 60 + minute) - (scheduledHour * 60 + scheduledMinute);
+
+  // Today's posting time, or yesterday's if its window reaches past midnight
+  const [scheduledDateKey, minutesLate] = minutesSinceScheduled >= 0
+    ? [dateKey, minutesSinceScheduled]
+    : [shiftDateKey(dateKey, -1), minutesSinceScheduled + 24 * 60];
+
+  return {
+    due: minutesLate < DUE_WINDOW_MINUTES &&
+      schedule.days.includes(getWeekday(scheduledDateKey)) &&
+      lastRunDateKey !== scheduledDateKey,
+    dateKey: scheduledDateKey
+  };
+}
+
+/**
+ * Get the local date a project's schedule last ran
+ * @param {string} identifier - Project identifier
+ * @returns {Promise<string|null>} Date key or null
+ */
+export async function getLastScheduledRun(identifier) {
+  return getJSON(`${LAST_RUN_KEY_PREFIX}${identifier}`);
+}
+
+/**
+ * Record that a project's schedule ran for a local date
+ * @param {string} identifier - Project identifier
+ * @param {string} dateKey - Local date key
+ */
+export async function markScheduledRun(identifier, dateKey) {
+  await putJSON(`${LAST_RUN_KEY_PREFIX}${identifier}`, dateKey, { expirationTtl: 7 * 24 * 60 * 60 });
+}
+
+/**
+ * Describe a schedule for display
+ * @param {Object} schedule - Normalized schedule
+ * @returns {string} e.g. "18:30 Asia/Kolkata, mon, tue, wed, standup → <#123>"
+ */
+export function describeSchedule(schedule) {
+  const channels = schedule.channels.map(id => `<#${id}>`).join(', ');
+  return `${schedule.time} ${schedule.timeZone}, ${schedule.days.join(', ')}, ${schedule.style || DEFAULT_SUMMARY_STYLE} → ${channels}`;
+}
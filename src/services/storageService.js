@@ -0,0 +1,84 @@
+import logger from '../utils/logger.js';
+
+/**
+ * Persistent key-value storage backed by Workers KV
+ *
+ * Falls back to an in-memory Map when the BOT_STATE binding is missing
+ * (e.g. local scripts), which only lives as long as the isolate.
+ */
+
+let kvNamespace = null;
+const memoryStore = new Map();
+let fallbackWarned = false;
+
+/**
+ * Initialize storage with the Worker environment
+ * @param {Object} env - Environment variables and bindings
+ */
+export function initStorage(env) {
+  kvNamespace = env?.BOT_STATE || null;
+
+  if (!kvNamespace && !fallbackWarned) {
+    logger.warn('BOT_STATE KV binding not configured, using in-memory storage');
+    fallbackWarned = true;
+  }
+}
+
+/**
+ * Read a JSON value
+ * @param {string} key - Storage key
+ * @returns {Promise<any|null>} Parsed value, or null if missing
+ */
+export async function getJSON(key) {
+  if (kvNamespace) {
+    return kvNamespace.get(key, 'json');
+  }
+  return memoryStore.has(key) ? structuredClone(memoryStore.get(key)) : null;
+}
+
+/**
+ * Write a JSON value
+ * @param {string} key - Storage key
+ * @param {any} value - JSON-serializable value
+ * @param {Object} options - { expirationTtl } in seconds
+ */
+export async function putJSON(key, value, options = {}) {
+  if (kvNamespace) {
+    await kvNamespace.put(key, JSON.stringify(value), options);
+    return;
+  }
+  memoryStore.set(key, structuredClone(value));
+}
+
+/**
+ * Delete a value
+ * @param {string} key - Storage key
+ */
+export async function deleteKey(key) {
+  if (kvNamespace) {
+    await kvNamespace.delete(key);
+    return;
+  }
+  memoryStore.delete(key);
+}
+
+/**
+ * List keys that start with a prefix
+ * @param {string} prefix - Key prefix
+ * @returns {Promise<Array<string>>} Matching keys
+ */
+export async function listKeys(prefix) {
+  if (!kvNamespace) {
+    return [...memoryStore.keys()].filter(key => key.startsWith(prefix));
+  }
+
+  const keys = [];
+  let cursor;
+  do {
+    const page = await kvNamespace.list({ prefix, cursor });
+    keys.push(...page.keys.map(k => k.name));
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+
+  return keys;
+}
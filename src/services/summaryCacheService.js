@@ -0,0 +1,60 @@
+import { getJSON, putJSON } from './storageService.js';
+import { getLLMConfig } from './llmService.js';
+import { PROMPT_VERSION } from './prompts.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Content-addressed cache of AI summaries
+ *
+ * A summary is stored under a hash of the data it was written from, the
+ * prompt version and the model, so an identical request (a re-run of the
+ * command, or the scheduled post after someone already asked that evening)
+ * reuses it, and any change to the data produces a new key:
+ *
+ *   summary-cache:<sha256> -> { summary, createdAt }
+ */
+
+const SUMMARY_CACHE_KEY_PREFIX = 'summary-cache:';
+const SUMMARY_CACHE_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * Compute the cache key of a summary
+ * @param {Array} input - Everything the summary is written from (kind, data text, labels)
+ * @param {Object} env - Environment variables
+ * @returns {Promise<string>} Storage key
+ */
+export async function getSummaryCacheKey(input, env) {
+  const { provider, model } = getLLMConfig(env);
+  const bytes = new TextEncoder().encode(JSON.stringify([PROMPT_VERSION, provider, model, ...input]));
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  const hash = [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+  return `${SUMMARY_CACHE_KEY_PREFIX}${hash}`;
+}
+
+/**
+ * Read a cached summary
+ * @param {string} key - Key from getSummaryCacheKey
+ * @returns {Promise<Object|null>} Structured summary, or null on a miss
+ */
+export async function getCachedSummary(key) {
+  try {
+    const entry = await getJSON(key);
+    return entry?.summary || null;
+  } catch (error) {
+    logger.warn(`Summary cache read failed: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Store a summary
+ * @param {string} key - Key from getSummaryCacheKey
+ * @param {Object} summary - Structured summary
+ */
+export async function putCachedSummary(key, summary) {
+  try {
+    await putJSON(key, { summary, createdAt: new Date().toISOString() }, { expirationTtl: SUMMARY_CACHE_TTL_SECONDS });
+  } catch (error) {
+    logger.warn(`Summary cache write failed: ${error.message}`);
+  }
+}
@@ -0,0 +1,233 @@
+import logger from '../utils/logger.js';
+
+/**
+ * Summary languages
+ *
+ * A language sets what the model is told about the comment summaries it
+ * writes (name), how it is offered in the command options (nativeName) and
+ * the text of the embed headings, section labels and footers (text). Work
+ * item IDs and names, states, project, cycle and member names are never
+ * translated.
+ */
+
+export const DEFAULT_SUMMARY_LANGUAGE = 'en';
+
+const SUMMARY_LANGUAGES = {
+  en: {
+    name: 'English',
+    nativeName: 'English',
+    locale: 'en',
+    text: {
+      personTitle: (daily, person, date) => `📊 ${daily ? 'Daily Summary' : 'Summary'}: ${person} (${date})`,
+      teamTitle: (daily, project, date) => `📊 Team ${daily ? 'Daily Summary' : 'Summary'} for ${project} (${date})`,
+      personEmpty: (person, date) => `No activity recorded for ${person} on ${date}.`,
+      teamEmpty: 'No team activity found',
+      teamEmptyPeriod: 'No team activity found for this period.',
+      teamEmptyFooter: '0 team members with activity',
+      cycleProgress: (cycle, percentage) => `🔄 ${cycle}: ${percentage}% completed`,
+      personFooter: (team, style, time) => `Team: ${team} • ${style} • Today at ${time}`,
+      teamFooter: (count, style, page) => `${count} team members • ${style} • Page ${page}`,
+      sectionsOmitted: (count) => `${count} more sections not shown`,
+      membersOmitted: (count) => `${count} more members not shown`,
+      more: (count) => `…and ${count} more`,
+      netOutcomeTitle: '🔁 Net outcome',
+      netOutcomeFooter: (changed, opened, done, openedDone) =>
+        `${changed} items changed state • ${opened} opened • ${done} done • ${openedDone} opened → done`,
+      scheduledHeader: (date) => `📅 **Daily Team Summary - ${date}**`,
+      scheduledProjectHeader: (project) => `📊 **${project}** Summary`,
+      scheduledFooter: (count) => `✅ Sent **${count}** team summaries`,
+      styles: { detailed: 'Detailed', brief: 'Brief', standup: 'Standup', 'changes-only': 'Changes only' },
+      sections: {
+        done: '✅ Done', inProgress: '🚧 In Progress', todo: '📋 Todo', comments: '💬 Comments',
+        yesterday: '⏮️ Yesterday', today: '▶️ Today', blockers: '⛔ Blockers', notes: '💬 Notes', moved: '🔁 Moved',
+      },
+    },
+  },
+  es: {
+    name: 'Spanish',
+    nativeName: 'Español',
+    locale: 'es',
+    text: {
+      personTitle: (daily, person, date) => `📊 ${daily ? 'Resumen diario' : 'Resumen'}: ${person} (${date})`,
+      teamTitle: (daily, project, date) => `📊 ${daily ? 'Resumen diario' : 'Resumen'} del equipo de ${project} (${date})`,
+      personEmpty: (person, date) => `No hay actividad registrada de ${person} el ${date}.`,
+      teamEmpty: 'No se encontró actividad del equipo',
+      teamEmptyPeriod: 'No se encontró actividad del equipo en este período.',
+      teamEmptyFooter: '0 miembros del equipo con actividad',
+      cycleProgress: (cycle, percentage) => `🔄 ${cycle}: ${percentage}% completado`,
+      personFooter: (team, style, time) => `Equipo: ${team} • ${style} • Hoy a las ${time}`,
+      teamFooter: (count, style, page) => `${count} miembros del equipo • ${style} • Página ${page}`,
+      sectionsOmitted: (count) => `${count} secciones más no mostradas`,
+      membersOmitted: (count) => `${count} miembros más no mostrados`,
+      more: (count) => `…y ${count} más`,
+      netOutcomeTitle: '🔁 Resultado neto',
+      netOutcomeFooter: (changed, opened, done, openedDone) =>
+        `${changed} elementos cambiaron de estado • ${opened} abiertos • ${done} terminados • ${openedDone} abiertos → terminados`,
+      scheduledHeader: (date) => `📅 **Resumen diario del equipo - ${date}**`,
+      scheduledProjectHeader: (project) => `📊 Resumen de **${project}**`,
+      scheduledFooter: (count) => `✅ Enviados **${count}** resúmenes del equipo`,
+      styles: { detailed: 'Detallado', brief: 'Breve', standup: 'Standup', 'changes-only': 'Solo cambios' },
+      sections: {
+        done: '✅ Hecho', inProgress: '🚧 En curso', todo: '📋 Pendiente', comments: '💬 Comentarios',
+        yesterday: '⏮️ Ayer', today: '▶️ Hoy', blockers: '⛔ Bloqueos', notes: '💬 Notas', moved: '🔁 Movido',
+      },
+    },
+  },
+  fr: {
+    name: 'French',
+    nativeName: 'Français',
+    locale: 'fr',
+    text: {
+      personTitle: (daily, person, date) => `📊 ${daily ? 'Résumé quotidien' : 'Résumé'} : ${person} (${date})`,
+      teamTitle: (daily, project, date) => `📊 ${daily ? 'Résumé quotidien' : 'Résumé'} de l'équipe pour ${project} (${date})`,
+      personEmpty: (person, date) => `Aucune activité enregistrée pour ${person} le ${date}.`,
+      teamEmpty: `Aucune activité de l'équipe trouvée`,
+      teamEmptyPeriod: `Aucune activité de l'équipe trouvée pour cette période.`,
+      teamEmptyFooter: `0 membre de l'équipe avec de l'activité`,
+      cycleProgress: (cycle, percentage) => `🔄 ${cycle} : ${percentage} % terminé`,
+      personFooter: (team, style, time) => `Équipe : ${team} • ${style} • Aujourd'hui à ${time}`,
+      teamFooter: (count, style, page) => `${count} membres de l'équipe • ${style} • Page ${page}`,
+      sectionsOmitted: (count) => `${count} sections de plus non affichées`,
+      membersOmitted: (count) => `${count} membres de plus non affichés`,
+      more: (count) => `…et ${count} de plus`,
+      netOutcomeTitle: '🔁 Bilan net',
+      netOutcomeFooter: (changed, opened, done, openedDone) =>
+        `${changed} éléments ont changé d'état • ${opened} ouverts • ${done} terminés • ${openedDone} ouverts → terminés`,
+      scheduledHeader: (date) => `📅 **Résumé quotidien de l'équipe - ${date}**`,
+      scheduledProjectHeader: (project) => `📊 Résumé **${project}**`,
+      scheduledFooter: (count) => `✅ **${count}** résumés d'équipe envoyés`,
+      styles: { detailed: 'Détaillé', brief: 'Bref', standup: 'Stand-up', 'changes-only': 'Changements uniquement' },
+      sections: {
+        done: '✅ Terminé', inProgress: '🚧 En cours', todo: '📋 À faire', comments: '💬 Commentaires',
+        yesterday: '⏮️ Hier', today: `▶️ Aujourd'hui`, blockers: '⛔ Blocages', notes: '💬 Notes', moved: '🔁 Déplacé',
+      },
+    },
+  },
+  de: {
+    name: 'German',
+    nativeName: 'Deutsch',
+    locale: 'de',
+    text: {
+      personTitle: (daily, person, date) => `📊 ${daily ? 'Tageszusammenfassung' : 'Zusammenfassung'}: ${person} (${date})`,
+      teamTitle: (daily, project, date) => `📊 Team-${daily ? 'Tageszusammenfassung' : 'Zusammenfassung'} für ${project} (${date})`,
+      personEmpty: (person, date) => `Keine Aktivität für ${person} am ${date} erfasst.`,
+      teamEmpty: 'Keine Team-Aktivität gefunden',
+      teamEmptyPeriod: 'Keine Team-Aktivität in diesem Zeitraum gefunden.',
+      teamEmptyFooter: '0 Teammitglieder mit Aktivität',
+      cycleProgress: (cycle, percentage) => `🔄 ${cycle}: ${percentage} % abgeschlossen`,
+      personFooter: (team, style, time) => `Team: ${team} • ${style} • Heute um ${time}`,
+      teamFooter: (count, style, page) => `${count} Teammitglieder • ${style} • Seite ${page}`,
+      sectionsOmitted: (count) => `${count} weitere Abschnitte nicht angezeigt`,
+      membersOmitted: (count) => `${count} weitere Mitglieder nicht angezeigt`,
+      more: (count) => `…und ${count} weitere`,
+      netOutcomeTitle: '🔁 Nettoergebnis',
+      netOutcomeFooter: (changed, opened, done, openedDone) =>
+        `${changed} Elemente mit Statusänderung • ${opened} eröffnet • ${done} erledigt • ${openedDone} eröffnet → erledigt`,
+      scheduledHeader: (date) => `📅 **Tägliche Team-Zusammenfassung - ${date}**`,
+      scheduledProjectHeader: (project) => `📊 Zusammenfassung **${project}**`,
+      scheduledFooter: (count) => `✅ **${count}** Team-Zusammenfassungen gesendet`,
+      styles: { detailed: 'Ausführlich', brief: 'Kurz', standup: 'Standup', 'changes-only': 'Nur Änderungen' },
+      sections: {
+        done: '✅ Erledigt', inProgress: '🚧 In Arbeit', todo: '📋 Offen', comments: '💬 Kommentare',
+        yesterday: '⏮️ Gestern', today: '▶️ Heute', blockers: '⛔ Blocker', notes: '💬 Notizen', moved: '🔁 Verschoben',
+      },
+    },
+  },
+  pt: {
+    name: 'Brazilian Portuguese',
+    nativeName: 'Português',
+    locale: 'pt-BR',
+    text: {
+      personTitle: (daily, person, date) => `📊 ${daily ? 'Resumo diário' : 'Resumo'}: ${person} (${date})`,
+      teamTitle: (daily, project, date) => `📊 ${daily ? 'Resumo diário' : 'Resumo'} da equipe de ${project} (${date})`,
+      personEmpty: (person, date) => `Nenhuma atividade registrada para ${person} em ${date}.`,
+      teamEmpty: 'Nenhuma atividade da equipe encontrada',
+      teamEmptyPeriod: 'Nenhuma atividade da equipe encontrada neste período.',
+      teamEmptyFooter: '0 membros da equipe com atividade',
+      cycleProgress: (cycle, percentage) => `🔄 ${cycle}: ${percentage}% concluído`,
+      personFooter: (team, style, time) => `Equipe: ${team} • ${style} • Hoje às ${time}`,
+      teamFooter: (count, style, page) => `${count} membros da equipe • ${style} • Página ${page}`,
+      sectionsOmitted: (count) => `mais ${count} seções não exibidas`,
+      membersOmitted: (count) => `mais ${count} membros não exibidos`,
+      more: (count) => `…e mais ${count}`,
+      netOutcomeTitle: '🔁 Resultado líquido',
+      netOutcomeFooter: (changed, opened, done, openedDone) =>
+        `${changed} itens mudaram de estado • ${opened} abertos • ${done} concluídos • ${openedDone} abertos → concluídos`,
+      scheduledHeader: (date) => `📅 **Resumo diário da equipe - ${date}**`,
+      scheduledProjectHeader: (project) => `📊 Resumo de **${project}**`,
+      scheduledFooter: (count) => `✅ **${count}** resumos da equipe enviados`,
+      styles: { detailed: 'Detalhado', brief: 'Breve', standup: 'Standup', 'changes-only': 'Somente mudanças' },
+      sections: {
+        done: '✅ Concluído', inProgress: '🚧 Em andamento', todo: '📋 A fazer', comments: '💬 Comentários',
+        yesterday: '⏮️ Ontem', today: '▶️ Hoje', blockers: '⛔ Bloqueios', notes: '💬 Notas', moved: '🔁 Movido',
+      },
+    },
+  },
+  hi: {
+    name: 'Hindi',
+    nativeName: 'हिन्दी',
+    locale: 'hi',
+    text: {
+      personTitle: (daily, person, date) => `📊 ${daily ? 'दैनिक सारांश' : 'सारांश'}: ${person} (${date})`,
+      teamTitle: (daily, project, date) => `📊 ${project} का टीम ${daily ? 'दैनिक सारांश' : 'सारांश'} (${date})`,
+      personEmpty: (person, date) => `${date} को ${person} की कोई गतिविधि दर्ज नहीं हुई।`,
+      teamEmpty: 'टीम की कोई गतिविधि नहीं मिली',
+      teamEmptyPeriod: 'इस अवधि में टीम की कोई गतिविधि नहीं मिली।',
+      teamEmptyFooter: 'गतिविधि वाले 0 टीम सदस्य',
+      cycleProgress: (cycle, percentage) => `🔄 ${cycle}: ${percentage}% पूरा`,
+      personFooter: (team, style, time) => `टीम: ${team} • ${style} • आज ${time}`,
+      teamFooter: (count, style, page) => `${count} टीम सदस्य • ${style} • पृष्ठ ${page}`,
+      sectionsOmitted: (count) => `${count} और अनुभाग नहीं दिखाए गए`,
+      membersOmitted: (count) => `${count} और सदस्य नहीं दिखाए गए`,
+      more: (count) => `…और ${count}`,
+      netOutcomeTitle: '🔁 शुद्ध परिणाम',
+      netOutcomeFooter: (changed, opened, done, openedDone) =>
+        `${changed} आइटम की स्थिति बदली • ${opened} खुले • ${done} पूरे • ${openedDone} खुले → पूरे`,
+      scheduledHeader: (date) => `📅 **दैनिक टीम सारांश - ${date}**`,
+      scheduledProjectHeader: (project) => `📊 **${project}** सारांश`,
+      scheduledFooter: (count) => `✅ **${count}** टीम सारांश भेजे गए`,
+      styles: { detailed: 'विस्तृत', brief: 'संक्षिप्त', standup: 'स्टैंडअप', 'changes-only': 'केवल बदलाव' },
+      sections: {
+        done: '✅ पूरे हुए', inProgress: '🚧 प्रगति में', todo: '📋 करने हैं', comments: '💬 टिप्पणियाँ',
+        yesterday: '⏮️ कल', today: '▶️ आज', blockers: '⛔ रुकावटें', notes: '💬 नोट्स', moved: '🔁 बदले गए',
+      },
+    },
+  },
+};
+
+/**
+ * Get a language
+ * An unknown code, e.g. a stale channel default or a mistyped
+ * DEFAULT_SUMMARY_LANGUAGE, falls back to the default language so one bad
+ * value can't fail a whole scheduled run.
+ * @param {string|null} code - Language code; the default language when empty
+ * @returns {Object} { code, name, nativeName, locale, text }
+ */
+export function getSummaryLanguage(code) {
+  let languageCode = code || DEFAULT_SUMMARY_LANGUAGE;
+  if (!isSummaryLanguage(languageCode)) {
+    logger.warn(`Unknown summary language "${code}", using ${DEFAULT_SUMMARY_LANGUAGE}`);
+    languageCode = DEFAULT_SUMMARY_LANGUAGE;
+  }
+  return { code: languageCode, ...SUMMARY_LANGUAGES[languageCode] };
+}
+
+/**
+ * Whether a code names a summary language
+ * @param {string} code - Language code
+ * @returns {boolean} True for a known language
+ */
+export function isSummaryLanguage(code) {
+  return !!code && Object.hasOwn(SUMMARY_LANGUAGES, code);
+}
+
+/**
+ * Every language as a slash command option choice
+ * @returns {Array} Choices of { name, value }
+ */
+export function getSummaryLanguageChoices() {
+  return Object.entries(SUMMARY_LANGUAGES).map(([code, { name, nativeName }]) => ({
+    name: nativeName === name ? name : `${nativeName} (${name})`,
+    value: code,
+  }));
+}
@@ -0,0 +1,105 @@
+import { fetchProjects, getCyclesWithCache } from './planeApiDirect.js';
+import { parseDateInput, parseSingleDateInput } from '../utils/dateParser.js';
+import { shiftDateKey, getTodayKey, getStartOfWeek, toRangeKey, countRangeDays } from '../utils/dateUtils.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Resolve the period a summary command covers from its options:
+ *   date                 a day, or a range written as a..b
+ *   range: week          Monday–Sunday of the week containing `date` (default today)
+ *   range: sprint        the project cycle containing `date`
+ *   range: custom        start_date..end_date (end defaults to today)
+ * start_date / end_date without a range imply custom. Periods never extend past today.
+ */
+
+// Bounds the number of Plane requests a single summary can cause
+const MAX_RANGE_DAYS = 31;
+
+/**
+ * Resolve a summary command's date options to a day or range key
+ * @param {Array} commandOptions - Interaction options
+ * @param {Object} context - { timeZone, projectFilter }
+ * @returns {Promise<string>} Key as built by toRangeKey
+ * @throws {Error} With a user-facing message if the options are invalid
+ */
+export async function resolveSummaryRange(commandOptions, { timeZone, projectFilter }) {
+  const getOption = (name) => commandOptions.find(o => o.name === name)?.value;
+  const dateInput = getOption('date');
+  const startInput = getOption('start_date');
+  const endInput = getOption('end_date');
+  const range = getOption('range') || (startInput || endInput ? 'custom' : 'day');
+
+  const today = getTodayKey(timeZone);
+  let start;
+  let end;
+
+  if (range === 'week') {
+    const anchor = parseSingleDateInput(dateInput, timeZone);
+    start = getStartOfWeek(anchor);
+    end = minDateKey(shiftDateKey(start, 6), today);
+  } else if (range === 'sprint') {
+    const anchor = parseSingleDateInput(dateInput, timeZone);
+    ({ start, end } = await getSprintRange(projectFilter, anchor));
+    end = minDateKey(end, today);
+  } else if (range === 'custom') {
+    if (!startInput) {
+      throw new Error('A custom range needs `start_date` (and optionally `end_date`, which defaults to today).');
+    }
+    start = parseSingleDateInput(startInput, timeZone);
+    end = endInput ? parseSingleDateInput(endInput, timeZone) : today;
+  } else {
+    ({ start, end } = parseDateInput(dateInput, timeZone));
+  }
+
+  if (start > end) {
+    throw new Error(`The period ends (${end}) before it starts (${start}).`);
+  }
+
+  const days = countRangeDays(start, end);
+  if (days > MAX_RANGE_DAYS) {
+    throw new Error(`The period ${start} → ${end} is ${days} days long; the maximum is ${MAX_RANGE_DAYS}.`);
+  }
+
+  logger.debug(`Resolved ${range} summary range: ${start} → ${end}`);
+  return toRangeKey(start, end);
+}
+
+function minDateKey(a, b) {
+  return a < b ? a : b;
+}
+
+/**
+ * Find the project cycle that contains a date
+ * @param {string} projectFilter - Project name, identifier or ID
+ * @param {string} dateKey - Date the cycle must contain
+ * @returns {Promise<Object>} { start, end } date keys of the cycle
+ */
+async function getSprintRange(projectFilter, dateKey) {
+  if (!projectFilter) {
+    throw new Error('`range: sprint` needs a project.');
+  }
+
+  const projects = await fetchProjects();
+  const project = projects.find(
+    (p) =>
+      p.name?.toLowerCase() === projectFilter.toLowerCase() ||
+      p.identifier?.toLowerCase() === projectFilter.toLowerCase() ||
+      p.id === projectFilter
+  );
+  if (!project) {
+    throw new Error(`Project not found: \`${projectFilter}\``);
+  }
+
+  const cycles = await getCyclesWithCache(project.id);
+  const cycle = cycles.find(c =>
+    c.startDate && c.endDate &&
+    c.startDate.substring(0, 10) <= dateKey &&
+    c.endDate.substring(0, 10) >= dateKey
+  );
+
+  if (!cycle) {
+    throw new Error(`No cycle in ${project.name} covers ${dateKey}.`);
+  }
+
+  return { start: cycle.startDate.substring(0, 10), end: cycle.endDate.substring(0, 10) };
+}
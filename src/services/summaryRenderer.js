@@ -0,0 +1,163 @@
+import { isLLMConfigured } from './llmService.js';
+import { buildCorrectionPrompt } from './prompts.js';
+import { getGuardMode, verifySummary, logViolations } from './summaryVerifier.js';
+import { getSummaryCacheKey, getCachedSummary, putCachedSummary } from './summaryCacheService.js';
+import logger from '../utils/logger.js';
+import { matchesStateCategory } from '../utils/stateUtils.js';
+
+/**
+ * Plain summary renderer: builds the structured summary (see summarySchema)
+ * straight from the summary data, without a model
+ *
+ * Used when a summary is requested with format "plain", as the reference AI
+ * summaries are verified against, and as the fallback when the AI call fails,
+ * times out or has no API key.
+ */
+
+const AI_FALLBACK_WARNING = '⚠️ AI unavailable, plain summary shown';
+const AI_REJECTED_WARNING = '⚠️ AI summary did not match the data, plain summary shown';
+
+/**
+ * Write a structured summary with AI, or with the plain renderer
+ * AI summaries are checked against the plain summary (see summaryVerifier)
+ * and cached by their input (see summaryCacheService).
+ * @param {string} format - "ai" or "plain"
+ * @param {Function} generate - Async (correction) => structured summary from the LLM;
+ * correction is text to append to the prompt on a retry
+ * @param {Function} buildPlain - () => structured summary from the data
+ * @param {Object} env - Environment variables
+ * @param {Object} options - { cacheInput, force } where cacheInput lists what the
+ * summary is written from, and force skips a cached summary
+ * @returns {Promise<Object>} { summary, warning } where warning is set when AI was requested but not used
+ */
+export async function writeSummary(format, generate, buildPlain, env, { cacheInput = null, force = false } = {}) {
+  const plain = buildPlain();
+  if (format === 'plain') {
+    return { summary: plain, warning: null };
+  }
+
+  if (!isLLMConfigured(env)) {
+    logger.warn('No LLM API key is configured, using the plain summary');
+    return { summary: plain, warning: AI_FALLBACK_WARNING };
+  }
+
+  const cacheKey = cacheInput ? await getSummaryCacheKey(cacheInput, env) : null;
+  if (cacheKey && !force) {
+    const cachedSummary = await getCachedSummary(cacheKey);
+    if (cachedSummary) {
+      logger.info(`Using cached summary ${cacheKey}`);
+      return { summary: cachedSummary, warning: null };
+    }
+  }
+
+  try {
+    const summary = await generateVerified(generate, plain, env);
+    if (!summary) return { summary: plain, warning: AI_REJECTED_WARNING };
+
+    if (cacheKey) await putCachedSummary(cacheKey, summary);
+    return { summary, warning: null };
+  } catch (error) {
+    logger.warn(`AI summary failed, using the plain summary: ${error.message}`);
+    return { summary: plain, warning: AI_FALLBACK_WARNING };
+  }
+}
+
+/**
+ * Generate a summary and apply the guard mode to any violations
+ * @returns {Promise<Object|null>} Verified summary, or null to use the plain one
+ */
+async function generateVerified(generate, reference, env) {
+  const mode = getGuardMode(env);
+  const first = verifySummary(await generate(), reference);
+  logViolations(first.violations, env);
+
+  if (first.violations.length === 0 || mode === 'strip') return first.summary;
+  if (mode === 'fallback') return null;
+
+  try {
+    const second = verifySummary(await generate(buildCorrectionPrompt(first.violations)), reference);
+    logViolations(second.violations, env, 2);
+    return second.summary;
+  } catch (error) {
+    logger.warn(`AI summary retry failed, using the stripped summary: ${error.message}`);
+    return first.summary;
+  }
+}
+
+/**
+ * Build a team summary
+ * @param {string} projectName - Project name
+ * @param {Array} cycles - Cycle progress ({ name, percentage }) from processTeamActivities
+ * @param {Array} teamMemberData - Member data from processTeamActivities
+ * @returns {Object} Structured summary
+ */
+export function buildPlainTeamSummary(projectName, cycles, teamMemberData) {
+  const members = teamMemberData
+    .filter(member =>
+      member.completed.length + member.inProgress.length + (member.todo?.length || 0) + (member.comments?.length || 0) > 0
+    )
+    .map(member => ({
+      name: member.name,
+      done: member.completed.map(toTask),
+      inProgress: member.inProgress.map(toTask),
+      todo: (member.todo || []).map(toTask),
+      comments: (member.comments || []).map(toComment),
+    }));
+
+  return { projects: [{ name: projectName, cycles, members }] };
+}
+
+/**
+ * Build a person summary
+ * @param {Object} summary - Summary from getPersonDailySummary
+ * @returns {Object} Structured summary
+ */
+export function buildPlainPersonSummary(summary) {
+  return {
+    projects: (summary.projects || []).map(project => {
+      const subitemsDone = project.subitems.filter(s => matchesStateCategory(s.state, 'completed'));
+      const subitemsOpen = project.subitems.filter(s => !matchesStateCategory(s.state, 'completed'));
+
+      return {
+        name: project.project,
+        cycles: project.cycles.map(c => ({ name: c.name, percentage: c.percentage_complete })),
+        members: [{
+          name: summary.person,
+          done: [...project.completed, ...subitemsDone].map(toTask),
+          inProgress: [...project.inProgress, ...project.blockers, ...subitemsOpen].map(toTask),
+          todo: [],
+          comments: project.comments.map(toComment),
+        }],
+      };
+    }),
+  };
+}
+
+/**
+ * Format relationship information for display
+ * @param {Object} relationships - Relationship object
+ * @returns {string} Formatted relationship text
+ */
+export function formatRelationships(relationships) {
+  const relParts = listRelationships(relationships);
+  return relParts.length > 0 ? ` [${relParts.join(', ')}]` : '';
+}
+
+function listRelationships(relationships) {
+  return Object.entries(relationships || {})
+    .filter(([, data]) => data && data.value)
+    .map(([type, data]) => `${type}: ${data.value}`);
+}
+
+function toTask(task) {
+  return {
+    id: task.id,
+    name: task.name,
+    state: task.state || '',
+    relationships: listRelationships(task.relationships),
+  };
+}
+
+function toComment(comment) {
+  return { id: comment.id, summary: comment.comment.replace(/\s+/g, ' ').trim() };
+}
@@ -0,0 +1,43 @@
+import { z } from 'zod';
+
+/**
+ * Structured summary: what the LLM returns and the plain renderer builds,
+ * and what the embed layer renders (see createSummaryEmbeds)
+ *
+ * { projects: [{ name, cycles: [{ name, percentage }], members: [{ name, done,
+ *   inProgress, todo, comments }] }] }
+ */
+
+const taskSchema = z.object({
+  id: z.string().describe('Work item ID exactly as given, e.g. RADAR-123'),
+  name: z.string().describe('Work item name exactly as given'),
+  state: z.string().describe('State exactly as given'),
+  relationships: z.array(z.string())
+    .describe('Relationships exactly as given in brackets, e.g. "relates_to: RADAR-7"; empty if none'),
+});
+
+const commentSchema = z.object({
+  id: z.string().describe('ID of the work item the comment is on'),
+  summary: z.string().describe('The comment in one short sentence'),
+});
+
+const memberSchema = z.object({
+  name: z.string().describe('Member name exactly as given'),
+  done: z.array(taskSchema),
+  inProgress: z.array(taskSchema),
+  todo: z.array(taskSchema),
+  comments: z.array(commentSchema),
+});
+
+const cycleSchema = z.object({
+  name: z.string(),
+  percentage: z.number().describe('Completion percentage, 0 to 100'),
+});
+
+export const summarySchema = z.object({
+  projects: z.array(z.object({
+    name: z.string().describe('Project name exactly as given'),
+    cycles: z.array(cycleSchema),
+    members: z.array(memberSchema),
+  })),
+});
@@ -0,0 +1,81 @@
+import { matchesStateCategory } from '../utils/stateUtils.js';
+
+/**
+ * Summary styles as named templates
+ *
+ * A style sets what the model is told on top of the summary system prompt
+ * (instructions), which work items are summarized (changesOnly keeps items
+ * whose state changed in the period), and how the embeds lay out each member:
+ *   layout "sections" - one block per section, each section picking items
+ *                       from the structured member (see summarySchema)
+ *                       under a label from the language (see summaryLanguages)
+ *   layout "line"     - one line per member
+ */
+
+export const DEFAULT_SUMMARY_STYLE = 'detailed';
+
+const isBlocked = (task) =>
+  matchesStateCategory(task.state, 'blocked') || task.relationships.some(r => r.startsWith('blocked_by'));
+
+const SUMMARY_STYLES = {
+  detailed: {
+    instructions: '',
+    changesOnly: false,
+    layout: 'sections',
+    sections: [
+      { key: 'done', pick: m => m.done },
+      { key: 'inProgress', pick: m => m.inProgress, showState: true },
+      { key: 'todo', pick: m => m.todo, showState: true },
+      { key: 'comments', pick: m => m.comments, comments: true },
+    ],
+  },
+  brief: {
+    instructions: 'Keep every comment summary under ten words.',
+    changesOnly: false,
+    layout: 'line',
+  },
+  standup: {
+    instructions: 'Summarize each comment as a standup note: what was done, what comes next, or what is blocking progress.',
+    changesOnly: false,
+    layout: 'sections',
+    sections: [
+      { key: 'yesterday', pick: m => m.done },
+      { key: 'today', pick: m => [...m.inProgress, ...m.todo].filter(t => !isBlocked(t)), showState: true },
+      { key: 'blockers', pick: m => [...m.inProgress, ...m.todo].filter(isBlocked), showState: true },
+      { key: 'notes', pick: m => m.comments, comments: true },
+    ],
+  },
+  'changes-only': {
+    instructions: '',
+    changesOnly: true,
+    layout: 'sections',
+    sections: [
+      { key: 'done', pick: m => m.done },
+      { key: 'moved', pick: m => [...m.inProgress, ...m.todo], showState: true },
+      { key: 'comments', pick: m => m.comments, comments: true },
+    ],
+  },
+};
+
+/**
+ * Get a style template
+ * @param {string|null} name - Style name; the default style when empty
+ * @returns {Object} { name, instructions, changesOnly, layout, sections }
+ * @throws {Error} If the style is unknown
+ */
+export function getSummaryStyle(name) {
+  const styleName = name || DEFAULT_SUMMARY_STYLE;
+  if (!isSummaryStyle(styleName)) {
+    throw new Error(`Unknown summary style "${name}". Use ${Object.keys(SUMMARY_STYLES).join(', ')}.`);
+  }
+  return { name: styleName, ...SUMMARY_STYLES[styleName] };
+}
+
+/**
+ * Whether a name is a summary style
+ * @param {string} name - Style name
+ * @returns {boolean} True for a known style
+ */
+export function isSummaryStyle(name) {
+  return !!name && Object.hasOwn(SUMMARY_STYLES, name);
+}
@@ -0,0 +1,176 @@
+import { getLLMConfig } from './llmService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Hallucination guard for AI summaries
+ *
+ * Checks a structured summary from the model against the plain summary built
+ * from the same data: every project, cycle, member, task ID and comment must
+ * be in the source, and every task under the status it has there. Invented
+ * entries are stripped and misfiled tasks moved back; names, states and cycle
+ * percentages are reset to the source values. SUMMARY_GUARD_MODE decides what
+ * happens on a violation:
+ *   retry (default) - ask once more with the violations listed, then strip
+ *   strip           - strip the invented entries
+ *   fallback        - use the plain summary
+ */
+
+const GUARD_MODES = ['retry', 'strip', 'fallback'];
+const TASK_ID_PATTERN = /\b[A-Z][A-Z0-9]*-\d+\b/g;
+const TASK_BUCKETS = ['done', 'inProgress', 'todo'];
+
+/**
+ * Resolve the guard mode from the environment
+ * @param {Object} env - Environment variables
+ * @returns {string} "retry", "strip" or "fallback"
+ */
+export function getGuardMode(env = {}) {
+  const mode = (env.SUMMARY_GUARD_MODE || 'retry').toLowerCase();
+  if (GUARD_MODES.includes(mode)) return mode;
+
+  logger.warn(`Unknown SUMMARY_GUARD_MODE "${env.SUMMARY_GUARD_MODE}", using retry`);
+  return 'retry';
+}
+
+/**
+ * Verify a summary against the source data
+ * @param {Object} summary - Structured summary from the model
+ * @param {Object} reference - Plain structured summary of the same data
+ * @returns {Object} { summary, violations } with invented entries stripped;
+ * each violation is { type, value, where }
+ */
+export function verifySummary(summary, reference) {
+  const violations = [];
+  const flag = (type, value, where) => violations.push({ type, value, where });
+  const knownIds = collectIds(reference);
+
+  const projects = [];
+  for (const project of summary.projects) {
+    const source = reference.projects.find(p => p.name === project.name);
+    if (!source) {
+      flag('project', project.name, 'summary');
+      continue;
+    }
+
+    const cycles = [];
+    for (const cycle of project.cycles) {
+      const sourceCycle = source.cycles.find(c => c.name === cycle.name);
+      if (!sourceCycle) {
+        flag('cycle', cycle.name, project.name);
+      } else {
+        if (cycle.percentage !== sourceCycle.percentage) flag('percentage', `${cycle.name} ${cycle.percentage}%`, project.name);
+        cycles.push(sourceCycle);
+      }
+    }
+
+    const members = [];
+    for (const member of project.members) {
+      const sourceMember = source.members.find(m => m.name === member.name);
+      if (!sourceMember) {
+        // Listing a member with nothing to report invents nothing
+        if (hasEntries(member)) flag('member', member.name, project.name);
+        continue;
+      }
+
+      const verified = verifyMember(member, sourceMember, knownIds, (type, value) => flag(type, value, member.name));
+      if (hasEntries(verified)) members.push(verified);
+    }
+
+    projects.push({ name: project.name, cycles, members });
+  }
+
+  return { summary: { projects }, violations };
+}
+
+/**
+ * Log the outcome of a check, clean or not, so model reliability can be
+ * measured from the logs
+ * @param {Array} violations - Violations from verifySummary
+ * @param {Object} env - Environment variables
+ * @param {number} attempt - 1 for the first answer, 2 for the retry
+ */
+export function logViolations(violations, env, attempt = 1) {
+  const { provider, model } = getLLMConfig(env);
+  const label = `🛡️ Summary guard (${provider}/${model}, attempt ${attempt})`;
+
+  if (violations.length === 0) {
+    logger.info(`${label}: no violations`);
+    return;
+  }
+
+  logger.warn(`${label}: ${violations.length} violations`);
+  for (const { type, value, where } of violations) {
+    logger.warn(`🛡️ ${type} "${value}" in ${where} does not match the source data`);
+  }
+}
+
+function verifyMember(member, source, knownIds, flag) {
+  const sourceTasks = new Map(
+    TASK_BUCKETS.flatMap(bucket => source[bucket].map(task => [task.id, { task, bucket }]))
+  );
+  const sourceCommentIds = new Set(source.comments.map(comment => comment.id));
+  const verified = { done: [], inProgress: [], todo: [] };
+  const seen = new Set();
+
+  // Tasks go to the bucket they are in in the source, wherever the model put them
+  for (const bucket of TASK_BUCKETS) {
+    for (const task of member[bucket]) {
+      const sourceEntry = sourceTasks.get(task.id);
+      if (!sourceEntry) {
+        flag('task', task.id);
+        continue;
+      }
+      const { task: sourceTask, bucket: sourceBucket } = sourceEntry;
+      if (sourceBucket !== bucket) flag('task status', `${task.id} listed as ${bucket}, not ${sourceBucket}`);
+      if (task.name !== sourceTask.name) flag('task name', task.name);
+      if (seen.has(task.id)) continue;
+      seen.add(task.id);
+
+      const relationships = task.relationships.filter(relationship => {
+        if (sourceTask.relationships.includes(relationship)) return true;
+        flag('relationship', `${task.id} ${relationship}`);
+        return false;
+      });
+      verified[sourceBucket].push({ ...sourceTask, relationships });
+    }
+  }
+
+  const comments = member.comments.filter(comment => {
+    const invented = [comment.id, ...(comment.summary.match(TASK_ID_PATTERN) || [])]
+      .filter(id => !knownIds.has(id));
+    if (!sourceCommentIds.has(comment.id) || invented.length > 0) {
+      flag('comment', `${comment.id}: ${comment.summary}`);
+      return false;
+    }
+    return true;
+  });
+
+  return { name: source.name, ...verified, comments };
+}
+
+function hasEntries(member) {
+  return [...TASK_BUCKETS, 'comments'].some(key => member[key].length > 0);
+}
+
+/**
+ * Every work item ID in the source: tasks, relationships, and comments
+ * with the IDs their text mentions
+ */
+function collectIds(reference) {
+  const ids = new Set();
+  for (const project of reference.projects) {
+    for (const member of project.members) {
+      for (const task of TASK_BUCKETS.flatMap(bucket => member[bucket])) {
+        ids.add(task.id);
+        for (const relationship of task.relationships) {
+          for (const id of relationship.match(TASK_ID_PATTERN) || []) ids.add(id);
+        }
+      }
+      for (const comment of member.comments) {
+        ids.add(comment.id);
+        for (const id of comment.summary.match(TASK_ID_PATTERN) || []) ids.add(id);
+      }
+    }
+  }
+  return ids;
+}
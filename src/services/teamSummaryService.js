@@ -4,12 +4,20 @@ import {
   getCyclesWithCache,
   clearActivityCaches,
   startProjectSession,
-  preloadAllUsers
+  preloadAllUsers,
+  resetTruncationWarnings,
+  getTruncationWarning
 } from './planeApiDirect.js';
-import { generateText } from 'ai';
-import { createGoogleGenerativeAI } from '@ai-sdk/google';
+import { openActivityStore } from './activityStoreService.js';
+import { writeSummary, buildPlainTeamSummary, formatRelationships } from './summaryRenderer.js';
+import { generateSummaryObject, getLLMConfig, estimateTokens } from './llmService.js';
+import { TEAM_SUMMARY_SYSTEM_PROMPT, buildTeamSummaryPrompt, withStyleInstructions, withLanguageInstructions } from './prompts.js';
+import { summarySchema } from './summarySchema.js';
+import { getSummaryStyle } from './summaryStyles.js';
+import { getSummaryLanguage } from './summaryLanguages.js';
 import logger from '../utils/logger.js';
-import { matchesStateCategory } from '../utils/stateUtils.js';
+import { ConcurrencyLimiter } from '../utils/concurrencyLimiter.js';
+import { matchesStateCategory, getNetStateOutcomes } from '../utils/stateUtils.js';
 
 /**
  * Normalize a name for comparison by removing special characters, converting to lowercase
@@ -35,14 +43,16 @@ function namesMatch(name1, name2) {
  * @param {string} projectIdentifier - Project identifier
  * @param {Date} startOfDay - Start of date range
  * @param {Date} endOfDay - End of date range
- * @param {string} dateKey - Date key for logging
- * @returns {Object} Team member data with activities
+ * @param {string} dateKey - Date used to pick the active cycle (the last day of a range)
+ * @returns {Object} Team member data with activities, plus the net state outcomes over the window
+ * and a warning when Plane lists were truncated
  */
 export async function processTeamActivities(projectId, projectName, projectIdentifier, startOfDay, endOfDay, dateKey) {
   const startTime = Date.now();
 
   // Start a single session for the entire operation
   startProjectSession(projectId);
+  resetTruncationWarnings();
 
   // Preload all users for fast lookup
   await preloadAllUsers();
@@ -83,11 +93,13 @@ export async function processTeamActivities(projectId, projectName, projectIdent
   // CRITICAL OPTIMIZATION: Fetch ALL activities for the project ONCE (no actor filter)
   // This is the key change - we fetch everything once and filter in memory
   logger.info(`🚀 OPTIMIZED: Fetching ALL activities for project ${projectIdentifier} once`);
+  const activityStore = await openActivityStore(startOfDay);
   const allActivities = await getTeamActivities(
     startOfDay,
     endOfDay,
     projectIdentifier,
-    null // NO actor filter - get ALL activities
+    null, // NO actor filter - get ALL activities
+    { activityStore }
   );
 
   const fetchDuration = ((Date.now() - startTime) / 1000).toFixed(2);
@@ -98,7 +110,7 @@ export async function processTeamActivities(projectId, projectName, projectIdent
   logger.info(`Found ${cycles.length} total cycles for project`);
 
   // Find active cycles for the date
-  const relevantCycles = findRelevantCycles(cycles, dateKey);
+  const relevantCycles = getCycleProgress(findRelevantCycles(cycles, dateKey));
   const cycleInfo = formatCycleInfo(relevantCycles);
   logger.info(`Cycle info: ${cycleInfo}`);
 
@@ -130,7 +142,8 @@ export async function processTeamActivities(projectId, projectName, projectIdent
     }
 
     // Add all members to the summary
-    teamMemberData.push({ name: memberName, completed, inProgress, todo, comments, activityUpdates });
+    const memberId = userData.id || member.id || member.member_id;
+    teamMemberData.push({ id: memberId, name: memberName, completed, inProgress, todo, comments, activityUpdates });
   }
 
   const totalDuration = ((Date.now() - startTime) / 1000).toFixed(2);
@@ -139,6 +152,9 @@ export async function processTeamActivities(projectId, projectName, projectIdent
   return {
     teamMemberData,
     cycleInfo,
+    cycles: relevantCycles,
+    outcomes: getNetStateOutcomes(allActivities),
+    truncationWarning: getTruncationWarning(),
     projectName,
     dateKey
   };
@@ -212,8 +228,22 @@ function findRelevantCycles(cycles, dateKey) {
 }
 
 /**
- * Format cycle information for display
+ * Compute the completion percentage of each cycle
  * @param {Array} cycles - Relevant cycles
+ * @returns {Array} Cycle progress [{ name, percentage }]
+ */
+function getCycleProgress(cycles) {
+  return cycles.map((c) => {
+    const totalIssues = c.totalIssues || 0;
+    const completedIssues = c.completedIssues || 0;
+    const percentage = totalIssues > 0 ? Math.round((completedIssues / totalIssues) * 100) : 0;
+    return { name: c.name, percentage };
+  });
+}
+
+/**
+ * Format cycle information for display
+ * @param {Array} cycles - Cycle progress from getCycleProgress
  * @returns {string} Formatted cycle info
  */
 function formatCycleInfo(cycles) {
@@ -222,12 +252,7 @@ function formatCycleInfo(cycles) {
   }
 
   return cycles
-    .map((c) => {
-      const totalIssues = c.totalIssues || 0;
-      const completedIssues = c.completedIssues || 0;
-      const percentage = totalIssues > 0 ? Math.round((completedIssues / totalIssues) * 100) : 0;
-      return `${c.name} -> ${percentage}% completed`;
-    })
+    .map((c) => `${c.name} -> ${c.percentage}% completed`)
     .join("\n");
 }
 
@@ -478,92 +503,200 @@ export function formatTeamDataForAI(teamMemberData) {
 }
 
 /**
- * Format relationship information for display
- * @param {Object} relationships - Relationship object
- * @returns {string} Formatted relationship text
+ * Write the structured team summary, with AI unless format is "plain"
+ * Falls back to the plain renderer when the AI call fails, times out or
+ * returns JSON that does not match the summary schema.
+ * @param {Object} teamData - { teamMemberData, projectName, cycleInfo, cycles, outcomes } from processTeamActivities
+ * @param {string} dateLabel - Summarized day or range, as shown to users
+ * @param {Object} env - Environment variables
+ * @param {Object} options - { format: "ai" | "plain", force, style, language } where force
+ * skips a cached summary, style names a summary style (see summaryStyles) and
+ * language a summary language (see summaryLanguages)
+ * @returns {Promise<Object>} { summary, warning } where warning notes a fallback
  */
-function formatRelationships(relationships) {
-  if (!relationships || Object.keys(relationships).length === 0) {
-    return "";
-  }
-
-  const relParts = [];
-  Object.entries(relationships).forEach(([type, data]) => {
-    if (data && data.value) {
-      relParts.push(`${type}: ${data.value}`);
-    }
-  });
+export async function writeTeamSummary({ teamMemberData, projectName, cycleInfo, cycles, outcomes }, dateLabel, env, { format = 'ai', force = false, style = null, language = null } = {}) {
+  const summaryStyle = getSummaryStyle(style);
+  const summaryLanguage = getSummaryLanguage(language);
+  const members = summaryStyle.changesOnly ? keepStateChanges(teamMemberData, outcomes) : teamMemberData;
+
+  return writeSummary(
+    format,
+    (correction) => generateTeamSummary(members, projectName, dateLabel, cycleInfo, env, { correction, style: summaryStyle, language: summaryLanguage }),
+    () => buildPlainTeamSummary(projectName, cycles, members),
+    env,
+    { cacheInput: ['team', summaryStyle.name, summaryLanguage.code, projectName, dateLabel, cycleInfo, formatTeamDataForAI(members)], force }
+  );
+}
 
-  return relParts.length > 0 ? ` [${relParts.join(", ")}]` : "";
+/**
+ * Keep only the work items whose state changed in the period, and the
+ * comments on them; members left with nothing drop out of the summary
+ * @param {Array} teamMemberData - Team member data
+ * @param {Array} outcomes - Outcomes from getNetStateOutcomes
+ * @returns {Array} Filtered team member data
+ */
+function keepStateChanges(teamMemberData, outcomes = []) {
+  const changed = new Set(outcomes.map(outcome => outcome.id));
+  const keep = (items = []) => items.filter(item => changed.has(item.id));
+
+  return teamMemberData.map(member => ({
+    ...member,
+    completed: keep(member.completed),
+    inProgress: keep(member.inProgress),
+    todo: keep(member.todo),
+    comments: keep(member.comments),
+  }));
 }
 
 /**
- * Generate AI summary for team data
- * @param {string} formattedTeamData - Formatted team data
+ * Generate the structured AI summary for team data
+ * When the data does not fit in LLM_MAX_INPUT_TOKENS, members are split into
+ * groups that are summarized separately (at most LLM_CONCURRENCY at a time)
+ * and the results merged. Each group's response is capped at
+ * LLM_MAX_MEMBER_OUTPUT_TOKENS per member; so one member can't use up the
+ * others' share, the entries of a member that would not fit their own share
+ * are left out of the prompt and added to the result as plain entries.
+ * @param {Array} teamMemberData - Team member data
  * @param {string} projectName - Project name
  * @param {string} dateKey - Date key
  * @param {string} cycleInfo - Cycle information
  * @param {Object} env - Environment variables
- * @returns {string} AI-generated summary
+ * @param {Object} options - { correction, style, language } where correction notes a
+ * previous answer's violations (appended to the prompt), style is a style
+ * template and language the language to write comment summaries in
+ * @returns {Promise<Object>} Summary matching summarySchema
  */
-export async function generateTeamSummary(formattedTeamData, projectName, dateKey, cycleInfo, env) {
-  const systemPrompt = `You are a team work summary formatter. Your ONLY job is to convert structured team work data into readable text using a SPECIFIC format.
-
-STRICT RULES:
-1. ONLY describe activities that are explicitly provided in the data
-2. DO NOT infer intent, mood, or additional context
-3. DO NOT add encouragement, opinions, or commentary
-4. Use clear, professional language
-5. Follow the EXACT output format below
-6. Include comments showing progress updates on tasks (e.g., "Updated via comment: task description")
-7. Include relationship information ONLY when it appears in brackets after task names (e.g., relates_to: SLMRA-35)
-8. If a member has no completed tasks, no in-progress tasks, no comments, and no todo items, do not include them.
-9. DO NOT add relationship brackets if no relationship information is provided
-
-OUTPUT FORMAT:
-
-**PROJECT_NAME**
-CYCLE_NAME -> X% completed
-
-**TEAM_MEMBER_A**
+export async function generateTeamSummary(teamMemberData, projectName, dateKey, cycleInfo, env, { correction = '', style = null, language = null } = {}) {
+  const system = withLanguageInstructions(withStyleInstructions(TEAM_SUMMARY_SYSTEM_PROMPT, style), language);
+  const { maxInputTokens, concurrency, maxMemberOutputTokens } = getLLMConfig(env);
+  const isActive = member =>
+    member.completed.length + member.inProgress.length + (member.todo?.length || 0) + (member.comments?.length || 0) > 0;
+
+  const split = teamMemberData.filter(isActive).map(member => splitMemberOutput(member, maxMemberOutputTokens));
+  const activeMembers = split.map(({ fitted }) => fitted).filter(isActive);
+  const overflow = split.map(({ overflow }) => overflow).filter(Boolean);
+
+  const overhead = estimateTokens(system + buildTeamSummaryPrompt('', projectName, dateKey, cycleInfo) + correction);
+  const groups = groupMembersByTokens(activeMembers, maxInputTokens - overhead);
+  if (groups.length > 1) {
+    logger.info(`Team data exceeds ${maxInputTokens} tokens, summarizing ${activeMembers.length} members in ${groups.length} groups`);
+  }
 
-**Tasks/SubTasks Done:**
-• TASK-ID: Task Name
-• TASK-ID: Task Name [relates_to: TASK-ID]
+  // The project name and cycles come once per response, on top of the members' shares
+  const projectTokens = estimateTokens(JSON.stringify({ projects: [{ name: projectName, cycles: [], members: [] }] }) + (cycleInfo || ''));
 
-**Tasks/SubTasks in Progress:**
-• TASK-ID: Task Name (State)
-• TASK-ID: Task Name (State) [relates_to: TASK-ID]
+  const limiter = new ConcurrencyLimiter(concurrency);
+  const results = await Promise.all(groups.map(members =>
+    limiter.run(() => generateSummaryObject({
+      system,
+      prompt: buildTeamSummaryPrompt(formatTeamDataForAI(members), projectName, dateKey, cycleInfo) + correction,
+      schema: summarySchema,
+      maxTokens: projectTokens + maxMemberOutputTokens * Math.max(1, members.length),
+    }, env))
+  ));
 
-**Tasks/SubTasks Todo:**
-• TASK-ID: Task Name (State)
-• TASK-ID: Task Name (State) [relates_to: TASK-ID]
+  return addPlainEntries(mergeSummaries(results), projectName, overflow);
+}
 
-**Comments/Updates:**
-• TASK-ID: Brief comment summary
-• TASK-ID: Brief comment summary [relates_to: TASK-ID]
+/**
+ * Split a member's data into what fits their share of the response and the rest
+ * The response is estimated as the plain summary of the data, an upper bound
+ * since the model shortens comments. Entries are dropped from the end of the
+ * todo, comment, in-progress and completed lists, in that order.
+ * @param {Object} member - Team member data
+ * @param {number} maxTokens - Response tokens per member
+ * @returns {Object} { fitted, overflow } where overflow is null when everything fits
+ */
+function splitMemberOutput(member, maxTokens) {
+  const estimate = (data) => estimateTokens(JSON.stringify(buildPlainTeamSummary('', [], [data]).projects[0].members));
+  if (estimate(member) <= maxTokens) return { fitted: member, overflow: null };
+
+  const fitted = { ...member, completed: [...member.completed], inProgress: [...member.inProgress], todo: [...(member.todo || [])], comments: [...(member.comments || [])] };
+  const overflow = { ...member, completed: [], inProgress: [], todo: [], comments: [] };
+  for (const key of ['todo', 'comments', 'inProgress', 'completed']) {
+    while (fitted[key].length > 0 && estimate(fitted) > maxTokens) {
+      overflow[key].unshift(fitted[key].pop());
+    }
+  }
 
-**TEAM_MEMBER_B**
+  const dropped = ['todo', 'comments', 'inProgress', 'completed'].reduce((sum, key) => sum + overflow[key].length, 0);
+  logger.info(`${member.name} exceeds ${maxTokens} response tokens, ${dropped} entries added without AI`);
+  return { fitted, overflow };
+}
 
-[Continue for all team members...]
+/**
+ * Add members' entries to a summary as the plain renderer writes them
+ * @param {Object} summary - Structured summary
+ * @param {string} projectName - Project name
+ * @param {Array} teamMemberData - Member data to add
+ * @returns {Object} Structured summary
+ */
+function addPlainEntries(summary, projectName, teamMemberData) {
+  if (teamMemberData.length === 0) return summary;
+
+  const plain = buildPlainTeamSummary(projectName, [], teamMemberData).projects[0];
+  let project = summary.projects.find(p => p.name === projectName);
+  if (!project) {
+    project = { name: projectName, cycles: [], members: [] };
+    summary.projects.push(project);
+  }
 
----
-`;
+  for (const entries of plain.members) {
+    const member = project.members.find(m => m.name === entries.name);
+    if (!member) {
+      project.members.push(entries);
+      continue;
+    }
+    for (const key of ['done', 'inProgress', 'todo', 'comments']) member[key].push(...entries[key]);
+  }
+  return summary;
+}
 
-  const userPrompt = `Format this team daily summary for ${dateKey} using the exact format specified. Include comments as they show progress on tasks even when there are no formal state changes.
-PROJECT: ${projectName}
-CYCLE INFO: ${cycleInfo}
+/**
+ * Split members into consecutive groups whose formatted data fits the token budget
+ * A member too large for the budget on their own gets a group of their own.
+ * @param {Array} members - Team member data
+ * @param {number} budget - Tokens available for member data in one prompt
+ * @returns {Array} Groups of members; one group (possibly empty) when everything fits
+ */
+function groupMembersByTokens(members, budget) {
+  const groups = [[]];
+  let used = 0;
+
+  for (const member of members) {
+    const tokens = estimateTokens(formatTeamDataForAI([member]));
+    const current = groups[groups.length - 1];
+    if (current.length > 0 && used + tokens > budget) {
+      groups.push([member]);
+      used = tokens;
+    } else {
+      current.push(member);
+      used += tokens;
+    }
+  }
 
-TEAM MEMBERS DATA:
-${formattedTeamData}`;
+  return groups;
+}
 
-  const google = createGoogleGenerativeAI({ apiKey: env.GOOGLE_GENERATIVE_AI_API_KEY });
-  const result = await generateText({
-    model: google(env.GEMINI_MODEL || "gemini-2.5-flash"),
-    system: systemPrompt,
-    prompt: userPrompt,
-    temperature: env.GEMINI_TEMPERATURE || 0.3,
-  });
+/**
+ * Merge summaries of member groups: projects by name, members in order
+ * @param {Array} summaries - Structured summaries
+ * @returns {Object} Structured summary
+ */
+function mergeSummaries(summaries) {
+  const projects = new Map();
+
+  for (const summary of summaries) {
+    for (const project of summary.projects) {
+      const merged = projects.get(project.name);
+      if (merged) {
+        merged.members.push(...project.members);
+        if (merged.cycles.length === 0) merged.cycles = project.cycles;
+      } else {
+        projects.set(project.name, { ...project, members: [...project.members] });
+      }
+    }
+  }
 
-  return result.text;
+  return { projects: [...projects.values()] };
 }
@@ -0,0 +1,185 @@
+import { fetchWorkItemActivities, fetchWorkItemComments, fetchUserName } from './planeApiDirect.js';
+import { getJSON, putJSON, deleteKey, listKeys } from './storageService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Per-user work item subscriptions (/watch)
+ *
+ *   watch:<discordUserId>:<workItemId> -> { identifier, name, projectId, workItemId, channelId, watchedAt }
+ *   watch-checked:<workItemId>         -> ISO time the notifier last read the item
+ *
+ * Every subscription has its own key and only the notifier writes the checked
+ * times, so concurrent /watch commands and notifier runs never overwrite each
+ * other. The notifier groups subscriptions by work item and fetches each
+ * watched item once no matter how many people watch it.
+ */
+
+const WATCH_KEY_PREFIX = 'watch:';
+const CHECKED_KEY_PREFIX = 'watch-checked:';
+const CHECKED_TTL_SECONDS = 30 * 24 * 60 * 60;
+const MAX_WATCHES_PER_USER = 25;
+const COMMENT_EXCERPT_LENGTH = 200;
+const WATCHED_FIELDS = ['state', 'assignees', 'assignee'];
+
+/**
+ * Subscribe a Discord user to a work item
+ * @param {string} discordUserId - Discord user ID
+ * @param {string} channelId - Channel the command was used in (fallback for mentions)
+ * @param {Object} resolved - Result of resolveWorkItem ({ project, workItem, identifier })
+ * @returns {Promise<boolean>} False if the user already watches the item
+ * @throws {Error} If the user is at the subscription limit
+ */
+export async function watchWorkItem(discordUserId, channelId, { project, workItem, identifier }) {
+  const key = `${WATCH_KEY_PREFIX}${discordUserId}:${workItem.id}`;
+  if (await getJSON(key)) {
+    return false;
+  }
+
+  const userKeys = await listKeys(`${WATCH_KEY_PREFIX}${discordUserId}:`);
+  if (userKeys.length >= MAX_WATCHES_PER_USER) {
+    throw new Error(`You can watch up to ${MAX_WATCHES_PER_USER} work items. Use /unwatch to remove some first.`);
+  }
+
+  await putJSON(key, {
+    identifier,
+    name: workItem.name,
+    projectId: project.id,
+    workItemId: workItem.id,
+    channelId,
+    watchedAt: new Date().toISOString()
+  });
+  logger.info(`Discord user ${discordUserId} is now watching ${identifier}`);
+  return true;
+}
+
+/**
+ * Unsubscribe a Discord user from a work item
+ * @param {string} discordUserId - Discord user ID
+ * @param {string} identifier - Work item identifier (e.g. RADAR-123)
+ * @returns {Promise<boolean>} False if the user was not watching the item
+ */
+export async function unwatchWorkItem(discordUserId, identifier) {
+  const watch = (await getUserWatches(discordUserId)).find(w => w.identifier === identifier.toUpperCase());
+
+  if (!watch) {
+    return false;
+  }
+
+  await deleteKey(`${WATCH_KEY_PREFIX}${discordUserId}:${watch.workItemId}`);
+  logger.info(`Discord user ${discordUserId} stopped watching ${identifier}`);
+  return true;
+}
+
+/**
+ * Get the work items a Discord user watches
+ * @param {string} discordUserId - Discord user ID
+ * @returns {Promise<Array>} Watch entries ({ identifier, name, projectId, workItemId, ... })
+ */
+export async function getUserWatches(discordUserId) {
+  const watches = await readWatches(`${WATCH_KEY_PREFIX}${discordUserId}:`);
+  return watches
+    .map(({ watch }) => watch)
+    .sort((a, b) => a.identifier.localeCompare(b.identifier, undefined, { numeric: true }));
+}
+
+/**
+ * Get every watched work item with its watchers
+ * An item not checked yet counts as checked when its first watcher subscribed.
+ * @returns {Promise<Array>} Entries of { identifier, name, projectId, workItemId, checkedAt, watchers }
+ */
+export async function getWatches() {
+  const entries = new Map();
+
+  for (const { discordUserId, watch } of await readWatches(WATCH_KEY_PREFIX)) {
+    const entry = entries.get(watch.workItemId) || {
+      identifier: watch.identifier,
+      name: watch.name,
+      projectId: watch.projectId,
+      workItemId: watch.workItemId,
+      checkedAt: watch.watchedAt,
+      watchers: {}
+    };
+    if (watch.watchedAt < entry.checkedAt) entry.checkedAt = watch.watchedAt;
+    entry.watchers[discordUserId] = { channelId: watch.channelId };
+    entries.set(watch.workItemId, entry);
+  }
+
+  return Promise.all([...entries.values()].map(async entry => ({
+    ...entry,
+    checkedAt: (await getJSON(`${CHECKED_KEY_PREFIX}${entry.workItemId}`)) || entry.checkedAt
+  })));
+}
+
+/**
+ * Record that watched items have been checked up to a point in time
+ * @param {Object} checkedAtById - Work item ID -> ISO timestamp
+ */
+export async function markWatchesChecked(checkedAtById) {
+  await Promise.all(Object.entries(checkedAtById).map(([workItemId, checkedAt]) =>
+    putJSON(`${CHECKED_KEY_PREFIX}${workItemId}`, checkedAt, { expirationTtl: CHECKED_TTL_SECONDS })
+  ));
+}
+
+async function readWatches(prefix) {
+  const keys = await listKeys(prefix);
+  const watches = await Promise.all(keys.map(async key => ({
+    discordUserId: key.slice(WATCH_KEY_PREFIX.length).split(':')[0],
+    watch: await getJSON(key)
+  })));
+  // A key listed just before it was deleted reads as null
+  return watches.filter(({ watch }) => watch);
+}
+
+/**
+ * Describe state, assignee and comment changes on a watched item since it was last checked
+ * Changes after `until` are left for the run that records a later checked time.
+ * @param {Object} entry - Watch entry
+ * @param {string} until - ISO time the item will be marked checked up to
+ * @returns {Promise<Array<string>>} One line per change, oldest first
+ * @throws {Error} If the activities or comments can't be read, so the item isn't marked checked
+ */
+export async function getWatchUpdates(entry, until) {
+  const since = new Date(entry.checkedAt);
+  const end = new Date(until);
+  const [activities, comments] = await Promise.all([
+    fetchWorkItemActivities(entry.projectId, entry.workItemId, { throwOnError: true }),
+    fetchWorkItemComments(entry.projectId, entry.workItemId, { throwOnError: true })
+  ]);
+
+  const updates = [];
+
+  for (const activity of activities) {
+    const time = new Date(activity.created_at);
+    if (time <= since || time > end || !WATCHED_FIELDS.includes(activity.field)) continue;
+
+    const actor = await fetchUserName(activity.actor);
+    const text = activity.field === 'state'
+      ? `🔄 **${activity.old_value || 'None'}** → **${activity.new_value || 'None'}** by **${actor}**`
+      : describeAssigneeChange(activity, actor);
+    updates.push({ time, text });
+  }
+
+  for (const comment of comments) {
+    const time = new Date(comment.created_at);
+    if (time <= since || time > end) continue;
+
+    const actor = await fetchUserName(comment.actor || comment.created_by);
+    const excerpt = (comment.comment_stripped || '').trim().replace(/\n+/g, ' ');
+    const shortExcerpt = excerpt.length > COMMENT_EXCERPT_LENGTH
+      ? `${excerpt.substring(0, COMMENT_EXCERPT_LENGTH)}…`
+      : excerpt;
+    updates.push({ time, text: `💬 **${actor}** commented${shortExcerpt ? `: ${shortExcerpt}` : ''}` });
+  }
+
+  return updates.sort((a, b) => a.time - b.time).map(u => u.text);
+}
+
+function describeAssigneeChange(activity, actor) {
+  if (activity.new_value && !activity.old_value) {
+    return `👤 **${activity.new_value}** assigned by **${actor}**`;
+  }
+  if (activity.old_value && !activity.new_value) {
+    return `👤 **${activity.old_value}** unassigned by **${actor}**`;
+  }
+  return `👤 Assignee **${activity.old_value}** → **${activity.new_value}** by **${actor}**`;
+}
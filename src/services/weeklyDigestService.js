@@ -0,0 +1,174 @@
+import {
+  getTeamActivities,
+  getCyclesWithCache,
+  startProjectSession,
+  clearActivityCaches
+} from './planeApiDirect.js';
+import { getJSON, putJSON } from './storageService.js';
+import { openActivityStore } from './activityStoreService.js';
+import { generateSummaryText } from './llmService.js';
+import { DIGEST_SYSTEM_PROMPT, buildDigestPrompt } from './prompts.js';
+import { matchesStateCategory, getNetStateOutcomes } from '../utils/stateUtils.js';
+import { getRangeWindow, parseRangeKey } from '../utils/dateUtils.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Weekly executive digest: one roll-up of every registered project
+ *
+ * Numbers are computed here from Plane data; the AI only writes a short
+ * narrative on top of them. Plane only reports a cycle's current progress, so
+ * each run stores a snapshot that the next week's run compares against.
+ */
+
+const CYCLE_SNAPSHOT_KEY_PREFIX = 'digest-cycle-snapshot:';
+const CYCLE_SNAPSHOT_TTL_SECONDS = 35 * 24 * 60 * 60;
+const TOP_CONTRIBUTORS = 5;
+
+/**
+ * Collect the digest numbers for one project
+ * @param {Object} project - Plane project
+ * @param {string} rangeKey - Week as built by toRangeKey
+ * @param {string} timeZone - IANA time zone the week is in
+ * @returns {Promise<Object>} Project digest
+ */
+export async function buildProjectDigest(project, rangeKey, timeZone) {
+  const { start, end } = getRangeWindow(rangeKey, timeZone);
+
+  startProjectSession(project.id);
+  clearActivityCaches();
+  const activityStore = await openActivityStore(start);
+
+  const [activities, cycles] = await Promise.all([
+    getTeamActivities(start, end, project.identifier, null, { activityStore }),
+    getCyclesWithCache(project.id)
+  ]);
+
+  const outcomes = getNetStateOutcomes(activities);
+  const completed = outcomes.filter(o => matchesStateCategory(o.to, 'completed'));
+  const newlyBlocked = outcomes.filter(o => matchesStateCategory(o.to, 'blocked') && !matchesStateCategory(o.from, 'blocked'));
+
+  // Started = moved into an in-progress state at some point this week, even if finished since
+  const started = new Map();
+  for (const activity of activities) {
+    const isStateChange = activity.type === 'activity' && (activity.field === 'state' || activity.field === 'status');
+    if (isStateChange &&
+      matchesStateCategory(activity.newValue, 'inProgress') &&
+      !matchesStateCategory(activity.oldValue, 'inProgress')) {
+      started.set(activity.workItem, { id: activity.workItem, name: activity.workItemName });
+    }
+  }
+
+  const contributions = {};
+  for (const activity of activities) {
+    if ((activity.type === 'activity' || activity.type === 'comment') && activity.actor) {
+      contributions[activity.actor] = (contributions[activity.actor] || 0) + 1;
+    }
+  }
+
+  return {
+    identifier: project.identifier,
+    name: project.name,
+    completed: completed.map(({ id, name }) => ({ id, name })),
+    started: [...started.values()],
+    newlyBlocked: newlyBlocked.map(({ id, name }) => ({ id, name })),
+    cycles: await getCycleProgress(project.identifier, cycles, parseRangeKey(rangeKey).end),
+    contributions
+  };
+}
+
+/**
+ * Compare the project's current cycles with the snapshot stored last week,
+ * then store the current state for next week
+ * @param {string} identifier - Project identifier
+ * @param {Array} cycles - Cycles from getCyclesWithCache
+ * @param {string} dateKey - Last day of the digest week
+ * @returns {Promise<Array>} { name, percentage, previousPercentage } per current cycle
+ * (previousPercentage is null when there is no earlier snapshot)
+ */
+async function getCycleProgress(identifier, cycles, dateKey) {
+  const current = cycles.filter(c =>
+    c.startDate && c.endDate &&
+    c.startDate.substring(0, 10) <= dateKey &&
+    c.endDate.substring(0, 10) >= dateKey
+  );
+
+  const key = `${CYCLE_SNAPSHOT_KEY_PREFIX}${identifier}`;
+  const stored = await getJSON(key);
+
+  // A re-run for the same week compares against the same baseline as the first run
+  const previous = (stored?.dateKey === dateKey ? stored.previousCycles : stored?.cycles) || {};
+
+  const progress = current.map(cycle => {
+    const percentage = cycle.totalIssues > 0 ? Math.round((cycle.completedIssues / cycle.totalIssues) * 100) : 0;
+    return {
+      id: cycle.id,
+      name: cycle.name,
+      percentage,
+      previousPercentage: previous[cycle.id]?.percentage ?? null,
+      completedIssues: cycle.completedIssues,
+      totalIssues: cycle.totalIssues
+    };
+  });
+
+  await putJSON(key, {
+    dateKey,
+    cycles: Object.fromEntries(progress.map(c => [c.id, { name: c.name, percentage: c.percentage }])),
+    previousCycles: previous
+  }, { expirationTtl: CYCLE_SNAPSHOT_TTL_SECONDS });
+
+  return progress;
+}
+
+/**
+ * Combine per-project digests into workspace totals
+ * @param {Array} projectDigests - Results of buildProjectDigest
+ * @returns {Object} { completed, started, newlyBlocked, topContributors }
+ */
+export function summarizeDigest(projectDigests) {
+  const contributions = {};
+  for (const digest of projectDigests) {
+    for (const [actor, count] of Object.entries(digest.contributions)) {
+      contributions[actor] = (contributions[actor] || 0) + count;
+    }
+  }
+
+  return {
+    completed: projectDigests.reduce((sum, d) => sum + d.completed.length, 0),
+    started: projectDigests.reduce((sum, d) => sum + d.started.length, 0),
+    newlyBlocked: projectDigests.reduce((sum, d) => sum + d.newlyBlocked.length, 0),
+    topContributors: Object.entries(contributions)
+      .sort(([, a], [, b]) => b - a)
+      .slice(0, TOP_CONTRIBUTORS)
+      .map(([name, count]) => ({ name, count }))
+  };
+}
+
+/**
+ * Generate the AI narrative shown above the digest numbers
+ * @param {Array} projectDigests - Results of buildProjectDigest
+ * @param {Object} totals - Result of summarizeDigest
+ * @param {string} rangeKey - Digest week
+ * @param {Object} env - Environment variables
+ * @returns {Promise<string|null>} Narrative, or null if generation failed
+ */
+export async function generateDigestNarrative(projectDigests, totals, rangeKey, env) {
+  const data = {
+    week: rangeKey,
+    totals,
+    projects: projectDigests.map(d => ({
+      project: d.name,
+      completed: d.completed.length,
+      started: d.started.length,
+      newlyBlocked: d.newlyBlocked.map(item => item.id),
+      cycles: d.cycles.map(c => ({ name: c.name, percentage: c.percentage, previousPercentage: c.previousPercentage }))
+    }))
+  };
+
+  try {
+    const text = await generateSummaryText({ system: DIGEST_SYSTEM_PROMPT, prompt: buildDigestPrompt(data) }, env);
+    return text.trim();
+  } catch (error) {
+    logger.error(`Error generating weekly digest narrative: ${error.message}`);
+    return null;
+  }
+}
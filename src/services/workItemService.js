@@ -0,0 +1,265 @@
+import {
+  fetchProjects,
+  getWorkItemsWithCache,
+  fetchAllWorkItems,
+  fetchWorkItem,
+  fetchWorkItemByIdentifier,
+  getActivitiesWithCache,
+  getSubitemsWithCache,
+  fetchWorkItemRelationships,
+  fetchUserName
+} from './planeApiDirect.js';
+import logger from '../utils/logger.js';
+import { categorizeWorkItems } from '../utils/stateUtils.js';
+
+const IDENTIFIER_PATTERN = /^([A-Za-z0-9]+)-(\d+)$/;
+
+/**
+ * Parse a work item identifier like RADAR-123
+ * @param {string} identifier - Work item identifier
+ * @returns {Object|null} { projectIdentifier, sequenceId } or null if malformed
+ */
+export function parseWorkItemIdentifier(identifier) {
+  const match = identifier?.trim().match(IDENTIFIER_PATTERN);
+  if (!match) return null;
+  return { projectIdentifier: match[1].toUpperCase(), sequenceId: Number(match[2]) };
+}
+
+/**
+ * Resolve a work item identifier to its project and work item
+ * @param {string} identifier - Work item identifier (e.g. RADAR-123)
+ * @returns {Promise<Object|null>} { project, workItem, identifier } or null if not found
+ */
+export async function resolveWorkItem(identifier) {
+  const parsed = parseWorkItemIdentifier(identifier);
+  if (!parsed) return null;
+
+  const projects = await fetchProjects();
+  const project = projects.find(p => p.identifier?.toUpperCase() === parsed.projectIdentifier);
+  if (!project) {
+    logger.warn(`No project with identifier ${parsed.projectIdentifier}`);
+    return null;
+  }
+
+  const workItems = await getWorkItemsWithCache(project.id);
+  let workItem = workItems.find(w => w.sequence_id === parsed.sequenceId);
+
+  // Older items may fall outside the cached page of recently updated work items
+  if (!workItem) {
+    workItem = await fetchWorkItemByIdentifier(`${parsed.projectIdentifier}-${parsed.sequenceId}`);
+  }
+
+  if (!workItem) return null;
+
+  return {
+    project,
+    workItem,
+    identifier: `${project.identifier}-${workItem.sequence_id}`
+  };
+}
+
+/**
+ * Gather everything needed to render a work item: state, people, labels,
+ * cycle, parent, sub-items and relationships
+ * @param {string} identifier - Work item identifier (e.g. RADAR-123)
+ * @returns {Promise<Object|null>} Work item details or null if not found
+ */
+export async function getWorkItemDetails(identifier) {
+  const resolved = await resolveWorkItem(identifier);
+  if (!resolved) return null;
+
+  const { project } = resolved;
+
+  // List responses only expand state, so re-fetch with labels and assignees
+  const workItem = await fetchWorkItem(project.id, resolved.workItem.id);
+
+  const [activities, subitems, relationships] = await Promise.all([
+    getActivitiesWithCache(project.id, workItem.id),
+    getSubitemsWithCache(project.id, workItem.id).catch(() => []),
+    fetchWorkItemRelationships(project.id, workItem.id)
+  ]);
+
+  const assignees = await resolveAssigneeNames(workItem);
+  const parent = await resolveParent(project, workItem);
+
+  return {
+    project,
+    workItem,
+    identifier: resolved.identifier,
+    assignees,
+    labels: (workItem.labels || []).filter(label => typeof label === 'object'),
+    cycle: findCurrentCycleName(activities),
+    parent,
+    subitems: subitems.map(subitem => ({
+      identifier: `${project.identifier}-${subitem.sequence_id}`,
+      name: subitem.name,
+      state: subitem.state?.name || subitem.state_detail?.name || 'Unknown',
+      stateGroup: subitem.state?.group || subitem.state_detail?.group
+    })),
+    relationships
+  };
+}
+
+/**
+ * Search work items across projects by sequence ID or name
+ * @param {Array} projects - Projects to search
+ * @param {string} query - Search text (e.g. "RADAR-12", "12" or "login")
+ * @param {number} limit - Maximum number of results
+ * @returns {Promise<Array>} Matching { identifier, name } entries
+ */
+export async function searchWorkItems(projects, query, limit = 25) {
+  const text = query?.trim() || '';
+  const prefixMatch = text.match(/^([A-Za-z0-9]+)-(\d*)$/);
+
+  let searchProjects = projects;
+  let sequenceQuery = /^\d+$/.test(text) ? text : null;
+  let nameQuery = text.toLowerCase();
+
+  if (prefixMatch) {
+    // "RADAR-12" narrows to one project and searches its sequence IDs
+    searchProjects = projects.filter(p => p.identifier?.toUpperCase() === prefixMatch[1].toUpperCase());
+    sequenceQuery = prefixMatch[2];
+    nameQuery = '';
+  }
+
+  const results = [];
+  for (const project of searchProjects) {
+    const workItems = await getWorkItemsWithCache(project.id);
+
+    for (const workItem of workItems) {
+      const sequence = String(workItem.sequence_id);
+      const matchesSequence = sequenceQuery !== null && sequence.startsWith(sequenceQuery);
+      const matchesName = nameQuery && workItem.name?.toLowerCase().includes(nameQuery);
+
+      if (!text || matchesSequence || matchesName) {
+        results.push({
+          identifier: `${project.identifier}-${sequence}`,
+          name: workItem.name || 'Untitled'
+        });
+      }
+
+      if (results.length >= limit) return results;
+    }
+  }
+
+  return results;
+}
+
+const PRIORITY_ORDER = ['urgent', 'high', 'medium', 'low', 'none'];
+
+/**
+ * Get a member's open (non-completed) work items across projects
+ * Reads each project's full work item list: the cached list holds only the
+ * most recently updated items, which misses long-standing assignments.
+ * @param {string} planeUserId - Plane user ID of the assignee
+ * @param {Array} projects - Projects to search
+ * @returns {Promise<Object>} { inProgress: [], blocked: [], backlog: [] } sorted by priority then due date
+ */
+export async function getOpenWorkItemsForMember(planeUserId, projects) {
+  const assigned = [];
+
+  for (const project of projects) {
+    let workItems;
+    try {
+      workItems = await fetchAllWorkItems(project.id);
+    } catch (error) {
+      if (error.response?.status === 403) {
+        logger.warn(`Skipping project ${project.identifier}: no access (403)`);
+        continue;
+      }
+      throw error;
+    }
+
+    for (const workItem of workItems) {
+      const assigneeIds = [
+        ...(workItem.assignees || []).map(a => (typeof a === 'object' ? a.id : a)),
+        ...(workItem.assignee_details || []).map(a => a.id)
+      ];
+      if (!assigneeIds.includes(planeUserId)) continue;
+
+      assigned.push({
+        ...workItem,
+        project,
+        identifier: `${project.identifier}-${workItem.sequence_id}`
+      });
+    }
+  }
+
+  const { inProgress, blocked, backlog } = categorizeWorkItems(assigned);
+  logger.info(`Found ${inProgress.length + blocked.length + backlog.length} open work items for ${planeUserId}`);
+
+  return {
+    inProgress: inProgress.sort(compareByPriorityAndDueDate),
+    blocked: blocked.sort(compareByPriorityAndDueDate),
+    backlog: backlog.sort(compareByPriorityAndDueDate)
+  };
+}
+
+/**
+ * Sort by priority (urgent first), then due date (soonest first, undated last)
+ */
+function compareByPriorityAndDueDate(a, b) {
+  const priorityA = PRIORITY_ORDER.indexOf(a.priority || 'none');
+  const priorityB = PRIORITY_ORDER.indexOf(b.priority || 'none');
+  if (priorityA !== priorityB) return priorityA - priorityB;
+
+  if (a.target_date && b.target_date) return a.target_date.localeCompare(b.target_date);
+  if (a.target_date) return -1;
+  if (b.target_date) return 1;
+  return 0;
+}
+
+/**
+ * Resolve assignee names from expanded users, detail objects or raw IDs
+ */
+async function resolveAssigneeNames(workItem) {
+  if (Array.isArray(workItem.assignee_details) && workItem.assignee_details.length > 0) {
+    return workItem.assignee_details.map(a => a.display_name || a.email || 'Unknown');
+  }
+
+  const names = [];
+  for (const assignee of workItem.assignees || []) {
+    if (typeof assignee === 'object') {
+      names.push(assignee.display_name || assignee.first_name || assignee.email || 'Unknown');
+    } else {
+      names.push(await fetchUserName(assignee));
+    }
+  }
+  return names;
+}
+
+/**
+ * Resolve the parent work item to an identifier and name
+ */
+async function resolveParent(project, workItem) {
+  const parentId = typeof workItem.parent === 'object' ? workItem.parent?.id : workItem.parent;
+  if (!parentId) return null;
+
+  const workItems = await getWorkItemsWithCache(project.id);
+  let parent = workItems.find(w => w.id === parentId);
+
+  if (!parent) {
+    try {
+      parent = await fetchWorkItem(project.id, parentId, 'state');
+    } catch (error) {
+      logger.warn(`Failed to fetch parent ${parentId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  return { identifier: `${project.identifier}-${parent.sequence_id}`, name: parent.name };
+}
+
+/**
+ * Find the cycle a work item currently belongs to from its activity history
+ * Plane does not return cycle membership on the work item itself
+ */
+function findCurrentCycleName(activities) {
+  const cycleActivities = activities
+    .filter(a => a.field === 'cycles' || a.field === 'cycle')
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+
+  const latest = cycleActivities[0];
+  if (!latest || latest.verb === 'deleted' || !latest.new_value) return null;
+  return latest.new_value;
+}
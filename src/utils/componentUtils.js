@@ -0,0 +1,118 @@
+import { buildCustomId, fitsCustomId } from './customId.js';
+import { shiftDateKey, getTodayKey, parseRangeKey, toRangeKey, countRangeDays } from './dateUtils.js';
+import logger from './logger.js';
+
+export const TEAM_SUMMARY_NAMESPACE = 'team_summary';
+export const PERSON_SUMMARY_NAMESPACE = 'person_summary';
+
+const ButtonStyle = {
+  PRIMARY: 1,
+  SECONDARY: 2,
+};
+
+/**
+ * Create the action rows attached to a team summary message
+ * @param {string} projectIdentifier - Project identifier
+ * @param {string} dateKey - Summarized day or range (see toRangeKey)
+ * @param {Array} members - Members with activity ({ id, name }), offered in the drill-down menu
+ * @param {string} timeZone - Time zone the summary's days are in (for "today")
+ * @returns {Array} Discord action rows
+ */
+export function createTeamSummaryComponents(projectIdentifier, dateKey, members = [], timeZone = 'UTC') {
+  const rows = [
+    createSummaryButtonRow(TEAM_SUMMARY_NAMESPACE, dateKey, [projectIdentifier], timeZone)
+  ].filter(Boolean);
+
+  if (members.length > 0) {
+    rows.push({
+      type: 1, // ACTION_ROW
+      components: [{
+        type: 3, // STRING_SELECT
+        custom_id: buildCustomId(TEAM_SUMMARY_NAMESPACE, 'member', dateKey, projectIdentifier),
+        placeholder: 'Drill into a team member…',
+        // Names can be long or repeat, so the value is the Plane user ID
+        options: members.slice(0, 25).map(member => ({
+          label: member.name.substring(0, 100),
+          value: member.id
+        }))
+      }]
+    });
+  }
+
+  return rows;
+}
+
+/**
+ * Create the action rows attached to a person summary message
+ * @param {string} personId - Plane user ID of the person the summary is for
+ * @param {string} projectIdentifier - Identifier of the project the summary is filtered by
+ * @param {string} dateKey - Summarized day or range (see toRangeKey)
+ * @param {string} timeZone - Time zone the summary's days are in (for "today")
+ * @returns {Array} Discord action rows
+ */
+export function createPersonSummaryComponents(personId, projectIdentifier, dateKey, timeZone = 'UTC') {
+  return [
+    createSummaryButtonRow(PERSON_SUMMARY_NAMESPACE, dateKey, [projectIdentifier || '', personId], timeZone)
+  ].filter(Boolean);
+}
+
+/**
+ * Create the Previous day / Next day / Regenerate / Show raw data button row
+ * Date navigation buttons carry the target date so handlers stay stateless.
+ * For a range (see toRangeKey) they move by the range's length instead.
+ * Buttons whose custom ID would exceed Discord's limit are left out.
+ * @returns {Object|null} Action row, or null when no button fits
+ */
+function createSummaryButtonRow(namespace, dateKey, args, timeZone) {
+  const today = getTodayKey(timeZone);
+  const { start, end } = parseRangeKey(dateKey);
+  const span = countRangeDays(start, end);
+  const unit = span === 1 ? 'day' : 'period';
+
+  const previousDateKey = toRangeKey(shiftDateKey(start, -span), shiftDateKey(end, -span));
+  const nextStart = shiftDateKey(start, span);
+  const nextEnd = shiftDateKey(end, span);
+  const nextDateKey = toRangeKey(nextStart, nextEnd > today ? today : nextEnd);
+
+  const buttons = [
+    {
+      type: 2, // BUTTON
+      style: ButtonStyle.SECONDARY,
+      label: `Previous ${unit}`,
+      emoji: { name: '⬅️' },
+      parts: ['day', previousDateKey]
+    },
+    {
+      type: 2,
+      style: ButtonStyle.SECONDARY,
+      label: `Next ${unit}`,
+      emoji: { name: '➡️' },
+      parts: ['day', nextDateKey],
+      disabled: nextStart > today
+    },
+    {
+      type: 2,
+      style: ButtonStyle.PRIMARY,
+      label: 'Regenerate',
+      emoji: { name: '🔄' },
+      parts: ['regen', dateKey]
+    },
+    {
+      type: 2,
+      style: ButtonStyle.SECONDARY,
+      label: 'Show raw data',
+      emoji: { name: '📄' },
+      parts: ['raw', dateKey]
+    }
+  ];
+
+  const components = buttons.flatMap(({ parts, ...button }) => {
+    if (!fitsCustomId(namespace, ...parts, ...args)) {
+      logger.warn(`Leaving out the ${button.label} button of ${namespace}: custom ID too long`);
+      return [];
+    }
+    return [{ ...button, custom_id: buildCustomId(namespace, ...parts, ...args) }];
+  });
+
+  return components.length > 0 ? { type: 1, components } : null; // ACTION_ROW
+}
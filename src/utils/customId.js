@@ -0,0 +1,52 @@
+/**
+ * Custom ID routing scheme for message components and modals
+ *
+ * Custom IDs have the form `namespace:action:arg1:arg2...`. The namespace
+ * selects the handler, the action selects what it does, and each argument is
+ * URI-encoded so values containing ":" survive the round trip.
+ */
+
+const SEPARATOR = ':';
+const MAX_CUSTOM_ID_LENGTH = 100; // Discord limit
+
+/**
+ * Build a custom ID
+ * @param {string} namespace - Handler namespace (e.g. team_summary)
+ * @param {string} action - Action within the namespace (e.g. regen)
+ * @param {...string} args - Action arguments
+ * @returns {string} Encoded custom ID
+ */
+export function buildCustomId(namespace, action, ...args) {
+  const customId = encodeCustomId(namespace, action, args);
+
+  if (customId.length > MAX_CUSTOM_ID_LENGTH) {
+    throw new Error(`Custom ID exceeds ${MAX_CUSTOM_ID_LENGTH} characters: ${customId}`);
+  }
+
+  return customId;
+}
+
+/**
+ * Check whether a custom ID built from these parts fits Discord's limit
+ * @param {string} namespace - Handler namespace
+ * @param {string} action - Action within the namespace
+ * @param {...string} args - Action arguments
+ * @returns {boolean} True if buildCustomId would succeed
+ */
+export function fitsCustomId(namespace, action, ...args) {
+  return encodeCustomId(namespace, action, args).length <= MAX_CUSTOM_ID_LENGTH;
+}
+
+function encodeCustomId(namespace, action, args) {
+  return [namespace, action, ...args.map(arg => encodeURIComponent(String(arg ?? '')))].join(SEPARATOR);
+}
+
+/**
+ * Parse a custom ID built with buildCustomId
+ * @param {string} customId - Custom ID from the interaction
+ * @returns {Object} { namespace, action, args }
+ */
+export function parseCustomId(customId) {
+  const [namespace = '', action = '', ...args] = (customId || '').split(SEPARATOR);
+  return { namespace, action, args: args.map(arg => decodeURIComponent(arg)) };
+}
@@ -0,0 +1,155 @@
+import { shiftDateKey, getTodayKey, isValidDateKey } from './dateUtils.js';
+
+/**
+ * Date option parsing shared by the summary commands
+ *
+ * Accepted input (case-insensitive, relative to today in the given zone):
+ *   today, yesterday
+ *   monday / mon        most recent Monday, today included
+ *   last friday         most recent Friday before today
+ *   -2d, -1w            days or weeks ago
+ *   2026-10-01          a calendar date
+ *   <date>..<date>      an inclusive range of any two of the above
+ */
+
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const DATE_HELP = 'Use e.g. `today`, `yesterday`, `last friday`, `monday`, `-2d`, `2026-10-01` or `2026-10-01..2026-10-07`.';
+
+/**
+ * Get the weekday index (0 = Sunday) of a date key
+ * @param {string} dateKey - Date in YYYY-MM-DD format
+ * @returns {number} Weekday index
+ */
+function getWeekdayIndex(dateKey) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+/**
+ * Match a weekday name or its abbreviation (mon, tues, wednesday, ...)
+ * @param {string} token - Lowercased input
+ * @returns {number} Weekday index, or -1 if not a weekday
+ */
+function findWeekday(token) {
+  if (token.length < 3) return -1;
+  return WEEKDAY_NAMES.findIndex(name => name.startsWith(token));
+}
+
+/**
+ * Parse a single (non-range) date expression
+ * @param {string} expression - Trimmed, lowercased expression
+ * @param {string} today - Today's date key
+ * @returns {string} Date key
+ * @throws {Error} If the expression is not recognized
+ */
+function parseSingleDate(expression, today) {
+  if (expression === 'today') return today;
+  if (expression === 'yesterday') return shiftDateKey(today, -1);
+
+  const relative = expression.match(/^-(\d{1,3})\s*([dw])$/);
+  if (relative) {
+    const amount = Number(relative[1]) * (relative[2] === 'w' ? 7 : 1);
+    return shiftDateKey(today, -amount);
+  }
+
+  const weekdayMatch = expression.match(/^(last\s+)?([a-z]+)$/);
+  const weekday = weekdayMatch ? findWeekday(weekdayMatch[2]) : -1;
+  if (weekday >= 0) {
+    // "monday" includes today; "last monday" is strictly before today
+    let daysBack = (getWeekdayIndex(today) - weekday + 7) % 7;
+    if (weekdayMatch[1] && daysBack === 0) daysBack = 7;
+    return shiftDateKey(today, -daysBack);
+  }
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(expression)) {
+    if (!isValidDateKey(expression)) {
+      throw new Error(`\`${expression}\` is not a real calendar date.`);
+    }
+    return expression;
+  }
+
+  throw new Error(`Could not understand the date \`${expression}\`. ${DATE_HELP}`);
+}
+
+/**
+ * Parse the date option of a summary command
+ * @param {string|null} input - Raw option value (empty means today)
+ * @param {string} timeZone - IANA time zone that defines "today"
+ * @param {Date} now - Optional instant (defaults to now)
+ * @returns {Object} { start, end } date keys (equal for a single day)
+ * @throws {Error} With a user-facing message if the input is invalid or in the future
+ */
+export function parseDateInput(input, timeZone, now = new Date()) {
+  const today = getTodayKey(timeZone, now);
+  const normalized = (input || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+  if (!normalized) {
+    return { start: today, end: today };
+  }
+
+  const parts = normalized.split('..').map(part => part.trim());
+  if (parts.length > 2 || parts.some(part => !part)) {
+    throw new Error(`Could not understand the date range \`${input}\`. ${DATE_HELP}`);
+  }
+
+  const start = parseSingleDate(parts[0], today);
+  const end = parts.length === 2 ? parseSingleDate(parts[1], today) : start;
+
+  if (start > end) {
+    throw new Error(`The range \`${input}\` ends (${end}) before it starts (${start}).`);
+  }
+  if (end > today) {
+    throw new Error(`\`${input}\` is in the future (today is ${today} in ${timeZone}).`);
+  }
+
+  return { start, end };
+}
+
+/**
+ * Parse a date option that must name a single day
+ * @param {string|null} input - Raw option value (empty means today)
+ * @param {string} timeZone - IANA time zone that defines "today"
+ * @param {Date} now - Optional instant (defaults to now)
+ * @returns {string} Date key
+ * @throws {Error} With a user-facing message if the input is invalid or a range
+ */
+export function parseSingleDateInput(input, timeZone, now = new Date()) {
+  const { start, end } = parseDateInput(input, timeZone, now);
+  if (start !== end) {
+    throw new Error(`\`${input}\` is a range, but a single date is expected here.`);
+  }
+  return start;
+}
+
+/**
+ * Format a date key with its weekday, e.g. "Fri 2026-10-16"
+ * @param {string} dateKey - Date in YYYY-MM-DD format
+ * @returns {string} Label
+ */
+export function formatDateLabel(dateKey) {
+  return `${WEEKDAY_LABELS[getWeekdayIndex(dateKey)]} ${dateKey}`;
+}
+
+/**
+ * Get the most recent working days (Mon–Fri), today first if it is one
+ * @param {string} timeZone - IANA time zone that defines "today"
+ * @param {number} count - Number of days
+ * @param {Date} now - Optional instant (defaults to now)
+ * @returns {Array<string>} Date keys, newest first
+ */
+export function getRecentWorkingDays(timeZone, count = 7, now = new Date()) {
+  const today = getTodayKey(timeZone, now);
+  const days = [];
+
+  for (let offset = 0; days.length < count; offset++) {
+    const dateKey = shiftDateKey(today, -offset);
+    const weekday = getWeekdayIndex(dateKey);
+    if (weekday !== 0 && weekday !== 6) {
+      days.push(dateKey);
+    }
+  }
+
+  return days;
+}
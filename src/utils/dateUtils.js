@@ -0,0 +1,268 @@
+/**
+ * Shift a YYYY-MM-DD date key by a number of days
+ * @param {string} dateKey - Date in YYYY-MM-DD format
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} Shifted date key
+ */
+export function shiftDateKey(dateKey, days) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const shifted = new Date(Date.UTC(year, month - 1, day + days));
+  return shifted.toISOString().split('T')[0];
+}
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Get the weekday of a date key
+ * @param {string} dateKey - Date in YYYY-MM-DD format
+ * @returns {string} 'sun'..'sat'
+ */
+export function getWeekday(dateKey) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return WEEKDAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+}
+
+/**
+ * Check whether a string is a valid IANA time zone
+ * @param {string} timeZone - Time zone name (e.g. Asia/Kolkata)
+ * @returns {boolean} True if the runtime recognizes the zone
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get the wall-clock date and time of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} { dateKey, weekday, hour, minute } where weekday is 'sun'..'sat'
+ */
+export function getZonedDateParts(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    })
+      .formatToParts(date)
+      .map(part => [part.type, part.value])
+  );
+
+  const dateKey = `${parts.year}-${parts.month}-${parts.day}`;
+
+  return {
+    dateKey,
+    weekday: getWeekday(dateKey),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+  };
+}
+
+/**
+ * Parse a days-of-week spec like "mon-fri", "mon,wed,fri", "weekdays" or "daily"
+ * @param {string} spec - Days spec
+ * @returns {Array<string>} Weekdays ('sun'..'sat') in week order
+ * @throws {Error} If the spec contains an unknown day
+ */
+export function parseDaysSpec(spec) {
+  const normalized = (spec || '').trim().toLowerCase();
+  if (normalized === 'daily' || normalized === 'everyday' || normalized === 'all') {
+    return [...WEEKDAYS];
+  }
+  if (normalized === 'weekdays') return ['mon', 'tue', 'wed', 'thu', 'fri'];
+  if (normalized === 'weekends') return ['sun', 'sat'];
+
+  const days = new Set();
+  for (const token of normalized.split(',').map(t => t.trim()).filter(Boolean)) {
+    const [from, to] = token.split('-').map(t => t.trim().substring(0, 3));
+    const fromIndex = WEEKDAYS.indexOf(from);
+    const toIndex = to === undefined ? fromIndex : WEEKDAYS.indexOf(to);
+
+    if (fromIndex < 0 || toIndex < 0) {
+      throw new Error(`Unknown day in "${spec}". Use e.g. mon-fri, mon,wed,fri, weekdays or daily.`);
+    }
+
+    // Ranges may wrap around the week (e.g. fri-mon)
+    for (let i = fromIndex; ; i = (i + 1) % 7) {
+      days.add(WEEKDAYS[i]);
+      if (i === toIndex) break;
+    }
+  }
+
+  if (days.size === 0) {
+    throw new Error('Please specify at least one day (e.g. mon-fri).');
+  }
+
+  return WEEKDAYS.filter(day => days.has(day));
+}
+
+/**
+ * Check whether a string is a real calendar date in YYYY-MM-DD format
+ * @param {string} dateKey - Candidate date key
+ * @returns {boolean} True for valid dates (rejects e.g. 2025-02-30)
+ */
+export function isValidDateKey(dateKey) {
+  if (typeof dateKey !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(dateKey)) return false;
+  return shiftDateKey(dateKey, 0) === dateKey;
+}
+
+/**
+ * Get today's date in a time zone
+ * @param {string} timeZone - IANA time zone
+ * @param {Date} now - Optional instant (defaults to now)
+ * @returns {string} Date key in YYYY-MM-DD format
+ */
+export function getTodayKey(timeZone, now = new Date()) {
+  return getZonedDateParts(now, timeZone).dateKey;
+}
+
+/**
+ * Get a zone's UTC offset at an instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+function getTimeZoneOffset(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23',
+    })
+      .formatToParts(date)
+      .map(part => [part.type, Number(part.value)])
+  );
+
+  const wallClockAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClockAsUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Get the first instant of a local day in a time zone
+ * When midnight does not exist (DST starting at 00:00) this is the first
+ * local time after the gap
+ * @param {string} dateKey - Date in YYYY-MM-DD format
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} Instant
+ */
+function getStartOfZonedDay(dateKey, timeZone) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const midnightAsUtc = Date.UTC(year, month - 1, day);
+
+  // The offset at the guessed instant can differ from the one at the answer
+  // around DST transitions, so correct once with the offset found there
+  const guess = midnightAsUtc - getTimeZoneOffset(new Date(midnightAsUtc), timeZone);
+  const corrected = midnightAsUtc - getTimeZoneOffset(new Date(guess), timeZone);
+
+  // Take the earliest candidate that is still on the requested day
+  return [guess, corrected]
+    .sort((a, b) => a - b)
+    .map(time => new Date(time))
+    .find(date => getZonedDateParts(date, timeZone).dateKey === dateKey) || new Date(corrected);
+}
+
+/**
+ * Get the instants bounding a local day in a time zone (DST aware, so a day
+ * can be 23 or 25 hours long)
+ * @param {string} dateKey - Date in YYYY-MM-DD format
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} { start, end } where end is the last millisecond of the day
+ * @throws {Error} If the date or time zone is invalid
+ */
+export function getDayWindow(dateKey, timeZone) {
+  if (!isValidDateKey(dateKey)) {
+    throw new Error(`Invalid date format: ${dateKey}. Expected YYYY-MM-DD.`);
+  }
+  if (!isValidTimeZone(timeZone)) {
+    throw new Error(`Unknown time zone "${timeZone}".`);
+  }
+
+  const start = getStartOfZonedDay(dateKey, timeZone);
+  const nextStart = getStartOfZonedDay(shiftDateKey(dateKey, 1), timeZone);
+
+  return { start, end: new Date(nextStart.getTime() - 1) };
+}
+
+/**
+ * Get the Monday of the week containing a date
+ * @param {string} dateKey - Date in YYYY-MM-DD format
+ * @returns {string} Date key of that Monday
+ */
+export function getStartOfWeek(dateKey) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  return shiftDateKey(dateKey, -((weekday + 6) % 7));
+}
+
+/**
+ * Build the key for a day or an inclusive range of days
+ * @param {string} start - First date key
+ * @param {string} end - Last date key (defaults to start)
+ * @returns {string} "YYYY-MM-DD" for a single day, "YYYY-MM-DD..YYYY-MM-DD" for a range
+ */
+export function toRangeKey(start, end = start) {
+  return start === end ? start : `${start}..${end}`;
+}
+
+/**
+ * Split a key built by toRangeKey
+ * @param {string} rangeKey - Day or range key
+ * @returns {Object} { start, end } date keys (equal for a single day)
+ */
+export function parseRangeKey(rangeKey) {
+  const [start, end = start] = rangeKey.split('..');
+  return { start, end };
+}
+
+/**
+ * Count the days in an inclusive range
+ * @param {string} start - First date key
+ * @param {string} end - Last date key
+ * @returns {number} Number of days (1 for a single day)
+ */
+export function countRangeDays(start, end) {
+  const toTime = (dateKey) => {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return Date.UTC(year, month - 1, day);
+  };
+  return Math.round((toTime(end) - toTime(start)) / (24 * 60 * 60 * 1000)) + 1;
+}
+
+/**
+ * Format a day or range key for display
+ * @param {string} rangeKey - Day or range key
+ * @returns {string} e.g. "2026-10-12" or "2026-10-12 → 2026-10-16"
+ */
+export function formatRangeLabel(rangeKey) {
+  const { start, end } = parseRangeKey(rangeKey);
+  return start === end ? start : `${start} → ${end}`;
+}
+
+/**
+ * Get the instants bounding an inclusive range of local days in a time zone
+ * @param {string} rangeKey - Day or range key
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} { start, end } instants
+ */
+export function getRangeWindow(rangeKey, timeZone) {
+  const { start, end } = parseRangeKey(rangeKey);
+  return {
+    start: getDayWindow(start, timeZone).start,
+    end: getDayWindow(end, timeZone).end
+  };
+}
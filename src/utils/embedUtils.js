@@ -1,133 +1,519 @@
+import {
+  getPriorityEmoji,
+  getStateEmoji,
+  formatState,
+  getIssueColor,
+  formatDate,
+  formatDescription,
+  formatLabels
+} from './utils.js';
+import { matchesStateCategory } from './stateUtils.js';
+import { parseRangeKey, formatRangeLabel } from './dateUtils.js';
+
+// Room left in a 6000-character message for titles and footers
+const MAX_SUMMARY_MESSAGE_LENGTH = 5500;
+const MAX_EMBEDS = 10;
+const MAX_FIELDS = 25;
+
 /**
- * Parse AI text into Embed sections for daily summaries
+ * Create person summary embeds from a structured summary (see summarySchema)
  * @param {string} personName - Name of the person
- * @param {string} date - Date string
- * @param {string} text - AI-generated summary text
+ * @param {string} rangeKey - Summarized day or range (see toRangeKey)
+ * @param {Object} summary - Structured summary
  * @param {string} workspaceSlug - Workspace identifier
+ * @param {Function} getUrl - Maps a work item ID to its Plane URL
+ * @param {Object} style - Summary style template (see summaryStyles)
+ * @param {Object} language - Summary language (see summaryLanguages)
+ * @returns {Object} Discord embed payload
+ */
+export function createPersonSummaryEmbed(personName, rangeKey, summary, workspaceSlug, getUrl, style, language) {
+  const { text } = language;
+  const date = formatRangeLabel(rangeKey);
+
+  // One member per project, so each section gets its own field
+  const { embeds, omitted } = createSummaryEmbeds(summary, {
+    title: text.personTitle(isSingleDay(rangeKey), personName, date),
+    color: 0x3498db,
+    emptyText: text.personEmpty(personName, date),
+    style,
+    text,
+    toFields: member => getSummarySections(member, getUrl, style.sections, text).map(section => ({
+      name: section.name,
+      value: fitSummaryLines(section.lines, text.more),
+      inline: false
+    })),
+    toLine: member => formatSummaryLine(member, getUrl)
+  });
+
+  const time = new Date().toLocaleTimeString(language.locale, { hour: '2-digit', minute: '2-digit' });
+  const lastEmbed = embeds[embeds.length - 1];
+  const note = omitted > 0 ? ` • ${text.sectionsOmitted(omitted)}` : '';
+  lastEmbed.footer = { text: `${text.personFooter(workspaceSlug || 'Plane', text.styles[style.name], time)}${note}` };
+  lastEmbed.timestamp = new Date().toISOString();
+
+  return { embeds };
+}
+
+/**
+ * Create team summary embeds from a structured summary (see summarySchema)
+ * @param {string} projectName - Name of the project
+ * @param {string} dateKey - Summarized day or range (see toRangeKey)
+ * @param {Object} summary - Structured summary
+ * @param {number} memberCount - Number of team members
+ * @param {Function} getUrl - Maps a work item ID to its Plane URL
+ * @param {Object} style - Summary style template (see summaryStyles)
+ * @param {Object} language - Summary language (see summaryLanguages)
  * @returns {Object} Discord embed payload
  */
-export function parseSummaryToEmbed(personName, date, text, workspaceSlug) {
-  const sections = text.split(/###\s+/);
-  const fields = [];
-  let description = `Daily Summary for **${personName}** - **${date}**\n`;
-
-  // First element is usually the "## Daily Summary..." header or empty
-  // Header look for: ## Daily Summary for avik.mukherjee - 2026-01-02
-  const mainTitleMatch = sections[0].match(/##\s+Daily Summary for\s+(.*?)\s+-\s+(.*)/);
-
-  for (let i = 1; i < sections.length; i++) {
-    const section = sections[i];
-    const lines = section.split('\n');
-    const title = lines[0].trim();
-    const content = lines.slice(1).join('\n').trim();
-
-    if (title && content) {
-      fields.push({
-        name: title,
-        value: content.length > 1024 ? content.substring(0, 1021) + '...' : content,
-        inline: false
-      });
+export function createTeamSummaryEmbed(projectName, dateKey, summary, memberCount, getUrl, style, language) {
+  const { text } = language;
+  const { embeds, omitted } = createSummaryEmbeds(summary, {
+    title: text.teamTitle(isSingleDay(dateKey), projectName, formatRangeLabel(dateKey)),
+    color: 0x5865f2,
+    emptyText: text.teamEmpty,
+    style,
+    text,
+    toFields: member => [{
+      name: `👤 ${member.name}`.substring(0, 256),
+      value: fitSummaryLines(
+        getSummarySections(member, getUrl, style.sections, text).flatMap(section => [`**${section.name}**`, ...section.lines]),
+        text.more
+      ),
+      inline: false
+    }],
+    toLine: member => formatSummaryLine(member, getUrl)
+  });
+
+  embeds.forEach((embed, index) => {
+    const note = index === embeds.length - 1 && omitted > 0 ? ` • ${text.membersOmitted(omitted)}` : '';
+    embed.footer = { text: `${text.teamFooter(memberCount, text.styles[style.name], index + 1)}${note}` };
+  });
+
+  return { embeds };
+}
+
+/**
+ * Lay out a structured summary as embeds: one per project (more when a
+ * project has over 25 fields), within Discord's per-message limits.
+ * The "line" layout lists members in the description instead of fields.
+ * @returns {Object} { embeds, omitted } where omitted counts fields that did not fit
+ */
+function createSummaryEmbeds(summary, { title, color, emptyText, style, text, toFields, toLine }) {
+  const embeds = [];
+  let length = title.length;
+  let omitted = 0;
+
+  for (const project of summary.projects || []) {
+    const members = project.members || [];
+    const fields = style.layout === 'line' ? [] : members.flatMap(toFields).filter(field => field.value);
+    const header = [
+      `**${project.name}**`,
+      ...(project.cycles || []).map(c => text.cycleProgress(c.name, c.percentage))
+    ].join('\n');
+
+    let description;
+    if (members.length === 0) {
+      description = `${header}\n\n${emptyText}`;
+    } else if (style.layout === 'line') {
+      const budget = Math.min(4096, MAX_SUMMARY_MESSAGE_LENGTH - length) - header.length - 2;
+      description = budget > 0 ? `${header}\n\n${fitSummaryLines(members.map(toLine), text.more, budget, 1000)}` : header;
+    } else {
+      description = fields.length > 0 ? header : `${header}\n\n${emptyText}`;
+    }
+
+    if (embeds.length >= MAX_EMBEDS || length + description.length > MAX_SUMMARY_MESSAGE_LENGTH) {
+      omitted += fields.length || members.length;
+      continue;
+    }
+
+    let embed = { color, description, fields: [] };
+    embeds.push(embed);
+    length += description.length;
+
+    for (const field of fields) {
+      const size = field.name.length + field.value.length;
+      if (length + size > MAX_SUMMARY_MESSAGE_LENGTH) {
+        omitted++;
+        continue;
+      }
+      if (embed.fields.length >= MAX_FIELDS) {
+        if (embeds.length >= MAX_EMBEDS) {
+          omitted++;
+          continue;
+        }
+        embed = { color, fields: [] };
+        embeds.push(embed);
+      }
+      embed.fields.push(field);
+      length += size;
+    }
+  }
+
+  if (embeds.length === 0) {
+    embeds.push({ color, description: emptyText, fields: [] });
+  }
+  embeds[0] = { title, ...embeds[0] };
+
+  return { embeds, omitted };
+}
+
+/**
+ * Format a member's non-empty sections as linked lines
+ * @param {Object} member - Structured member
+ * @param {Function} getUrl - Maps a work item ID to its Plane URL
+ * @param {Array} sections - Style sections: { key, pick, showState, comments }
+ * @param {Object} text - Language text, for the section labels
+ * @returns {Array} [{ name, lines }]
+ */
+function getSummarySections(member, getUrl, sections, text) {
+  return sections
+    .map(({ key, pick, showState, comments }) => {
+      const items = pick(member);
+      return {
+        name: `${text.sections[key]} (${items.length})`,
+        lines: items.map(item => comments
+          ? `• ${linkWorkItem(item.id, getUrl)}: ${item.summary}`
+          : `• ${formatSummaryTask(item, getUrl, showState)}`)
+      };
+    })
+    .filter(section => section.lines.length > 0);
+}
+
+/**
+ * Format a member as one line: linked IDs per state, then comment summaries
+ */
+function formatSummaryLine(member, getUrl) {
+  const parts = [
+    member.done.length > 0 ? `✅ ${member.done.map(t => linkWorkItem(t.id, getUrl)).join(', ')}` : null,
+    member.inProgress.length > 0 ? `🚧 ${member.inProgress.map(t => linkWorkItem(t.id, getUrl)).join(', ')}` : null,
+    member.todo.length > 0 ? `📋 ${member.todo.map(t => linkWorkItem(t.id, getUrl)).join(', ')}` : null,
+    member.comments.length > 0 ? `💬 ${member.comments.map(c => c.summary).join('; ')}` : null,
+  ].filter(Boolean);
+
+  return `• 👤 **${member.name}** — ${parts.join(' · ')}`;
+}
+
+function formatSummaryTask(task, getUrl, showState) {
+  const state = showState && task.state ? ` (${task.state})` : '';
+  const relationships = task.relationships.length > 0 ? ` [${task.relationships.join(', ')}]` : '';
+  return `${linkWorkItem(task.id, getUrl)} ${task.name}${state}${relationships}`;
+}
+
+function linkWorkItem(id, getUrl) {
+  return getUrl ? `[${id}](${getUrl(id)})` : id;
+}
+
+/**
+ * Join summary lines into one embed field value (or description), cutting
+ * off with a count of the items left out (more formats that count)
+ */
+function fitSummaryLines(lines, more, limit = 1024, maxLineLength = 300) {
+  const kept = [];
+  let length = 0;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].length > maxLineLength ? `${lines[i].substring(0, maxLineLength - 1)}…` : lines[i];
+    const suffix = more(lines.slice(i).filter(l => l.startsWith('•')).length);
+
+    if (length + line.length + 1 > limit - suffix.length - 1) {
+      kept.push(suffix);
+      break;
     }
+    kept.push(line);
+    length += line.length + 1;
   }
 
-  // If no fields found, use the raw text as description
-  if (fields.length === 0) {
-    description = text;
+  return kept.join('\n');
+}
+
+/**
+ * Append a warning (e.g. truncated Plane data) to the footer of a message's last embed
+ * @param {Object} payload - Discord message payload with embeds
+ * @param {string|null} warning - Warning text; nothing is added when empty
+ * @returns {Object} The same payload
+ */
+export function addFooterWarning(payload, warning) {
+  const lastEmbed = payload.embeds?.[payload.embeds.length - 1];
+  if (!warning || !lastEmbed) return payload;
+
+  const footerText = lastEmbed.footer?.text ? `${lastEmbed.footer.text} • ${warning}` : warning;
+  lastEmbed.footer = { ...lastEmbed.footer, text: footerText.substring(0, 2048) };
+  return payload;
+}
+
+/**
+ * Create an embed listing each work item's net state change over a period
+ * @param {Array} outcomes - Outcomes from getNetStateOutcomes
+ * @param {Object} language - Summary language (see summaryLanguages)
+ * @returns {Object|null} Discord embed, or null when nothing changed state
+ */
+export function createNetOutcomeEmbed(outcomes, language) {
+  const { text } = language;
+  if (!outcomes || outcomes.length === 0) return null;
+
+  const opened = outcomes.filter(o => o.from === 'New').length;
+  const done = outcomes.filter(o => matchesStateCategory(o.to, 'completed')).length;
+  const openedAndDone = outcomes.filter(o => o.from === 'New' && matchesStateCategory(o.to, 'completed')).length;
+
+  // Finished work first, then everything else by identifier
+  const sorted = [...outcomes].sort((a, b) =>
+    Number(matchesStateCategory(b.to, 'completed')) - Number(matchesStateCategory(a.to, 'completed')) ||
+    a.id.localeCompare(b.id, undefined, { numeric: true })
+  );
+
+  const lines = [];
+  let length = 0;
+  for (const outcome of sorted) {
+    const line = `• ${outcome.id}: ${outcome.name} — ${outcome.from} → ${outcome.to}`;
+    if (length + line.length + 1 > 3900) {
+      lines.push(text.more(sorted.length - lines.length));
+      break;
+    }
+    lines.push(line);
+    length += line.length + 1;
   }
 
+  return {
+    color: 0x2ecc71,
+    title: text.netOutcomeTitle,
+    description: lines.join('\n'),
+    footer: { text: text.netOutcomeFooter(outcomes.length, opened, done, openedAndDone) }
+  };
+}
+
+/**
+ * Create the weekly executive digest message
+ * @param {string} rangeKey - Digest week (see toRangeKey)
+ * @param {Array} projectDigests - Per-project digests
+ * @param {Object} totals - Workspace totals with top contributors
+ * @param {string|null} narrative - AI narrative, or null if unavailable
+ * @returns {Object} Discord message payload
+ */
+export function createWeeklyDigestEmbed(rangeKey, projectDigests, totals, narrative) {
+  const projectFields = projectDigests.slice(0, 22).map(digest => {
+    const lines = [
+      `✅ ${digest.completed.length} completed • 🚧 ${digest.started.length} started • ⛔ ${digest.newlyBlocked.length} newly blocked`
+    ];
+
+    for (const cycle of digest.cycles) {
+      const delta = cycle.previousPercentage === null
+        ? '(no baseline yet)'
+        : `(${cycle.percentage - cycle.previousPercentage >= 0 ? '+' : ''}${cycle.percentage - cycle.previousPercentage} pts, was ${cycle.previousPercentage}%)`;
+      lines.push(`🔄 ${cycle.name}: ${cycle.percentage}% ${delta}`);
+    }
+
+    if (digest.newlyBlocked.length > 0) {
+      lines.push(`Blocked: ${digest.newlyBlocked.map(item => item.id).join(', ')}`);
+    }
+
+    return { name: `${digest.name} (${digest.identifier})`, value: truncateFieldValue(lines.join('\n')), inline: false };
+  });
+
+  const contributors = totals.topContributors.length > 0
+    ? totals.topContributors.map((c, i) => `${i + 1}. ${c.name} (${c.count} updates)`).join('\n')
+    : 'No activity recorded';
+
   return {
     embeds: [{
-      title: `📊 Daily Summary: ${personName} (${date})`,
-      description: description,
-      color: 0x3498db, // Nice blue color
-      fields: fields,
-      footer: {
-        text: `Team: ${workspaceSlug || 'Plane'} • Today at ${new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
-      },
+      color: 0x5865f2,
+      title: `🗞️ Weekly Digest (${formatRangeLabel(rangeKey)})`,
+      description: (narrative || '_Narrative unavailable this week; the numbers below are complete._').substring(0, 2000),
+      fields: [
+        {
+          name: 'Totals',
+          value: `✅ ${totals.completed} completed • 🚧 ${totals.started} started • ⛔ ${totals.newlyBlocked} newly blocked`,
+          inline: false
+        },
+        ...projectFields,
+        { name: 'Top contributors', value: truncateFieldValue(contributors), inline: false }
+      ],
+      footer: { text: `${projectDigests.length} projects • Weekly digest` },
       timestamp: new Date().toISOString()
     }]
   };
 }
 
 /**
- * Parse AI text into Embed sections for scheduled summaries
- * @param {string} personName - Name of the person
- * @param {string} date - Date string
- * @param {string} text - AI-generated summary text
- * @param {string} workspaceSlug - Workspace identifier
+ * Whether a summary covers a single day (a "Daily Summary") or a longer period
+ * @param {string} rangeKey - Day or range key
+ * @returns {boolean} True for a single day
+ */
+function isSingleDay(rangeKey) {
+  const { start, end } = parseRangeKey(rangeKey);
+  return start === end;
+}
+
+/**
+ * Create an embed announcing a newly created work item
+ * @param {Object} workItem - Work item returned by Plane
+ * @param {Object} project - Project the item was created in
+ * @param {string} url - Link to the work item in Plane
+ * @param {string} createdBy - Discord user who filed the item
  * @returns {Object} Discord embed payload
  */
-export function parseScheduledSummaryToEmbed(personName, date, text, workspaceSlug) {
-  const sections = text.split(/###\s+/);
-  const fields = [];
-  let description = `Daily Summary for **${personName}** - **${date}**\n`;
-
-  for (let i = 1; i < sections.length; i++) {
-    const section = sections[i];
-    const lines = section.split('\n');
-    const title = lines[0].trim();
-    const content = lines.slice(1).join('\n').trim();
-
-    if (title && content) {
-      fields.push({
-        name: title,
-        value: content.length > 1024 ? content.substring(0, 1021) + '...' : content,
-        inline: false
-      });
+export function createWorkItemCreatedEmbed(workItem, project, url, createdBy) {
+  const identifier = `${project.identifier}-${workItem.sequence_id}`;
+  const priority = workItem.priority || 'none';
+
+  return {
+    embeds: [{
+      title: `🆕 ${identifier}: ${workItem.name}`.substring(0, 256),
+      url,
+      color: 0x57f287,
+      fields: [
+        { name: 'Project', value: project.name || project.identifier, inline: true },
+        { name: 'Priority', value: priority.charAt(0).toUpperCase() + priority.slice(1), inline: true },
+      ],
+      footer: { text: `Created by ${createdBy || 'Discord user'} via Discord` },
+      timestamp: new Date().toISOString()
+    }]
+  };
+}
+
+/**
+ * Create a detailed embed for a single work item
+ * @param {Object} details - Work item details from getWorkItemDetails
+ * @param {string} url - Link to the work item in Plane
+ * @returns {Object} Discord embed payload
+ */
+export function createWorkItemEmbed(details, url) {
+  const { workItem, project, identifier, assignees, labels, cycle, parent, subitems, relationships } = details;
+  const priority = workItem.priority || 'none';
+  const description = formatDescription(workItem.description_stripped);
+
+  const fields = [
+    { name: 'State', value: formatState(workItem.state?.name, workItem.state?.group), inline: true },
+    { name: 'Priority', value: `${getPriorityEmoji(priority)} ${priority.charAt(0).toUpperCase() + priority.slice(1)}`, inline: true },
+    { name: 'Cycle', value: cycle || 'None', inline: true },
+    { name: 'Assignees', value: assignees.length > 0 ? assignees.join(', ') : 'Unassigned', inline: false },
+  ];
+
+  if (parent) {
+    fields.push({ name: 'Parent', value: `${parent.identifier}: ${parent.name}`, inline: false });
+  }
+
+  if (subitems.length > 0) {
+    const lines = subitems
+      .slice(0, 10)
+      .map(s => `${getStateEmoji(s.stateGroup)} ${s.identifier}: ${s.name} (${s.state})`);
+    if (subitems.length > 10) {
+      lines.push(`…and ${subitems.length - 10} more`);
     }
+    fields.push({ name: `Sub-items (${subitems.length})`, value: truncateFieldValue(lines.join('\n')), inline: false });
   }
 
-  if (fields.length === 0) {
-    description = text;
+  const relationshipLines = Object.entries(relationships || {})
+    .filter(([, data]) => data && data.value)
+    .map(([type, data]) => `${type.replace(/_/g, ' ')}: ${data.value}`);
+  if (relationshipLines.length > 0) {
+    fields.push({ name: 'Relationships', value: truncateFieldValue(relationshipLines.join('\n')), inline: false });
   }
 
+  // Embed fields do not carry colors, so drop the label color hint
+  const labelFields = formatLabels(labels).map(({ color, ...field }) => field);
+  fields.push(...labelFields.slice(0, 25 - fields.length));
+
   return {
     embeds: [{
-      title: `📊 Daily Summary: ${personName} (${date})`,
-      description: description,
-      color: 0x3498db,
-      fields: fields,
+      title: `${identifier}: ${workItem.name}`.substring(0, 256),
+      url,
+      ...(description ? { description: description.length > 4096 ? description.substring(0, 4093) + '...' : description } : {}),
+      color: getIssueColor(workItem),
+      fields,
       footer: {
-        text: `Team: ${workspaceSlug || 'Plane'} • Scheduled Summary`
-      },
-      timestamp: new Date().toISOString()
+        text: `${project.name} • Updated ${formatDate(workItem.updated_at)}`
+      }
     }]
   };
 }
 
 /**
- * Create team summary embeds from formatted text
- * @param {string} projectName - Name of the project
- * @param {string} dateKey - Date key
- * @param {string} summary - Formatted summary text
- * @param {number} memberCount - Number of team members
- * @param {number} pageNum - Current page number
+ * Create an embed listing a person's open work items by category
+ * @param {string} personName - Plane member name
+ * @param {Object} tasks - { inProgress, blocked, backlog } from getOpenWorkItemsForMember
+ * @param {Function} getUrl - Maps a work item to its Plane URL
  * @returns {Object} Discord embed payload
  */
-export function createTeamSummaryEmbed(projectName, dateKey, summary, memberCount, pageNum = 0) {
-  // Split into chunks if needed (Discord limit 4096)
-  const MAX_LENGTH = 4096;
-  const embeds = [];
-  let remaining = summary;
-
-  while (remaining.length > 0) {
-    let chunk = remaining.substring(0, MAX_LENGTH);
-    if (remaining.length > MAX_LENGTH) {
-      const lastNewline = chunk.lastIndexOf("\n");
-      if (lastNewline > MAX_LENGTH * 0.8) {
-        chunk = remaining.substring(0, lastNewline);
-      }
-    }
+export function createMyTasksEmbed(personName, tasks, getUrl) {
+  const sections = [
+    { name: '🚧 In Progress', items: tasks.inProgress },
+    { name: '⛔ Blocked', items: tasks.blocked },
+    { name: '📋 Todo', items: tasks.backlog },
+  ];
+  const total = sections.reduce((sum, section) => sum + section.items.length, 0);
 
-    embeds.push({
-      color: 0x5865f2,
-      ...(embeds.length === 0 ? { title: `📊 Team Daily Summary for ${projectName} (${dateKey})` } : {}),
-      description: chunk,
-      footer: { text: `${memberCount} team members • Page ${embeds.length + 1}` }
-    });
+  const fields = sections
+    .filter(section => section.items.length > 0)
+    .map(section => ({
+      name: `${section.name} (${section.items.length})`,
+      value: formatTaskLines(section.items, getUrl),
+      inline: false
+    }));
+
+  return {
+    embeds: [{
+      title: `📋 Open work for ${personName}`,
+      description: total === 0 ? 'No open work items assigned. 🎉' : undefined,
+      color: 0x3498db,
+      fields,
+      footer: { text: `${total} open work items • Sorted by priority and due date` },
+      timestamp: new Date().toISOString()
+    }]
+  };
+}
 
-    remaining = remaining.substring(chunk.length);
+/**
+ * Format work items as linked lines that fit in one embed field
+ */
+function formatTaskLines(items, getUrl) {
+  const lines = [];
+  let length = 0;
+
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
+    const due = item.target_date ? ` • due ${item.target_date}` : '';
+    const line = `${getPriorityEmoji(item.priority)} [${item.identifier}](${getUrl(item)}) ${item.name}${due}`;
+    const suffix = `…and ${items.length - i} more`;
+
+    if (length + line.length + 1 > 1024 - suffix.length - 1) {
+      lines.push(suffix);
+      break;
+    }
+    lines.push(line);
+    length += line.length + 1;
   }
 
-  return { embeds };
+  return lines.join('\n');
+}
+
+/**
+ * Create an ephemeral embed showing the raw data a summary was generated from
+ * @param {string} title - Embed title
+ * @param {string} rawText - Raw summary input
+ * @returns {Object} Discord message payload
+ */
+export function createRawDataEmbed(title, rawText) {
+  // Leave room for the code fence and truncation note within the 4096 limit
+  const MAX_LENGTH = 3900;
+  const body = rawText.length > MAX_LENGTH
+    ? `${rawText.substring(0, MAX_LENGTH)}\n… (${rawText.length - MAX_LENGTH} more characters)`
+    : rawText;
+
+  return {
+    flags: 64, // Ephemeral
+    embeds: [{
+      color: 0x99aab5,
+      title: title.substring(0, 256),
+      description: `\`\`\`\n${body || 'No data'}\n\`\`\``
+    }]
+  };
+}
+
+/**
+ * Truncate a value to Discord's embed field limit
+ * @param {string} value - Field value
+ * @returns {string} Value of at most 1024 characters
+ */
+function truncateFieldValue(value) {
+  return value.length > 1024 ? value.substring(0, 1021) + '...' : value;
 }
@@ -0,0 +1,39 @@
+const ADMINISTRATOR = 1n << 3n;
+const MANAGE_GUILD = 1n << 5n;
+
+/**
+ * Get the invoking Discord user's ID (guild interactions nest it under member)
+ * @param {Object} interaction - Discord interaction object
+ * @returns {string} Discord user ID
+ */
+export function getDiscordUserId(interaction) {
+  return interaction.member?.user?.id || interaction.user?.id;
+}
+
+/**
+ * Get the invoked subcommand and its options
+ * @param {Object} interaction - Discord interaction object
+ * @returns {Object} { subcommand, options } (subcommand is null for flat commands)
+ */
+export function getSubcommand(interaction) {
+  const options = interaction.data?.options || [];
+  const sub = options.find(o => o.type === 1); // SUB_COMMAND
+
+  if (!sub) {
+    return { subcommand: null, options };
+  }
+  return { subcommand: sub.name, options: sub.options || [] };
+}
+
+/**
+ * Check whether the invoking member can manage bot configuration
+ * @param {Object} interaction - Discord interaction object
+ * @returns {boolean} True for members with Administrator or Manage Server
+ */
+export function isAdmin(interaction) {
+  const permissions = interaction.member?.permissions;
+  if (!permissions) return false;
+
+  const bits = BigInt(permissions);
+  return (bits & ADMINISTRATOR) !== 0n || (bits & MANAGE_GUILD) !== 0n;
+}
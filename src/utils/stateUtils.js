@@ -51,3 +51,55 @@ export function categorizeWorkItems(workItems) {
 
   return categorized;
 }
+
+/**
+ * Collapse the state changes in a window into one net outcome per work item,
+ * so an item that moved Todo → In Progress → Done reads "Todo → Done"
+ * @param {Array} activities - Activities from getTeamActivities
+ * @returns {Array} Outcomes { id, name, project, from, to } for items whose state changed
+ * (from is "New" for items created in the window)
+ */
+export function getNetStateOutcomes(activities) {
+  const items = new Map();
+
+  for (const activity of activities) {
+    if (activity.type !== "activity") continue;
+
+    const isCreation = activity.verb === "created" || activity.field === "created";
+    const isStateChange = (activity.field === "state" || activity.field === "status") &&
+      activity.verb !== "created" && Boolean(activity.newValue);
+    if (!isCreation && !isStateChange) continue;
+
+    if (!items.has(activity.workItem)) {
+      items.set(activity.workItem, {
+        id: activity.workItem,
+        name: activity.workItemName,
+        project: activity.project,
+        created: false,
+        currentState: activity.state,
+        first: null,
+        last: null,
+      });
+    }
+
+    const item = items.get(activity.workItem);
+    if (isCreation) {
+      item.created = true;
+      continue;
+    }
+
+    const time = new Date(activity.time).getTime();
+    if (!item.first || time < item.first.time) item.first = { time, from: activity.oldValue };
+    if (!item.last || time >= item.last.time) item.last = { time, to: activity.newValue };
+  }
+
+  return [...items.values()]
+    .map(item => ({
+      id: item.id,
+      name: item.name,
+      project: item.project,
+      from: item.created ? "New" : (item.first?.from || "Unknown"),
+      to: item.last?.to || item.currentState || "Unknown",
+    }))
+    .filter(outcome => outcome.from !== outcome.to);
+}
@@ -58,8 +58,12 @@ const formatDescription = (description) => {
   return trimmed ? `>>> ${trimmed}` : "";
 };
 
-const getIssueUrl = (workspaceSlug, projectId, issueId) => {
-  return `https://app.plane.so/${workspaceSlug}/projects/${projectId}/issues/${issueId}`;
+const getIssueUrl = (workspaceSlug, projectId, issueId, appUrl = "https://app.plane.so") => {
+  return `${appUrl}/${workspaceSlug}/projects/${projectId}/issues/${issueId}`;
+};
+
+const getWorkItemBrowseUrl = (workspaceSlug, identifier, appUrl = "https://app.plane.so") => {
+  return `${appUrl}/${workspaceSlug}/browse/${identifier}/`;
 };
 
 const formatLabels = (labels) => {
@@ -78,7 +82,7 @@ const formatLabels = (labels) => {
   });
 };
 
-module.exports = {
+export {
   getPriorityColor,
   getPriorityEmoji,
   getStateEmoji,
@@ -87,5 +91,6 @@ module.exports = {
   formatDate,
   formatDescription,
   getIssueUrl,
+  getWorkItemBrowseUrl,
   formatLabels,
 };